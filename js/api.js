@@ -1,5 +1,306 @@
 // ===== API HANDLING FUNCTIONS =====
 
+// Cache keys currently being refreshed in the background
+const revalidatingKeys = new Set();
+
+// Identical requests currently in flight, keyed by cache key or URL
+const inFlightRequests = new Map();
+
+// Search session whose requests are live (see startRequestSession)
+let currentSession = null;
+let sessionCounter = 0;
+
+/**
+ * Start a new search session, cancelling every request from the previous one
+ * @returns {number} - Session id, for isCurrentSession checks
+ */
+function startRequestSession() {
+    cancelRequestSession();
+    
+    sessionCounter++;
+    currentSession = {
+        id: sessionCounter,
+        controller: new AbortController()
+    };
+    
+    return currentSession.id;
+}
+
+/**
+ * Cancel the current search session's in-flight and queued requests
+ */
+function cancelRequestSession() {
+    if (!currentSession) return;
+    
+    console.log('🛑 Cancelling requests from search session', currentSession.id);
+    currentSession.controller.abort();
+    currentSession = null;
+}
+
+/**
+ * Check whether a session is still the active one
+ * @param {number} sessionId - Session id from startRequestSession
+ * @returns {boolean} - True if responses for this session should still be used
+ */
+function isCurrentSession(sessionId) {
+    return currentSession !== null && currentSession.id === sessionId;
+}
+
+/**
+ * Get the abort signal of the current session
+ * @returns {AbortSignal|null} - Signal or null outside a session
+ */
+function getSessionSignal() {
+    return currentSession ? currentSession.controller.signal : null;
+}
+
+/**
+ * Check whether an error came from a cancelled request
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True for aborts
+ */
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Share one in-flight request between identical callers
+ * Requests from a cancelled session are never joined.
+ * @param {string} key - Request key
+ * @param {Function} loader - Async function that performs the request
+ * @returns {Promise} - Promise with the shared result
+ */
+function coalesceRequest(key, loader) {
+    const existing = inFlightRequests.get(key);
+    if (existing && !(existing.signal && existing.signal.aborted)) {
+        console.log('🔗 Joining in-flight request:', key);
+        return existing.promise;
+    }
+    
+    const promise = loader().finally(() => {
+        if (inFlightRequests.get(key)?.promise === promise) {
+            inFlightRequests.delete(key);
+        }
+    });
+    
+    inFlightRequests.set(key, { promise, signal: getSessionSignal() });
+    return promise;
+}
+
+/**
+ * Refresh a stale cache entry without blocking the caller
+ * @param {string} cacheKey - Cache key
+ * @param {Function} loader - Async function that fetches fresh data
+ */
+function revalidateInBackground(cacheKey, loader) {
+    if (revalidatingKeys.has(cacheKey)) return;
+    revalidatingKeys.add(cacheKey);
+    
+    console.log('🔄 Refreshing stale cache entry in background:', cacheKey);
+    
+    coalesceRequest(cacheKey, loader)
+        .then(data => {
+            if (!data) return;
+            
+            Utils.setCache(cacheKey, data);
+            
+            // Let open pages re-render with the fresh data
+            window.dispatchEvent(new CustomEvent('nocharts:cache-revalidated', { detail: { key: cacheKey } }));
+        })
+        .catch(error => {
+            console.warn('Background refresh failed for', cacheKey, error);
+        })
+        .finally(() => {
+            revalidatingKeys.delete(cacheKey);
+        });
+}
+
+/**
+ * Serve data from cache with stale-while-revalidate
+ * Fresh entries are returned directly; stale entries are returned immediately
+ * and refreshed in the background; misses wait for the loader.
+ * @param {string} cacheKey - Cache key (null to skip caching)
+ * @param {Function} loader - Async function that fetches fresh data
+ * @returns {Promise} - Promise with cached or freshly loaded data
+ */
+async function withCache(cacheKey, loader) {
+    if (!cacheKey) {
+        return await loader();
+    }
+    
+    await Utils.whenCacheReady();
+    
+    const entry = Utils.getCacheEntry(cacheKey);
+    if (entry && !entry.isStale) {
+        return entry.data;
+    }
+    
+    if (entry) {
+        revalidateInBackground(cacheKey, loader);
+        return entry.data;
+    }
+    
+    const data = await coalesceRequest(cacheKey, loader);
+    if (data) {
+        Utils.setCache(cacheKey, data);
+    }
+    
+    return data;
+}
+
+/**
+ * Get the local proxy's base URL
+ * @returns {string} - Base URL without trailing slash ('' = same origin)
+ */
+function getProxyBaseUrl() {
+    return (CONFIG.PROXY_URL || '').replace(/\/+$/, '');
+}
+
+// Proxy health check result (null until the first check starts)
+let proxyDetection = null;
+
+/**
+ * Look for the local proxy server (server/index.js), once per page
+ * @returns {Promise<Object|null>} - Providers the proxy can serve, or null when there is no proxy
+ */
+function detectProxy() {
+    if (!CONFIG.FEATURES.PROXY_ENABLED || CONFIG.MOCK_MODE) {
+        return Promise.resolve(null);
+    }
+    
+    if (!proxyDetection) {
+        const healthUrl = `${getProxyBaseUrl()}/api/health`;
+        
+        proxyDetection = fetchWithTimeout(healthUrl, { headers: { 'Accept': 'application/json' } }, null, CONFIG.PROXY_DETECT_TIMEOUT)
+            .then(response => (response.ok ? response.json() : null))
+            .then(health => {
+                if (!health || health.service !== 'nocharts-proxy') return null;
+                
+                console.log('🛰️ Using NoCharts proxy:', healthUrl, health.providers);
+                if (typeof Settings !== 'undefined') {
+                    Settings.setProxyProviders(health.providers);
+                }
+                return health.providers;
+            })
+            .catch(() => null);
+    }
+    
+    return proxyDetection;
+}
+
+/**
+ * Check whether the proxy can serve a provider's data
+ * @param {string} provider - Provider name ('finnhub', 'marketaux', 'wikipedia', 'sec')
+ * @returns {Promise<boolean>} - True if requests should go through the proxy
+ */
+async function isProxyServing(provider) {
+    const providers = await detectProxy();
+    return Boolean(providers && providers[provider]);
+}
+
+/**
+ * Pick the proxy route for a getter when the proxy serves its provider, else the direct URL
+ * @param {string} provider - Provider name
+ * @param {string} proxyRoute - Route under /api/ on the proxy
+ * @param {Function} buildDirectUrl - Builds the direct provider URL (only called when needed, so keys stay unread)
+ * @returns {Promise<string>} - URL to request
+ */
+async function resolveEndpoint(provider, proxyRoute, buildDirectUrl) {
+    if (await isProxyServing(provider)) {
+        return `${getProxyBaseUrl()}/api/${proxyRoute}`;
+    }
+    return buildDirectUrl();
+}
+
+/**
+ * Work out which provider's rate limit applies to a URL
+ * @param {string} url - Request URL
+ * @returns {string} - Provider name (key in CONFIG.RATE_LIMITS)
+ */
+function getRateLimitProvider(url) {
+    if (url.startsWith(`${getProxyBaseUrl()}/api/`)) return 'proxy';
+    if (url.startsWith(CONFIG.FINNHUB_BASE_URL)) return 'finnhub';
+    if (url.startsWith(CONFIG.MARKETAUX_BASE_URL)) return 'marketaux';
+    if (url.startsWith(CONFIG.WIKIPEDIA_BASE_URL) || url.startsWith(CONFIG.WIKIPEDIA_ACTION_URL) || url.startsWith(CONFIG.WIKIDATA_API_URL)) return 'wikipedia';
+    if (url.startsWith(CONFIG.SEC_BASE_URL) || url.startsWith(CONFIG.SEC_TICKERS_URL)) return 'sec';
+    if (url.startsWith(CONFIG.REDDIT_API_BASE)) return 'reddit';
+    return 'default';
+}
+
+/**
+ * Fetch with a timeout, aborting early if the caller's signal aborts
+ * @param {string} url - Request URL
+ * @param {Object} fetchOptions - Fetch options
+ * @param {AbortSignal|null} signal - Caller's abort signal (e.g. the search session)
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>} - Fetch response
+ */
+async function fetchWithTimeout(url, fetchOptions, signal, timeout = CONFIG.LOADING_TIMEOUT) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    
+    if (signal) {
+        signal.addEventListener('abort', abort, { once: true });
+    }
+    
+    try {
+        return await fetch(url, { ...fetchOptions, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) {
+            throw new Error(`Request timed out after ${timeout / 1000} seconds`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', abort);
+        }
+    }
+}
+
+/**
+ * Fetch through the provider's rate limiter, retrying 429 responses after Retry-After
+ * Requests belong to the search session active when they were made and are
+ * cancelled with it, including while they wait in the rate limit queue.
+ * @param {string} url - Request URL
+ * @param {Object} fetchOptions - Fetch options
+ * @param {string} provider - Provider name (defaults to the one matching the URL)
+ * @returns {Promise<Response>} - Fetch response (a 429 is returned once retries run out)
+ */
+async function fetchWithRateLimit(url, fetchOptions = {}, provider = getRateLimitProvider(url)) {
+    const signal = fetchOptions.signal || getSessionSignal();
+    
+    for (let attempt = 0; ; attempt++) {
+        await Utils.acquireRateLimit(provider, signal);
+        
+        if (signal && signal.aborted) {
+            throw new DOMException('Request cancelled', 'AbortError');
+        }
+        
+        const response = await fetchWithTimeout(url, fetchOptions, signal);
+        if (response.status !== 429 || attempt >= CONFIG.RATE_LIMIT_MAX_RETRIES) {
+            return response;
+        }
+        
+        // Hold every queued request for this provider, not just this one
+        const retryAfter = Utils.parseRetryAfter(response.headers.get('Retry-After'));
+        const delay = retryAfter !== null ? retryAfter : 1000 * Math.pow(2, attempt);
+        Utils.pauseRateLimit(provider, delay);
+        
+        if (delay > CONFIG.RATE_LIMIT_MAX_WAIT) {
+            return response;
+        }
+        
+        console.warn(`⏳ ${provider} returned 429, retrying in ${Math.ceil(delay / 1000)}s`);
+    }
+}
+
 /**
  * Make API request with error handling and caching
  * @param {string} url - API endpoint URL
@@ -14,62 +315,39 @@ async function makeApiRequest(url, options = {}, cacheKey = null) {
         throw new Error('API calls are disabled in mock mode. Use mock data instead.');
     }
     
+    // responseType 'text' returns the body as a string (e.g. RSS/Atom XML) instead of parsed JSON
+    const { responseType = 'json', ...fetchOptions } = options;
+    
     try {
-        // Check rate limiting
-        if (!Utils.checkRateLimit()) {
-            throw new Error('Internal rate limit exceeded. Please try again later.');
-        }
-        
-        // Check for rate limit in cache (to avoid repeated failed calls)
-        if (cacheKey) {
-            const rateLimitKey = `rate_limit_${cacheKey}`;
-            const rateLimitTime = Utils.getCache(rateLimitKey);
-            if (rateLimitTime) {
-                const timeSinceLimit = Date.now() - rateLimitTime;
-                if (timeSinceLimit < 60000) { // 1 minute cooldown
-                    throw new Error('API rate limit exceeded. Please try again later.');
-                } else {
-                    // Clear rate limit cache after cooldown
-                    Utils.clearCache(rateLimitKey);
-                }
+        // Identical requests share one fetch (URL key covers uncached requests)
+        return await withCache(cacheKey, () => coalesceRequest(url, async () => {
+            // Make the request (queued behind the provider's rate limit)
+            const response = await fetchWithRateLimit(url, {
+                method: 'GET',
+                headers: {
+                    // Don't add Content-Type for GET requests to avoid CORS preflight issues
+                    ...fetchOptions.headers
+                },
+                ...fetchOptions
+            });
+            
+            // Check if response is ok
+            if (response.status === 429) {
+                throw new Error('API rate limit exceeded. Please try again later.');
             }
-        }
-        
-        // Check cache first
-        if (cacheKey) {
-            const cachedData = Utils.getCache(cacheKey);
-            if (cachedData) {
-                return cachedData;
+            
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
             }
-        }
-        
-        // Make the request
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-                // Don't add Content-Type for GET requests to avoid CORS preflight issues
-                ...options.headers
-            },
-            ...options
-        });
-        
-        // Check if response is ok
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        // Parse response
-        const data = await response.json();
-        
-        // Cache the response
-        if (cacheKey && data) {
-            Utils.setCache(cacheKey, data);
-        }
-        
-        return data;
+            
+            // Parse response
+            return responseType === 'text' ? await response.text() : await response.json();
+        }));
         
     } catch (error) {
-        console.error('API request failed:', error);
+        if (!isAbortError(error)) {
+            console.error('API request failed:', error);
+        }
         throw error;
     }
 }
@@ -81,24 +359,12 @@ async function makeApiRequest(url, options = {}, cacheKey = null) {
  */
 async function getFinnhubStockProfile(symbol) {
     console.log('🔍 getFinnhubStockProfile called with symbol:', symbol);
-    console.log('🔧 CONFIG.MOCK_MODE:', CONFIG.MOCK_MODE);
-    console.log('🔧 MockData available:', typeof MockData !== 'undefined');
-    
-    // Use mock data if mock mode is enabled and available
-    if (CONFIG.MOCK_MODE && typeof MockData !== 'undefined') {
-        console.log('🔧 Using mock data for stock profile');
-        try {
-            return await MockData.getStockOverview(symbol);
-        } catch (error) {
-            console.error('Mock data failed, falling back to API:', error);
-            // Continue to API call if mock data fails
-        }
-    }
     
     const formattedSymbol = Utils.formatTicker(symbol);
     const cacheKey = `finnhub_profile_${formattedSymbol}`;
     
-    const url = `${CONFIG.FINNHUB_BASE_URL}/stock/profile2?symbol=${formattedSymbol}&token=${CONFIG.FINNHUB_API_KEY}`;
+    const url = await resolveEndpoint('finnhub', `profile/${encodeURIComponent(formattedSymbol)}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/profile2?symbol=${formattedSymbol}&token=${Settings.getApiKey('finnhub')}`);
     
     try {
         const data = await makeApiRequest(url, {}, cacheKey);
@@ -112,28 +378,17 @@ async function getFinnhubStockProfile(symbol) {
         
     } catch (error) {
         console.error('Failed to get Finnhub stock profile:', error);
-        
-        // Fallback to mock data if available
-        if (typeof MockData !== 'undefined') {
-            console.log('🔄 Falling back to mock data for stock profile');
-            try {
-                return MockData.getStockOverview(symbol);
-            } catch (mockError) {
-                console.error('Mock data fallback also failed:', mockError);
-            }
-        }
-        
         throw error;
     }
 }
 
 /**
- * Get stock overview from Finnhub
+ * Get stock overview from the first available profile provider
  * @param {string} symbol - Stock symbol
  * @returns {Promise} - Promise with stock data
  */
 async function getStockOverview(symbol) {
-    return await getFinnhubStockProfile(symbol);
+    return await Providers.fetchFromProviders('profile', Utils.formatTicker(symbol));
 }
 
 /**
@@ -143,24 +398,12 @@ async function getStockOverview(symbol) {
  */
 async function getFinnhubQuote(symbol) {
     console.log('🔍 getFinnhubQuote called with symbol:', symbol);
-    console.log('🔧 CONFIG.MOCK_MODE:', CONFIG.MOCK_MODE);
-    console.log('🔧 MockData available:', typeof MockData !== 'undefined');
-    
-    // Use mock data if mock mode is enabled and available
-    if (CONFIG.MOCK_MODE && typeof MockData !== 'undefined') {
-        console.log('🔧 Using mock data for stock quote');
-        try {
-            return await MockData.getStockQuote(symbol);
-        } catch (error) {
-            console.error('Mock data failed, falling back to API:', error);
-            // Continue to API call if mock data fails
-        }
-    }
     
     const formattedSymbol = Utils.formatTicker(symbol);
     const cacheKey = `finnhub_quote_${formattedSymbol}`;
     
-    const url = `${CONFIG.FINNHUB_BASE_URL}/quote?symbol=${formattedSymbol}&token=${CONFIG.FINNHUB_API_KEY}`;
+    const url = await resolveEndpoint('finnhub', `quote/${encodeURIComponent(formattedSymbol)}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/quote?symbol=${formattedSymbol}&token=${Settings.getApiKey('finnhub')}`);
     
     try {
         const data = await makeApiRequest(url, {}, cacheKey);
@@ -173,83 +416,91 @@ async function getFinnhubQuote(symbol) {
         
     } catch (error) {
         console.error('Failed to get Finnhub quote:', error);
-        
-        // Fallback to mock data if available
-        if (typeof MockData !== 'undefined') {
-            console.log('🔄 Falling back to mock data for stock quote');
-            try {
-                return MockData.getStockQuote(symbol);
-            } catch (mockError) {
-                console.error('Mock data fallback also failed:', mockError);
-            }
-        }
-        
         throw error;
     }
 }
 
 /**
- * Get stock quote from Finnhub
+ * Get stock quote from the first available quote provider
  * @param {string} symbol - Stock symbol
  * @returns {Promise} - Promise with quote data
  */
 async function getStockQuote(symbol) {
-    return await getFinnhubQuote(symbol);
+    return await Providers.fetchFromProviders('quote', Utils.formatTicker(symbol));
 }
 
 /**
- * Get company news from News API
- * @param {string} symbol - Stock symbol
- * @param {number} pageSize - Number of articles to fetch
- * @returns {Promise} - Promise with news data
+ * Format a date the way Marketaux expects in published_after/published_before
+ * @param {string|Date} date - Date or ISO string
+ * @returns {string} - UTC date as YYYY-MM-DDTHH:mm:ss
+ */
+function formatMarketauxDate(date) {
+    return new Date(date).toISOString().slice(0, 19);
+}
+
+/**
+ * Find the Marketaux entity for the searched company in an article
+ * Articles list every company they mention, and the searched one is often not first.
+ * @param {Array} entities - Article entities
+ * @param {string} symbol - Searched symbol
+ * @returns {Object|null} - Matching entity or null
  */
-async function getCompanyNews(symbol, pageSize = 10, companyName = null) {
-    console.log('🔍 getCompanyNews called with symbol:', symbol, 'pageSize:', pageSize);
-    console.log('🔧 CONFIG.MOCK_MODE:', CONFIG.MOCK_MODE);
+function findMarketauxEntity(entities, symbol) {
+    if (!Array.isArray(entities)) return null;
     
-    // Use mock data if mock mode is enabled
-    if (CONFIG.MOCK_MODE) {
-        console.log('🔧 Mock mode enabled, returning N/A for news');
-        return [{
-            title: 'News not available in mock mode',
-            description: 'News data requires live API access. Switch to online mode to view real news.',
-            url: '#',
-            publishedAt: new Date().toISOString(),
-            source: { name: 'Mock Mode' },
-            sentiment: null,
-            entities: []
-        }];
-    }
+    const target = symbol.toUpperCase();
+    const baseSymbol = target.split('.')[0];
     
+    return entities.find(entity => (entity.symbol || '').toUpperCase() === target) ||
+        entities.find(entity => (entity.symbol || '').toUpperCase().split('.')[0] === baseSymbol) ||
+        null;
+}
+
+/**
+ * Get one page of company news from Marketaux
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - Page options
+ * @param {number} options.pageSize - Articles per page (Marketaux caps this per plan)
+ * @param {number} options.page - Page number (1-based)
+ * @param {string|Date} options.publishedAfter - Only articles published after this date
+ * @param {string|Date} options.publishedBefore - Only articles published before this date
+ * @returns {Promise<Object>} - { articles, page, found, hasMore }
+ */
+async function getMarketauxNewsPage(symbol, { pageSize = 10, page = 1, publishedAfter = null, publishedBefore = null } = {}) {
     const formattedSymbol = Utils.formatTicker(symbol);
-    const cacheKey = `company_news_${formattedSymbol}_${pageSize}`;
+    const after = publishedAfter ? formatMarketauxDate(publishedAfter) : null;
+    const before = publishedBefore ? formatMarketauxDate(publishedBefore) : null;
     
-    try {
-        // Check cache first
-        const cachedData = Utils.getCache(cacheKey);
-        if (cachedData) {
-            return cachedData;
-        }
-        
-        // Check rate limiting
-        if (!Utils.checkRateLimit()) {
-            throw new Error('Internal rate limit exceeded. Please try again later.');
-        }
-        
+    // First page of the latest news keeps its original key; other pages/windows get suffixes
+    const cacheKey = [
+        `company_news_${formattedSymbol}_${pageSize}`,
+        page > 1 ? `p${page}` : null,
+        after ? `after${after}` : null,
+        before ? `before${before}` : null
+    ].filter(Boolean).join('_');
+    
+    const query = new URLSearchParams({ limit: pageSize.toString() });
+    if (page > 1) query.set('page', page.toString());
+    if (after) query.set('published_after', after);
+    if (before) query.set('published_before', before);
+    
+    return await withCache(cacheKey, async () => {
         // Use Marketaux API
-        console.log('🔗 Fetching news from Marketaux API...');
-        
-        const params = new URLSearchParams({
-            api_token: CONFIG.MARKETAUX_API_KEY,
-            symbols: formattedSymbol,
-            filter_entities: 'true',
-            language: 'en',
-            limit: pageSize.toString()
+        console.log(`🔗 Fetching news from Marketaux API (page ${page})...`);
+        
+        const url = await resolveEndpoint('marketaux', `news/${encodeURIComponent(formattedSymbol)}?${query.toString()}`, () => {
+            const params = new URLSearchParams({
+                api_token: Settings.getApiKey('marketaux'),
+                symbols: formattedSymbol,
+                filter_entities: 'true',
+                language: 'en'
+            });
+            query.forEach((value, key) => params.set(key, value));
+            
+            return `${CONFIG.MARKETAUX_BASE_URL}/news/all?${params.toString()}`;
         });
         
-        const url = `${CONFIG.MARKETAUX_BASE_URL}/news/all?${params.toString()}`;
-        
-        const response = await fetch(url, {
+        const response = await fetchWithRateLimit(url, {
             method: 'GET',
             headers: {
                 'Accept': 'application/json'
@@ -259,7 +510,7 @@ async function getCompanyNews(symbol, pageSize = 10, companyName = null) {
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
             console.error('❌ Marketaux API error:', errorData);
-            
+        
             if (response.status === 401) {
                 throw new Error('Invalid Marketaux API token');
             } else if (response.status === 429) {
@@ -278,138 +529,920 @@ async function getCompanyNews(symbol, pageSize = 10, companyName = null) {
         }
         
         // Transform Marketaux articles to match expected format
-        const articles = data.data.map(article => ({
-            title: article.title,
-            description: article.description,
-            url: article.url,
-            publishedAt: article.published_at,
-            source: {
-                name: article.source
-            },
-            urlToImage: article.image_url,
-            // Add sentiment data if available
-            sentiment: article.entities?.[0]?.sentiment_score || null,
-            entities: article.entities || []
-        }));
-        
-        Utils.setCache(cacheKey, articles);
-        console.log(`✅ Marketaux API successful - returned ${articles.length} articles for ${formattedSymbol}`);
-        return articles;
+        const articles = data.data.map(article => {
+            const entity = findMarketauxEntity(article.entities, formattedSymbol);
+            
+            return {
+                title: article.title,
+                description: article.description,
+                url: article.url,
+                publishedAt: article.published_at,
+                source: {
+                    name: article.source
+                },
+                urlToImage: article.image_url,
+                // Sentiment, relevance and snippets for the searched company only
+                sentiment: entity?.sentiment_score ?? null,
+                matchScore: entity?.match_score ?? null,
+                highlights: (entity?.highlights || []).map(highlight => ({
+                    text: highlight.highlight,
+                    sentiment: highlight.sentiment,
+                    highlightedIn: highlight.highlighted_in
+                })),
+                entity,
+                entities: article.entities || []
+            };
+        });
         
-    } catch (error) {
-        console.error('Failed to get company news from Marketaux:', error);
+        // meta.limit is the page size Marketaux actually applied (free plans return fewer than requested)
+        const meta = data.meta || {};
+        const found = meta.found ?? articles.length;
+        const perPage = meta.limit || articles.length;
         
-        // Return empty array instead of throwing error to prevent undefined issues
-        console.warn('Marketaux API failed, returning empty array');
-        return [];
-    }
+        console.log(`✅ Marketaux API successful - returned ${articles.length} of ${found} articles for ${formattedSymbol}`);
+        return {
+            articles,
+            page,
+            found,
+            hasMore: articles.length > 0 && page * perPage < found
+        };
+    });
 }
 
 /**
- * Get Wikipedia company description
+ * Get company news from Marketaux, paging through results
  * @param {string} symbol - Stock symbol
- * @param {string} companyName - Company name for Wikipedia search
- * @returns {Promise} - Promise with Wikipedia description
+ * @param {number} pageSize - Articles per page
+ * @param {Object} options - Paging options
+ * @param {number} options.pages - Maximum pages to read
+ * @param {string|Date} options.publishedAfter - Only articles published after this date
+ * @param {string|Date} options.publishedBefore - Only articles published before this date
+ * @returns {Promise} - Promise with news data
  */
-async function getWikipediaDescription(symbol, companyName) {
-    console.log('🔍 getWikipediaDescription called with symbol:', symbol, 'companyName:', companyName);
-    
-    const cacheKey = `wikipedia_${symbol}`;
+async function getMarketauxNews(symbol, pageSize = 10, { pages = 1, publishedAfter = null, publishedBefore = null } = {}) {
+    console.log('🔍 getMarketauxNews called with symbol:', symbol, 'pageSize:', pageSize, 'pages:', pages);
     
     try {
-        // Check cache first
-        const cachedData = Utils.getCache(cacheKey);
-        if (cachedData) {
-            console.log('🔍 Using cached Wikipedia description for:', symbol);
-            return cachedData;
-        }
+        const articles = [];
+        const seenUrls = new Set();
         
-        // Check rate limiting
-        if (!Utils.checkRateLimit()) {
-            throw new Error('Internal rate limit exceeded. Please try again later.');
+        for (let page = 1; page <= pages; page++) {
+            const result = await getMarketauxNewsPage(symbol, { pageSize, page, publishedAfter, publishedBefore });
+            
+            result.articles.forEach(article => {
+                if (!seenUrls.has(article.url)) {
+                    seenUrls.add(article.url);
+                    articles.push(article);
+                }
+            });
+            
+            if (!result.hasMore) break;
         }
         
-        // Search for Wikipedia page
-        const searchTerm = companyName || symbol;
-        const searchUrl = `${CONFIG.WIKIPEDIA_BASE_URL}/page/summary/${encodeURIComponent(searchTerm)}`;
-        
-        console.log('🔗 Fetching Wikipedia description...');
+        return articles;
         
-        const response = await fetch(searchUrl, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json'
-            }
+    } catch (error) {
+        console.error('Failed to get company news from Marketaux:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get company news from the first available news provider
+ * @param {string} symbol - Stock symbol
+ * @param {number} pageSize - Articles per page
+ * @param {string} companyName - Optional company name for providers that search by name
+ * @param {Object} options - History options
+ * @param {number} options.pages - Maximum pages to read (default 1)
+ * @param {string|Date} options.publishedAfter - Only articles published after this date
+ * @param {string|Date} options.publishedBefore - Only articles published before this date
+ * @param {boolean} options.throwOnError - Rethrow provider failures instead of returning an empty list
+ * @returns {Promise} - Promise with news data (newest first)
+ */
+async function getCompanyNews(symbol, pageSize = 10, companyName = null, { pages = 1, publishedAfter = null, publishedBefore = null, throwOnError = false } = {}) {
+    const formattedSymbol = Utils.formatTicker(symbol);
+    
+    try {
+        const articles = await Providers.fetchFromProviders('news', formattedSymbol, {
+            pageSize,
+            companyName,
+            pages,
+            publishedAfter,
+            publishedBefore
         });
         
-        if (!response.ok) {
-            console.warn('Wikipedia API not available, skipping description');
-            return null;
+        return (articles || []).sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+    } catch (error) {
+        // Callers paging through history need to tell a failure from an empty page
+        if (throwOnError) {
+            throw error;
         }
         
-        const data = await response.json();
-        console.log('🔍 Wikipedia API response:', data);
-        
-        if (!data.extract) {
-            console.warn('No Wikipedia extract found for:', searchTerm);
-            return null;
+        // Return empty array instead of throwing error to prevent undefined issues
+        console.warn('All news providers failed, returning empty array:', error);
+        return [];
+    }
+}
+
+// Wikidata classes that mark an item as a company
+const WIKIDATA_COMPANY_CLASSES = ['Q4830453', 'Q891723', 'Q6881511', 'Q783794', 'Q167037', 'Q1589009', 'Q18388277'];
+
+// Wikipedia short descriptions of company articles ("American multinational technology company")
+const COMPANY_DESCRIPTION_PATTERN = /\b(company|corporation|conglomerate|manufacturer|maker|retailer|bank|airline|brand|business|firm|provider|producer|operator|developer|insurer|chain|holding)\b/i;
+
+/**
+ * Make a Finnhub company name searchable ("Alphabet Inc Class A" -> "Alphabet Inc")
+ * @param {string} name - Company name
+ * @returns {string} - Name without share-class and security-type suffixes
+ */
+function cleanCompanyNameForSearch(name) {
+    return (name || '')
+        .replace(/\s+-\s+.*$/, '')
+        .replace(/\s+(class|cl|series)\s+[a-z]\b.*$/i, '')
+        .replace(/\s+(common stock|ordinary shares|ads|adr|depositary.*)$/i, '')
+        .trim();
+}
+
+/**
+ * Normalize a name for comparison ("Meta Platforms, Inc." -> "meta platforms")
+ * @param {string} name - Company name or article title
+ * @returns {string} - Lower-case name without punctuation and corporate suffixes
+ */
+function normalizeCompanyName(name) {
+    return (name || '')
+        .toLowerCase()
+        .replace(/\(.*?\)/g, '')
+        .replace(/[^a-z0-9& ]/g, ' ')
+        .replace(/\b(inc|incorporated|corp|corporation|co|company|ltd|limited|plc|sa|nv|ag|se|holdings?|group)\b/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Make a Wikimedia API request (Action API and Wikidata allow CORS with origin=*)
+ * @param {string} baseUrl - CONFIG.WIKIPEDIA_ACTION_URL or CONFIG.WIKIDATA_API_URL
+ * @param {Object} params - Query parameters
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise<Object>} - API response
+ */
+async function makeWikimediaRequest(baseUrl, params, cacheKey) {
+    const query = new URLSearchParams({ format: 'json', origin: '*', ...params });
+    return makeApiRequest(`${baseUrl}?${query.toString()}`, {
+        headers: {
+            'Accept': 'application/json'
         }
-        
-        // Clean and format the description
-        let description = data.extract;
-        
-        // Remove parenthetical citations like (NASDAQ: AAPL)
-        description = description.replace(/\([^)]*NASDAQ[^)]*\)/gi, '');
-        description = description.replace(/\([^)]*NYSE[^)]*\)/gi, '');
-        
-        // Remove other common citation patterns
-        description = description.replace(/\([^)]*\)/g, '');
-        
-        // Clean up extra spaces
-        description = description.replace(/\s+/g, ' ').trim();
-        
-        // Limit length to reasonable size
-        if (description.length > 500) {
+    }, cacheKey);
+}
+
+/**
+ * Read Wikipedia pages (title, short description, Wikidata ID, disambiguation flag) from an Action API query
+ * @param {Object} data - Action API response with prop=pageprops|description
+ * @returns {Array} - Pages in result order
+ */
+function readWikipediaPages(data) {
+    return Object.values(data?.query?.pages || {})
+        .map(page => ({
+            title: page.title,
+            description: page.description || '',
+            wikidataId: page.pageprops?.wikibase_item || null,
+            isDisambiguation: page.pageprops ? 'disambiguation' in page.pageprops : false,
+            index: page.index || 0
+        }))
+        .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Search Wikipedia for pages matching a company name
+ * @param {string} searchTerm - Search text
+ * @returns {Promise<Array>} - Candidate pages
+ */
+async function searchWikipediaPages(searchTerm) {
+    const data = await makeWikimediaRequest(CONFIG.WIKIPEDIA_ACTION_URL, {
+        action: 'query',
+        generator: 'search',
+        gsrsearch: searchTerm,
+        gsrlimit: '5',
+        prop: 'pageprops|description',
+        ppprop: 'wikibase_item|disambiguation',
+        redirects: '1'
+    }, `wikipedia_search_${searchTerm.toLowerCase().replace(/\s+/g, '_')}`);
+    
+    return readWikipediaPages(data);
+}
+
+/**
+ * Get the articles a disambiguation page links to
+ * @param {string} title - Disambiguation page title
+ * @returns {Promise<Array>} - Candidate pages
+ */
+async function getDisambiguationLinks(title) {
+    const data = await makeWikimediaRequest(CONFIG.WIKIPEDIA_ACTION_URL, {
+        action: 'query',
+        generator: 'links',
+        titles: title,
+        gpllimit: '50',
+        gplnamespace: '0',
+        prop: 'pageprops|description',
+        ppprop: 'wikibase_item|disambiguation',
+        redirects: '1'
+    }, `wikipedia_links_${title.replace(/\s+/g, '_')}`);
+    
+    return readWikipediaPages(data).filter(page => !page.isDisambiguation);
+}
+
+/**
+ * Get Wikidata entities
+ * @param {Array} ids - Wikidata IDs (up to 50)
+ * @param {string} props - Entity parts to return (e.g. "claims" or "labels")
+ * @returns {Promise<Object>} - Entities keyed by ID
+ */
+async function getWikidataEntities(ids, props) {
+    if (ids.length === 0) return {};
+    
+    const data = await makeWikimediaRequest(CONFIG.WIKIDATA_API_URL, {
+        action: 'wbgetentities',
+        ids: ids.join('|'),
+        props,
+        languages: 'en'
+    }, `wikidata_${props}_${ids.join('_')}`);
+    
+    return data?.entities || {};
+}
+
+/**
+ * Get the non-deprecated values of a Wikidata property (preferred values only, when there are any)
+ * @param {Object} entity - Wikidata entity with claims
+ * @param {string} property - Property ID (e.g. "P169")
+ * @returns {Array} - [{ value, qualifiers }]
+ */
+function getClaimValues(entity, property) {
+    const claims = (entity?.claims?.[property] || []).filter(claim => claim.rank !== 'deprecated');
+    const preferred = claims.filter(claim => claim.rank === 'preferred');
+    
+    return (preferred.length > 0 ? preferred : claims)
+        .map(claim => ({ value: claim.mainsnak?.datavalue?.value, qualifiers: claim.qualifiers || {} }))
+        .filter(claim => claim.value !== undefined);
+}
+
+/**
+ * Read the ticker symbols listed on a Wikidata entity (P414 stock exchange, qualifier P249 ticker)
+ * @param {Object} entity - Wikidata entity with claims
+ * @returns {Array} - Upper-case ticker symbols
+ */
+function getWikidataTickers(entity) {
+    return (entity?.claims?.P414 || []).flatMap(claim =>
+        (claim.qualifiers?.P249 || []).map(qualifier => String(qualifier.datavalue?.value || '').toUpperCase()));
+}
+
+/**
+ * Score how likely a page is the searched company's article
+ * @param {Object} page - Candidate page
+ * @param {Object} entity - Its Wikidata entity (claims), if any
+ * @param {string} symbol - Stock symbol
+ * @param {string} companyName - Company name
+ * @returns {number} - Score (higher is better; below 10 means "not a company")
+ */
+function scoreWikipediaCandidate(page, entity, symbol, companyName) {
+    let score = 0;
+    
+    // A Wikidata listing with this ticker is as close to proof as we get (BRK.B and BRK-B both count)
+    const tickers = getWikidataTickers(entity);
+    const listedSymbol = Utils.formatTickerForProvider(symbol, 'wikidata').replace(/[.-]/g, '');
+    if (tickers.some(ticker => ticker.replace(/[.-]/g, '') === listedSymbol)) {
+        score += 100;
+    }
+    
+    const classes = getClaimValues(entity, 'P31').map(claim => claim.value.id);
+    if (classes.some(id => WIKIDATA_COMPANY_CLASSES.includes(id)) || tickers.length > 0) {
+        score += 20;
+    }
+    
+    if (COMPANY_DESCRIPTION_PATTERN.test(page.description)) {
+        score += 10;
+    }
+    
+    // A matching name only counts for pages that already look like companies ("Apple (fruit)" doesn't)
+    if (score === 0) {
+        return score - page.index;
+    }
+    
+    const title = normalizeCompanyName(page.title);
+    const name = normalizeCompanyName(companyName);
+    if (title && title === name) {
+        score += 15;
+    } else if (title && name && (title.startsWith(name) || name.startsWith(title))) {
+        score += 5;
+    }
+    
+    // Prefer earlier search results
+    return score - page.index;
+}
+
+/**
+ * Pick the company's article from candidate pages
+ * @param {Array} pages - Candidate pages (no disambiguation pages)
+ * @param {string} symbol - Stock symbol
+ * @param {string} companyName - Company name
+ * @returns {Promise<Object|null>} - Best page with its score, or null
+ */
+async function pickWikipediaCandidate(pages, symbol, companyName) {
+    const ids = pages.map(page => page.wikidataId).filter(Boolean).slice(0, 50);
+    const entities = await getWikidataEntities(ids, 'claims');
+    
+    return pages
+        .map(page => ({ ...page, score: scoreWikipediaCandidate(page, entities[page.wikidataId], symbol, companyName) }))
+        .sort((a, b) => b.score - a.score)[0] || null;
+}
+
+/**
+ * Find a company's Wikipedia article: search, skip or expand disambiguation pages, then
+ * rank candidates by Wikidata ticker listings, company type and name match
+ * @param {string} symbol - Stock symbol
+ * @param {string} companyName - Company name from the profile
+ * @returns {Promise<Object|null>} - { title, wikidataId, description } or null if nothing fits
+ */
+async function resolveWikipediaArticle(symbol, companyName) {
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const cacheKey = `wikipedia_article_${formattedSymbol}`;
+    
+    return withCache(cacheKey, () => coalesceRequest(cacheKey, async () => {
+        const searchTerm = cleanCompanyNameForSearch(companyName) || formattedSymbol;
+        const pages = await searchWikipediaPages(searchTerm);
+        
+        let best = await pickWikipediaCandidate(pages.filter(page => !page.isDisambiguation), formattedSymbol, searchTerm);
+        
+        // Nothing company-like: look through the disambiguation page the search found (e.g. "Alphabet")
+        const disambiguation = pages.find(page => page.isDisambiguation);
+        if ((!best || best.score < 10) && disambiguation) {
+            const linked = await getDisambiguationLinks(disambiguation.title);
+            const linkedBest = await pickWikipediaCandidate(linked, formattedSymbol, searchTerm);
+            if (linkedBest && (!best || linkedBest.score > best.score)) {
+                best = linkedBest;
+            }
+        }
+        
+        if (!best || best.score < 10) {
+            console.warn('No Wikipedia article found for:', searchTerm);
+            return null;
+        }
+        
+        console.log(`✅ Wikipedia article for ${formattedSymbol}: ${best.title}`);
+        return { title: best.title, wikidataId: best.wikidataId, description: best.description };
+    }));
+}
+
+/**
+ * Tidy a Wikipedia extract: drop listings like "(NASDAQ: AAPL)" and pronunciations,
+ * but keep informative parentheticals like "(formerly Facebook, Inc.)"
+ * @param {string} extract - Article extract
+ * @returns {string} - Cleaned text
+ */
+function cleanWikipediaExtract(extract) {
+    return extract
+        .replace(/\s*\([^()]*\b(NASDAQ|NYSE|AMEX|LSE|TSX|TSE|TYO|HKEX|ASX|Euronext|FWB|SIX|OTC)\b[^()]*\)/gi, '')
+        .replace(/\s*\([^()]*(\/[^/()]+\/|ⓘ|listen|pronounced)[^()]*\)/gi, '')
+        .replace(/\s*\(\s*[;,]?\s*\)/g, '')
+        .replace(/\s+([,.;])/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Get company description from Wikipedia
+ * @param {string} symbol - Stock symbol
+ * @param {string} companyName - Company name
+ * @returns {Promise<string|null>} - Description or null if no article was found
+ */
+async function getWikipediaDescription(symbol, companyName) {
+    console.log('🔍 getWikipediaDescription called with symbol:', symbol, 'companyName:', companyName);
+    
+    try {
+        const article = await resolveWikipediaArticle(symbol, companyName);
+        if (!article) return null;
+        
+        const title = article.title.replace(/ /g, '_');
+        const summaryUrl = await resolveEndpoint('wikipedia', `wikipedia/${encodeURIComponent(title)}`,
+            () => `${CONFIG.WIKIPEDIA_BASE_URL}/page/summary/${encodeURIComponent(title)}`);
+        
+        const data = await makeApiRequest(summaryUrl, {
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, `wikipedia_summary_${title}`);
+        
+        if (!data || !data.extract) {
+            console.warn('No Wikipedia extract found for:', article.title);
+            return null;
+        }
+        
+        let description = cleanWikipediaExtract(data.extract);
+        
+        // Limit length to reasonable size
+        if (description.length > 500) {
             description = description.substring(0, 500) + '...';
         }
         
-        Utils.setCache(cacheKey, description);
         console.log(`✅ Wikipedia description successful for ${symbol}`);
         return description;
         
     } catch (error) {
-        console.error('Failed to get Wikipedia description:', error);
+        if (isAbortError(error)) throw error;
+        console.error('Failed to get Wikipedia description:', error);
+        return null;
+    }
+}
+
+/**
+ * Read a Wikidata time value
+ * @param {Object} value - { time: "+1976-04-01T00:00:00Z", precision }
+ * @returns {Object|null} - { date (ISO), precision: 'year' | 'month' | 'day' }
+ */
+function readWikidataTime(value) {
+    const match = /^([+-]\d+)-(\d{2})-(\d{2})/.exec(value?.time || '');
+    if (!match) return null;
+    
+    const precision = value.precision >= 11 ? 'day' : value.precision === 10 ? 'month' : 'year';
+    const [, year, month, day] = match;
+    
+    return {
+        date: `${parseInt(year, 10)}-${month === '00' ? '01' : month}-${day === '00' ? '01' : day}`,
+        precision
+    };
+}
+
+/**
+ * Get structured company facts from Wikidata
+ * @param {string} symbol - Stock symbol
+ * @param {string} companyName - Company name
+ * @returns {Promise<Object|null>} - { wikidataId, wikipediaTitle, founded, headquarters, ceo, employees, employeesAsOf, founders }
+ */
+async function getWikidataFacts(symbol, companyName) {
+    console.log('🔍 getWikidataFacts called with symbol:', symbol);
+    
+    try {
+        const article = await resolveWikipediaArticle(symbol, companyName);
+        if (!article || !article.wikidataId) return null;
+        
+        const entity = (await getWikidataEntities([article.wikidataId], 'claims'))[article.wikidataId];
+        if (!entity) return null;
+        
+        // Current CEO: a CEO statement without an end time (P582)
+        const ceoClaims = getClaimValues(entity, 'P169');
+        const currentCeo = ceoClaims.filter(claim => !claim.qualifiers.P582).pop() || ceoClaims.pop();
+        
+        // Latest employee count by point in time (P585)
+        const employeeClaims = getClaimValues(entity, 'P1128')
+            .map(claim => ({
+                count: parseFloat(claim.value.amount),
+                asOf: readWikidataTime(claim.qualifiers.P585?.[0]?.datavalue?.value)
+            }))
+            .filter(claim => !isNaN(claim.count))
+            .sort((a, b) => (b.asOf?.date || '').localeCompare(a.asOf?.date || ''));
+        
+        const headquarters = getClaimValues(entity, 'P159')[0];
+        const founderIds = getClaimValues(entity, 'P112').map(claim => claim.value.id);
+        
+        // Referenced items (people, places) need a second call for their names
+        const itemIds = [currentCeo?.value.id, headquarters?.value.id, ...founderIds].filter(Boolean);
+        const labelEntities = await getWikidataEntities([...new Set(itemIds)], 'labels');
+        const labelFor = id => labelEntities[id]?.labels?.en?.value || null;
+        
+        return {
+            wikidataId: article.wikidataId,
+            wikipediaTitle: article.title,
+            founded: readWikidataTime(getClaimValues(entity, 'P571')[0]?.value),
+            headquarters: headquarters ? labelFor(headquarters.value.id) : null,
+            ceo: currentCeo ? labelFor(currentCeo.value.id) : null,
+            employees: employeeClaims[0]?.count ?? null,
+            employeesAsOf: employeeClaims[0]?.asOf || null,
+            founders: founderIds.map(labelFor).filter(Boolean)
+        };
+        
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error('Failed to get Wikidata facts:', error);
+        return null;
+    }
+}
+
+/**
+ * Get annual EPS consensus estimates from Finnhub
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Estimates ([{ period, year, epsAvg, epsHigh, epsLow, numberAnalysts }]), newest period first
+ */
+async function getEpsEstimates(symbol) {
+    console.log('🔍 getEpsEstimates called with symbol:', symbol);
+    
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const cacheKey = `finnhub_eps_estimate_${formattedSymbol}`;
+    
+    const url = await resolveEndpoint('finnhub', `eps-estimate/${encodeURIComponent(formattedSymbol)}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/eps-estimate?symbol=${formattedSymbol}&freq=annual&token=${Settings.getApiKey('finnhub')}`);
+    
+    try {
+        const data = await makeApiRequest(url, {}, cacheKey);
+        
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        
+        return data.data || [];
+        
+    } catch (error) {
+        console.error('Failed to get EPS estimates:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get insider transactions (SEC Form 4) from Finnhub for the lookback window
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Transactions ([{ name, share, change, filingDate, transactionDate, transactionCode, transactionPrice, isDerivative }])
+ */
+async function getInsiderTransactions(symbol) {
+    console.log('🔍 getInsiderTransactions called with symbol:', symbol);
+    
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const today = new Date();
+    const to = today.toISOString().slice(0, 10);
+    const from = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - CONFIG.INSIDER_LOOKBACK_MONTHS, today.getUTCDate())).toISOString().slice(0, 10);
+    const cacheKey = `finnhub_insider_transactions_${formattedSymbol}_${from}_${to}`;
+    
+    const url = await resolveEndpoint('finnhub', `insider-transactions/${encodeURIComponent(formattedSymbol)}?from=${from}&to=${to}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/insider-transactions?symbol=${formattedSymbol}&from=${from}&to=${to}&token=${Settings.getApiKey('finnhub')}`);
+    
+    try {
+        const data = await makeApiRequest(url, {}, cacheKey);
+        
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        
+        return data.data || [];
+        
+    } catch (error) {
+        console.error('Failed to get insider transactions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get company executives from Finnhub (used to put a role next to insider names)
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Executives ([{ name, position, since }])
+ */
+async function getCompanyExecutives(symbol) {
+    console.log('🔍 getCompanyExecutives called with symbol:', symbol);
+    
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const cacheKey = `finnhub_executives_${formattedSymbol}`;
+    
+    const url = await resolveEndpoint('finnhub', `executives/${encodeURIComponent(formattedSymbol)}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/executive?symbol=${formattedSymbol}&token=${Settings.getApiKey('finnhub')}`);
+    
+    try {
+        const data = await makeApiRequest(url, {}, cacheKey);
+        
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        
+        return data.executive || [];
+        
+    } catch (error) {
+        console.error('Failed to get company executives:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get insider transactions with the executive list used to label roles
+ * Roles are best effort: without executive data every insider is shown without one.
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} - { transactions, executives }
+ */
+async function getInsiderActivity(symbol) {
+    const [transactions, executives] = await Promise.all([
+        getInsiderTransactions(symbol),
+        getCompanyExecutives(symbol).catch(() => [])
+    ]);
+    
+    return { transactions, executives };
+}
+
+/**
+ * Get monthly analyst recommendation trends from Finnhub
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Trends ([{ period, strongBuy, buy, hold, sell, strongSell }]), newest month first
+ */
+async function getRecommendationTrends(symbol) {
+    console.log('🔍 getRecommendationTrends called with symbol:', symbol);
+    
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const cacheKey = `finnhub_recommendation_${formattedSymbol}`;
+    
+    const url = await resolveEndpoint('finnhub', `recommendation/${encodeURIComponent(formattedSymbol)}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/recommendation?symbol=${formattedSymbol}&token=${Settings.getApiKey('finnhub')}`);
+    
+    try {
+        const data = await makeApiRequest(url, {}, cacheKey);
+        
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        
+        return Array.isArray(data) ? data : [];
+        
+    } catch (error) {
+        console.error('Failed to get recommendation trends:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get analyst upgrades and downgrades from Finnhub for the lookback window
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Rating changes ([{ gradeTime, company, fromGrade, toGrade, action }])
+ */
+async function getRatingChanges(symbol) {
+    console.log('🔍 getRatingChanges called with symbol:', symbol);
+    
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const today = new Date();
+    const to = today.toISOString().slice(0, 10);
+    const from = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - CONFIG.RATING_CHANGE_LOOKBACK_MONTHS, today.getUTCDate())).toISOString().slice(0, 10);
+    const cacheKey = `finnhub_upgrade_downgrade_${formattedSymbol}_${from}_${to}`;
+    
+    const url = await resolveEndpoint('finnhub', `upgrade-downgrade/${encodeURIComponent(formattedSymbol)}?from=${from}&to=${to}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/upgrade-downgrade?symbol=${formattedSymbol}&from=${from}&to=${to}&token=${Settings.getApiKey('finnhub')}`);
+    
+    try {
+        const data = await makeApiRequest(url, {}, cacheKey);
+        
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        
+        return Array.isArray(data) ? data : [];
+        
+    } catch (error) {
+        console.error('Failed to get rating changes:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get recommendation trends with the upgrade/downgrade history
+ * Rating changes are a premium Finnhub endpoint, so trends still show without them.
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} - { trends, ratingChanges }
+ */
+async function getAnalystActivity(symbol) {
+    const [trends, ratingChanges] = await Promise.all([
+        getRecommendationTrends(symbol),
+        getRatingChanges(symbol).catch(() => [])
+    ]);
+    
+    return { trends, ratingChanges };
+}
+
+/**
+ * Get the date range for dividend and split history
+ * @returns {Object} - { from, to } (YYYY-MM-DD)
+ */
+function getDividendHistoryRange() {
+    const today = new Date();
+    return {
+        from: new Date(Date.UTC(today.getUTCFullYear() - CONFIG.DIVIDEND_HISTORY_YEARS, 0, 1)).toISOString().slice(0, 10),
+        to: today.toISOString().slice(0, 10)
+    };
+}
+
+/**
+ * Get dividend history from Finnhub
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Dividends ([{ date, amount, adjustedAmount, payDate, recordDate, declarationDate, currency }])
+ */
+async function getDividendHistory(symbol) {
+    console.log('🔍 getDividendHistory called with symbol:', symbol);
+    
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const { from, to } = getDividendHistoryRange();
+    const cacheKey = `finnhub_dividend_${formattedSymbol}_${from}_${to}`;
+    
+    const url = await resolveEndpoint('finnhub', `dividend/${encodeURIComponent(formattedSymbol)}?from=${from}&to=${to}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/dividend?symbol=${formattedSymbol}&from=${from}&to=${to}&token=${Settings.getApiKey('finnhub')}`);
+    
+    try {
+        const data = await makeApiRequest(url, {}, cacheKey);
+        
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        
+        return Array.isArray(data) ? data : [];
+        
+    } catch (error) {
+        console.error('Failed to get dividend history:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get stock split history from Finnhub
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Splits ([{ date, fromFactor, toFactor }])
+ */
+async function getSplitHistory(symbol) {
+    console.log('🔍 getSplitHistory called with symbol:', symbol);
+    
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const { from, to } = getDividendHistoryRange();
+    const cacheKey = `finnhub_split_${formattedSymbol}_${from}_${to}`;
+    
+    const url = await resolveEndpoint('finnhub', `split/${encodeURIComponent(formattedSymbol)}?from=${from}&to=${to}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/split?symbol=${formattedSymbol}&from=${from}&to=${to}&token=${Settings.getApiKey('finnhub')}`);
+    
+    try {
+        const data = await makeApiRequest(url, {}, cacheKey);
+        
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        
+        return Array.isArray(data) ? data : [];
+        
+    } catch (error) {
+        console.error('Failed to get split history:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get dividend and split history together
+ * Either list may be missing (both endpoints are on paid Finnhub plans); fails only if both do.
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} - { dividends, splits }
+ */
+async function getCorporateActions(symbol) {
+    const [dividends, splits] = await Promise.allSettled([getDividendHistory(symbol), getSplitHistory(symbol)]);
+    
+    if (dividends.status === 'rejected' && splits.status === 'rejected') {
+        throw dividends.reason;
+    }
+    
+    return {
+        dividends: dividends.status === 'fulfilled' ? dividends.value : [],
+        splits: splits.status === 'fulfilled' ? splits.value : []
+    };
+}
+
+/**
+ * Get peer companies (same industry) from Finnhub
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Peer symbols (the list usually starts with the symbol itself)
+ */
+async function getPeers(symbol) {
+    console.log('🔍 getPeers called with symbol:', symbol);
+    
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const cacheKey = `finnhub_peers_${formattedSymbol}`;
+    
+    const url = await resolveEndpoint('finnhub', `peers/${encodeURIComponent(formattedSymbol)}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/peers?symbol=${formattedSymbol}&token=${Settings.getApiKey('finnhub')}`);
+    
+    try {
+        const data = await makeApiRequest(url, {}, cacheKey);
+    
+        if (data.error) {
+            throw new Error(data.error);
+        }
+    
+        return Array.isArray(data) ? data : [];
+    
+    } catch (error) {
+        console.error('Failed to get peers:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a lightweight snapshot of one company: profile and key metrics
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} - { symbol, profile, metrics } (metrics may be null)
+ */
+async function getPeerSnapshot(symbol) {
+    const formattedSymbol = Utils.formatTicker(symbol);
+    
+    const [profile, metrics] = await Promise.allSettled([
+        Providers.fetchFromProviders('profile', formattedSymbol),
+        Providers.fetchFromProviders('metrics', formattedSymbol)
+    ]);
+    
+    return {
+        symbol: formattedSymbol,
+        profile: profile.status === 'fulfilled' ? profile.value : null,
+        metrics: metrics.status === 'fulfilled' ? metrics.value : null
+    };
+}
+
+/**
+ * Get a company's profile and key metrics from the cache only, without any requests
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} - { symbol, profile, metrics } (null where nothing is cached)
+ */
+async function getCachedPeerSnapshot(symbol) {
+    const formattedSymbol = Utils.formatTicker(symbol);
+    await Utils.whenCacheReady();
+    
+    return {
+        symbol: formattedSymbol,
+        profile: Utils.getCacheEntry(`finnhub_profile_${formattedSymbol}`)?.data || null,
+        metrics: Utils.getCacheEntry(`finnhub_basic_financials_${formattedSymbol}`)?.data || null
+    };
+}
+
+/**
+ * Get snapshots of a company's peers
+ * Only the peers listed in the peers panel (the first CONFIG.PEER_PANEL_LIMIT) are requested;
+ * the rest rank the overview metrics only when they are already cached, so they cost no requests.
+ * Peers whose profile can't be loaded are left out. News is loaded separately with getPeerNews.
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Snapshots ({ symbol, profile, metrics }), in the provider's peer order
+ */
+async function getPeerSnapshots(symbol) {
+    console.log('🔍 getPeerSnapshots called with symbol:', symbol);
+    
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const peers = await Providers.fetchFromProviders('peers', formattedSymbol) || [];
+    const peerSymbols = [...new Set(peers.map(peer => Utils.formatTicker(peer)))]
+        .filter(peer => peer && peer !== formattedSymbol)
+        .slice(0, CONFIG.PEER_LIMIT);
+    
+    // Demo data costs nothing, so every peer is loaded there
+    const snapshots = await Promise.allSettled(peerSymbols.map((peer, index) =>
+        index < CONFIG.PEER_PANEL_LIMIT || Settings.isDemoMode() ? getPeerSnapshot(peer) : getCachedPeerSnapshot(peer)));
+    
+    snapshots
+        .filter(snapshot => snapshot.status === 'rejected')
+        .forEach(snapshot => console.warn('Peer snapshot failed:', snapshot.reason));
+    
+    return snapshots
+        .filter(snapshot => snapshot.status === 'fulfilled' && snapshot.value.profile)
+        .map(snapshot => snapshot.value);
+}
+
+/**
+ * Get a peer's news from the last CONFIG.PEER_NEWS_DAYS, for its news sentiment
+ * @param {string} symbol - Stock symbol
+ * @param {string} companyName - Optional company name for providers that search by name
+ * @returns {Promise<Array|null>} - Articles, or null when there is no news source or it failed
+ */
+async function getPeerNews(symbol, companyName = null) {
+    const publishedAfter = new Date(Date.now() - CONFIG.PEER_NEWS_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    
+    try {
+        const news = await getCompanyNews(symbol, CONFIG.NEWS_PAGE_SIZE, companyName, { publishedAfter, throwOnError: true });
+        
+        // The demo-mode placeholder (which links nowhere) means there is no news source, not that there is no news
+        return news.some(article => article.url === '#') ? null : news;
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        
+        console.warn(`Failed to get news for peer ${symbol}:`, error);
         return null;
     }
 }
 
 /**
- * Get earnings calendar from Finnhub
+ * Get the next scheduled earnings report from the Finnhub earnings calendar
  * @param {string} symbol - Stock symbol
- * @returns {Promise} - Promise with earnings data
+ * @returns {Promise<Object|null>} - Calendar entry ({ date, hour, quarter, year, epsEstimate, revenueEstimate }) or null if none is scheduled
  */
 async function getEarningsCalendar(symbol) {
+    console.log('🔍 getEarningsCalendar called with symbol:', symbol);
+    
     const formattedSymbol = Utils.formatTicker(symbol);
-    const cacheKey = `earnings_${formattedSymbol}`;
+    const today = new Date().toISOString().slice(0, 10);
+    const until = new Date(Date.now() + CONFIG.EARNINGS_CALENDAR_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const cacheKey = `finnhub_earnings_calendar_${formattedSymbol}_${today}_${until}`;
+    
+    const url = await resolveEndpoint('finnhub', `earnings-calendar/${encodeURIComponent(formattedSymbol)}?from=${today}&to=${until}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/calendar/earnings?symbol=${formattedSymbol}&from=${today}&to=${until}&token=${Settings.getApiKey('finnhub')}`);
     
     try {
-        // Use Finnhub earnings data instead of Alpha Vantage
-        const earnings = await getFinnhubEarnings(formattedSymbol);
-        
-        // Transform Finnhub earnings data to match expected format
-        const transformedEarnings = earnings.map(earning => ({
-            symbol: earning.symbol,
-            reportDate: earning.period,
-            estimate: earning.estimate,
-            actual: earning.actual,
-            surprise: earning.surprise,
-            surprisePercent: earning.surprisePercent
-        }));
+        const data = await makeApiRequest(url, {}, cacheKey);
+        
+        if (data.error) {
+            throw new Error(data.error);
+        }
         
-        // Cache the transformed data
-        Utils.setCache(cacheKey, transformedEarnings);
+        // The calendar can list more than one report in the window; the earliest is next
+        const upcoming = (data.earningsCalendar || [])
+            .filter(entry => entry.date && entry.date >= today)
+            .sort((a, b) => a.date.localeCompare(b.date));
         
-        return transformedEarnings;
+        return upcoming[0] || null;
         
     } catch (error) {
         console.error('Failed to get earnings calendar:', error);
@@ -418,9 +1451,9 @@ async function getEarningsCalendar(symbol) {
 }
 
 /**
- * Get company search results from Alpha Vantage
+ * Search Finnhub for symbols matching a company name or ticker
  * @param {string} keywords - Search keywords
- * @returns {Promise} - Promise with search results
+ * @returns {Promise} - Promise with search results ({ symbol, name, type, exchange })
  */
 async function searchCompanies(keywords) {
     const cacheKey = `company_search_${keywords.toLowerCase().replace(/\s+/g, '_')}`;
@@ -428,7 +1461,8 @@ async function searchCompanies(keywords) {
     try {
         // Use Finnhub symbol lookup instead of Alpha Vantage
         const formattedKeywords = encodeURIComponent(keywords);
-        const url = `${CONFIG.FINNHUB_BASE_URL}/search?q=${formattedKeywords}&token=${CONFIG.FINNHUB_API_KEY}`;
+        const url = await resolveEndpoint('finnhub', `search?q=${formattedKeywords}`,
+            () => `${CONFIG.FINNHUB_BASE_URL}/search?q=${formattedKeywords}&token=${Settings.getApiKey('finnhub')}`);
         
         const data = await makeApiRequest(url, {}, cacheKey);
         
@@ -438,10 +1472,10 @@ async function searchCompanies(keywords) {
         
         // Transform Finnhub search results to match expected format
         const transformedResults = data.result?.map(item => ({
-            symbol: item.symbol,
+            symbol: item.displaySymbol || item.symbol,
             name: item.description,
             type: item.type,
-            primaryExchange: item.primaryExchange
+            exchange: item.primaryExchange || item.exchange || null
         })) || [];
         
         return transformedResults;
@@ -465,7 +1499,8 @@ async function getFinnhubBasicFinancials(symbol) {
     const formattedSymbol = Utils.formatTicker(symbol);
     const cacheKey = `finnhub_basic_financials_${formattedSymbol}`;
     
-    const url = `${CONFIG.FINNHUB_BASE_URL}/stock/metric?symbol=${formattedSymbol}&metric=all&token=${CONFIG.FINNHUB_API_KEY}`;
+    const url = await resolveEndpoint('finnhub', `metrics/${encodeURIComponent(formattedSymbol)}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/metric?symbol=${formattedSymbol}&metric=all&token=${Settings.getApiKey('finnhub')}`);
     
     try {
         const data = await makeApiRequest(url, {}, cacheKey);
@@ -494,7 +1529,8 @@ async function getFinnhubEarnings(symbol) {
     const formattedSymbol = Utils.formatTicker(symbol);
     const cacheKey = `finnhub_earnings_${formattedSymbol}`;
     
-    const url = `${CONFIG.FINNHUB_BASE_URL}/stock/earnings?symbol=${formattedSymbol}&limit=10&token=${CONFIG.FINNHUB_API_KEY}`;
+    const url = await resolveEndpoint('finnhub', `earnings/${encodeURIComponent(formattedSymbol)}`,
+        () => `${CONFIG.FINNHUB_BASE_URL}/stock/earnings?symbol=${formattedSymbol}&limit=12&token=${Settings.getApiKey('finnhub')}`);
     
     try {
         const data = await makeApiRequest(url, {}, cacheKey);
@@ -512,6 +1548,23 @@ async function getFinnhubEarnings(symbol) {
     }
 }
 
+/**
+ * Add articles from user feeds to the news list
+ * @param {Array} news - Articles from the news providers
+ * @param {Array} feedArticles - Articles from user-added RSS/Atom feeds
+ * @returns {Array} - Combined articles without duplicate URLs, newest first
+ */
+function mergeFeedArticles(news, feedArticles) {
+    if (!Array.isArray(feedArticles) || feedArticles.length === 0) {
+        return news;
+    }
+    
+    const seenUrls = new Set(news.map(article => article.url));
+    const newArticles = feedArticles.filter(article => !seenUrls.has(article.url));
+    
+    return [...news, ...newArticles].sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+}
+
 /**
  * Get comprehensive stock data (combines multiple APIs)
  * @param {string} symbol - Stock symbol
@@ -523,35 +1576,47 @@ async function getComprehensiveStockData(symbol) {
     const formattedSymbol = Utils.formatTicker(symbol);
     
     try {
-        // First get Finnhub profile to extract company name
-        const profile = await getFinnhubStockProfile(formattedSymbol);
+        // First get the profile to extract company name
+        const profile = await Providers.fetchFromProviders('profile', formattedSymbol);
         const companyName = profile?.name || formattedSymbol;
         
-        // Then fetch quote, basic financials, earnings, news, and Wikipedia description in parallel
-        const [quote, basicFinancials, earnings, news, wikipediaDescription] = await Promise.allSettled([
-            getFinnhubQuote(formattedSymbol),
-            getFinnhubBasicFinancials(formattedSymbol),
-            getFinnhubEarnings(formattedSymbol),
-            getCompanyNews(formattedSymbol, 5, companyName),
-            getWikipediaDescription(formattedSymbol, companyName)
+        // Then fetch quote, basic financials, earnings, the earnings calendar, EPS estimates, insider transactions, analyst ratings, dividends and splits, news, description, facts, filings, reported financials, social posts and user feeds in parallel
+        const [quote, basicFinancials, earnings, upcomingEarnings, estimates, insiders, analysts, dividends, news, wikipediaDescription, facts, filings, financials, social, feeds] = await Promise.allSettled([
+            Providers.fetchFromProviders('quote', formattedSymbol),
+            Providers.fetchFromProviders('metrics', formattedSymbol),
+            Providers.fetchFromProviders('earnings', formattedSymbol),
+            Providers.fetchFromProviders('calendar', formattedSymbol),
+            Providers.fetchFromProviders('estimates', formattedSymbol),
+            Providers.fetchFromProviders('insiders', formattedSymbol),
+            Providers.fetchFromProviders('analysts', formattedSymbol),
+            Providers.fetchFromProviders('dividends', formattedSymbol),
+            getCompanyNews(formattedSymbol, CONFIG.NEWS_PAGE_SIZE, companyName, { pages: CONFIG.NEWS_INITIAL_PAGES }),
+            Providers.fetchFromProviders('description', formattedSymbol, { companyName }),
+            Providers.fetchFromProviders('facts', formattedSymbol, { companyName }),
+            Providers.fetchFromProviders('filings', formattedSymbol),
+            Providers.fetchFromProviders('financials', formattedSymbol),
+            Providers.fetchFromProviders('social', formattedSymbol, { companyName }),
+            Providers.fetchFromProviders('feeds', formattedSymbol, { companyName })
         ]);
         
-        // Extract Marketaux entities from news for better company description
+        // Without a profile or a traded price there's no such ticker (Finnhub answers unknown symbols with empty data)
+        if (!profile && !(quote.status === 'fulfilled' && quote.value?.c)) {
+            throw new Error(`Stock ticker ${formattedSymbol} not found`);
+        }
+        
+        // Extract the searched company's Marketaux entity from news for better company description
         let marketauxEntities = null;
         if (news.status === 'fulfilled' && news.value && news.value.length > 0) {
-            // Get entities from the first article that has them
-            for (const article of news.value) {
-                if (article.entities && Array.isArray(article.entities) && article.entities.length > 0) {
-                    marketauxEntities = article.entities;
-                    break;
-                }
+            const article = news.value.find(item => item.entity);
+            if (article) {
+                marketauxEntities = [article.entity];
             }
         }
         
         // Re-process profile with Marketaux entities and Wikipedia description for better description
         const wikipediaDesc = wikipediaDescription.status === 'fulfilled' ? wikipediaDescription.value : null;
-        console.log('🔍 Wikipedia description status:', wikipediaDescription.status);
-        console.log('🔍 Wikipedia description value:', wikipediaDesc);
+        console.log('🔍 Description status:', wikipediaDescription.status);
+        console.log('🔍 Description value:', wikipediaDesc);
         const enhancedProfile = profile ? DataProcessor.processFinnhubProfile(profile, marketauxEntities, wikipediaDesc) : null;
         console.log('🔍 Enhanced profile description:', enhancedProfile?.description);
         
@@ -562,7 +1627,16 @@ async function getComprehensiveStockData(symbol) {
             quote: quote.status === 'fulfilled' ? quote.value : null,
             basicFinancials: basicFinancials.status === 'fulfilled' ? basicFinancials.value : null,
             earnings: earnings.status === 'fulfilled' ? earnings.value : null,
-            news: news.status === 'fulfilled' ? news.value : [],
+            upcomingEarnings: upcomingEarnings.status === 'fulfilled' ? upcomingEarnings.value : null,
+            estimates: estimates.status === 'fulfilled' ? estimates.value : null,
+            insiders: insiders.status === 'fulfilled' ? insiders.value : null,
+            analysts: analysts.status === 'fulfilled' ? analysts.value : null,
+            dividends: dividends.status === 'fulfilled' ? dividends.value : null,
+            news: mergeFeedArticles(news.status === 'fulfilled' ? news.value : [], feeds.status === 'fulfilled' ? feeds.value : null),
+            facts: facts.status === 'fulfilled' ? facts.value : null,
+            filings: filings.status === 'fulfilled' ? filings.value : null,
+            financials: financials.status === 'fulfilled' ? financials.value : null,
+            social: social.status === 'fulfilled' && social.value ? social.value : [],
             lastUpdated: new Date().toISOString()
         };
         
@@ -570,11 +1644,41 @@ async function getComprehensiveStockData(symbol) {
         if (quote.status === 'rejected') {
             console.warn('Stock quote failed:', quote.reason);
         }
+        if (upcomingEarnings.status === 'rejected') {
+            console.warn('Earnings calendar failed:', upcomingEarnings.reason);
+        }
+        if (estimates.status === 'rejected') {
+            console.warn('EPS estimates failed:', estimates.reason);
+        }
+        if (insiders.status === 'rejected') {
+            console.warn('Insider transactions failed:', insiders.reason);
+        }
+        if (analysts.status === 'rejected') {
+            console.warn('Analyst ratings failed:', analysts.reason);
+        }
+        if (dividends.status === 'rejected') {
+            console.warn('Dividends and splits failed:', dividends.reason);
+        }
         if (news.status === 'rejected') {
             console.warn('Company news failed:', news.reason);
         }
         if (wikipediaDescription.status === 'rejected') {
-            console.warn('Wikipedia description failed:', wikipediaDescription.reason);
+            console.warn('Company description failed:', wikipediaDescription.reason);
+        }
+        if (facts.status === 'rejected') {
+            console.warn('Company facts failed:', facts.reason);
+        }
+        if (filings.status === 'rejected') {
+            console.warn('SEC filings failed:', filings.reason);
+        }
+        if (financials.status === 'rejected') {
+            console.warn('Reported financials failed:', financials.reason);
+        }
+        if (social.status === 'rejected') {
+            console.warn('Social posts failed:', social.reason);
+        }
+        if (feeds.status === 'rejected') {
+            console.warn('News feeds failed:', feeds.reason);
         }
         
         return result;
@@ -586,30 +1690,117 @@ async function getComprehensiveStockData(symbol) {
 }
 
 /**
- * Validate API keys
- * @returns {Object} - Object with validation results
+ * Read quota headers from a provider response
+ * @param {Response} response - Fetch response
+ * @param {string} limitHeader - Header with the request limit
+ * @param {string} remainingHeader - Header with the requests left
+ * @returns {Object|null} - { limit, remaining } or null if the provider didn't report it
  */
-function validateApiKeys() {
-    const results = {
-        finnhub: false,
-        marketaux: false,
-        message: ''
-    };
+function readQuotaHeaders(response, limitHeader, remainingHeader) {
+    const remaining = parseInt(response.headers.get(remainingHeader), 10);
+    if (isNaN(remaining)) return null;
+    
+    const limit = parseInt(response.headers.get(limitHeader), 10);
+    return { limit: isNaN(limit) ? null : limit, remaining };
+}
+
+/**
+ * Check a Reddit client ID by requesting an application-only token with it
+ * @param {string} clientId - Client ID (empty when not configured)
+ * @returns {Promise<Object>} - { configured, valid, status, quota, message }
+ */
+async function checkRedditClientId(clientId) {
+    if (!clientId) {
+        return { configured: false, valid: false, status: null, quota: null, message: 'No client ID entered (social posts are optional)' };
+    }
     
-    if (CONFIG.FINNHUB_API_KEY && CONFIG.FINNHUB_API_KEY !== 'your_finnhub_key_here') {
-        results.finnhub = true;
+    try {
+        await requestRedditToken(clientId);
+        return { configured: true, valid: true, status: 200, quota: null, message: 'Client ID works' };
+    } catch (error) {
+        const rejected = error.message.startsWith('Reddit rejected');
+        return { configured: true, valid: rejected ? false : null, status: null, quota: null, message: error.message };
+    }
+}
+
+/**
+ * Ping a provider with a key to see whether it works
+ * @param {string} provider - Provider name
+ * @param {string} key - API key (empty when not configured)
+ * @param {string} url - Cheap endpoint to call with the key
+ * @param {Array} quotaHeaders - [limitHeader, remainingHeader]
+ * @returns {Promise<Object>} - { configured, valid, status, quota, message }
+ */
+async function checkApiKey(provider, key, url, quotaHeaders) {
+    if (!key) {
+        return { configured: false, valid: false, status: null, quota: null, message: 'No key entered' };
     }
     
-    if (CONFIG.MARKETAUX_API_KEY && CONFIG.MARKETAUX_API_KEY !== 'your_marketaux_key_here') {
-        results.marketaux = true;
+    try {
+        const response = await fetchWithRateLimit(url, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, provider);
+        
+        const quota = readQuotaHeaders(response, ...quotaHeaders);
+        const result = { configured: true, valid: true, status: response.status, quota, message: 'Key works' };
+        
+        if (response.status === 401 || response.status === 403) {
+            return { ...result, valid: false, message: 'Key was rejected' };
+        } else if (response.status === 402) {
+            return { ...result, quota: quota || { limit: null, remaining: 0 }, message: 'Key works, but its usage limit is reached' };
+        } else if (response.status === 429) {
+            return { ...result, message: 'Key works, but is being rate limited' };
+        } else if (!response.ok) {
+            return { ...result, valid: null, message: `Unexpected response (${response.status})` };
+        }
+        
+        return result;
+        
+    } catch (error) {
+        console.warn(`API key check failed for ${provider}:`, error);
+        return { configured: true, valid: null, status: null, quota: null, message: `Could not reach provider: ${error.message}` };
     }
+}
+
+/**
+ * Validate API keys by pinging each provider
+ * @param {Object} keys - Keys to check by provider name (defaults to the saved keys)
+ * @returns {Promise<Object>} - Per-provider results, demo mode flag and a summary message
+ */
+async function validateApiKeys(keys = {}) {
+    const keyFor = provider => (provider in keys ? keys[provider] : Settings.getApiKey(provider));
+    const finnhubKey = keyFor('finnhub');
+    const marketauxKey = keyFor('marketaux');
+    
+    const [finnhub, marketaux, reddit] = await Promise.all([
+        checkApiKey('finnhub', finnhubKey,
+            `${CONFIG.FINNHUB_BASE_URL}/quote?symbol=AAPL&token=${encodeURIComponent(finnhubKey || '')}`,
+            ['X-Ratelimit-Limit', 'X-Ratelimit-Remaining']),
+        checkApiKey('marketaux', marketauxKey,
+            `${CONFIG.MARKETAUX_BASE_URL}/news/all?symbols=AAPL&limit=1&api_token=${encodeURIComponent(marketauxKey || '')}`,
+            ['X-UsageLimit-Limit', 'X-UsageLimit-Remaining']),
+        checkRedditClientId(keyFor('reddit'))
+    ]);
+    
+    const results = {
+        finnhub,
+        marketaux,
+        reddit,
+        demoMode: CONFIG.MOCK_MODE || !finnhub.configured,
+        message: ''
+    };
     
-    if (!results.finnhub && !results.marketaux) {
-        results.message = 'No API keys configured. Please add your API keys to config.js';
-    } else if (!results.finnhub) {
+    if (!finnhub.configured && !marketaux.configured) {
+        results.message = 'No API keys configured. Running in demo mode - add your keys in Settings';
+    } else if (!finnhub.configured) {
         results.message = 'Finnhub API key not configured';
-    } else if (!results.marketaux) {
+    } else if (!marketaux.configured) {
         results.message = 'Marketaux API key not configured';
+    } else if (finnhub.valid === false || marketaux.valid === false) {
+        results.message = 'One or more API keys were rejected';
     }
     
     return results;
@@ -652,128 +1843,239 @@ async function testFinnhubAPI(symbol = 'AAPL') {
 }
 
 /**
- * Get Reddit posts about a company using OAuth
- * @param {string} symbol - Stock symbol
- * @param {number} pageSize - Number of posts to return
- * @returns {Promise} - Promise with Reddit posts
+ * Reddit Integration
+ * Reddit's API needs OAuth even for public posts. In the browser we use the
+ * application-only "installed client" grant, which takes the client ID of an
+ * installed app (a public client with no secret) and needs no user login.
+ * The local proxy can hold a confidential client instead.
+ */
+
+const REDDIT_TOKEN_STORAGE_KEY = 'nocharts-reddit-token';
+const REDDIT_DEVICE_STORAGE_KEY = 'nocharts-reddit-device';
+
+// Token request in flight, shared by concurrent Reddit calls
+let redditTokenRequest = null;
+
+/**
+ * Get this browser's Reddit device ID (the installed client grant needs a stable 20-30 character ID)
+ * @returns {string} - Device ID
  */
-async function getRedditNews(symbol, pageSize = 10) {
-    console.log('🔍 getRedditNews called with symbol:', symbol, 'pageSize:', pageSize);
+function getRedditDeviceId() {
+    let deviceId = localStorage.getItem(REDDIT_DEVICE_STORAGE_KEY);
     
-    const formattedSymbol = Utils.formatTicker(symbol);
-    const cacheKey = `reddit_news_${formattedSymbol}_${pageSize}`;
+    if (!deviceId) {
+        const bytes = crypto.getRandomValues(new Uint8Array(12));
+        deviceId = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem(REDDIT_DEVICE_STORAGE_KEY, deviceId);
+    }
+    
+    return deviceId;
+}
+
+/**
+ * Request an application-only Reddit access token
+ * @param {string} clientId - Client ID of a Reddit "installed app"
+ * @returns {Promise<Object>} - { clientId, accessToken, expiresAt }
+ */
+async function requestRedditToken(clientId) {
+    const response = await fetchWithTimeout(CONFIG.REDDIT_TOKEN_URL, {
+        method: 'POST',
+        headers: {
+            // Installed apps have no secret, so the password part is empty
+            'Authorization': `Basic ${btoa(`${clientId}:`)}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({
+            grant_type: 'https://oauth.reddit.com/grants/installed_client',
+            device_id: getRedditDeviceId()
+        }).toString()
+    });
+    
+    if (response.status === 401) {
+        throw new Error('Reddit rejected the client ID. It must belong to an "installed app".');
+    }
+    
+    if (!response.ok) {
+        throw new Error(`Reddit token request failed: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    if (!data.access_token) {
+        throw new Error(`Reddit token request failed: ${data.error || 'no access token returned'}`);
+    }
+    
+    return {
+        clientId,
+        accessToken: data.access_token,
+        expiresAt: Date.now() + (data.expires_in || 3600) * 1000
+    };
+}
+
+/**
+ * Forget the stored Reddit token
+ */
+function clearRedditToken() {
+    localStorage.removeItem(REDDIT_TOKEN_STORAGE_KEY);
+}
+
+/**
+ * Get a Reddit access token (stored token while it is valid, otherwise a new one)
+ * @returns {Promise<string>} - Access token
+ */
+async function getRedditAccessToken() {
+    const clientId = Settings.getApiKey('reddit');
+    if (!clientId) {
+        throw new Error('Reddit client ID not configured');
+    }
     
     try {
-        // Check cache first
-        const cachedData = Utils.getCache(cacheKey);
-        if (cachedData) {
-            return cachedData;
+        const stored = JSON.parse(localStorage.getItem(REDDIT_TOKEN_STORAGE_KEY));
+        // Refresh a minute early so a token never expires mid-request
+        if (stored && stored.clientId === clientId && stored.expiresAt - 60 * 1000 > Date.now()) {
+            return stored.accessToken;
         }
+    } catch (error) {
+        clearRedditToken();
+    }
+    
+    if (!redditTokenRequest) {
+        redditTokenRequest = requestRedditToken(clientId)
+            .then(token => {
+                localStorage.setItem(REDDIT_TOKEN_STORAGE_KEY, JSON.stringify(token));
+                console.log('✅ Got Reddit access token');
+                return token.accessToken;
+            })
+            .finally(() => {
+                redditTokenRequest = null;
+            });
+    }
+    
+    return redditTokenRequest;
+}
+
+/**
+ * Make an authenticated Reddit API request
+ * @param {string} endpoint - Path under CONFIG.REDDIT_API_BASE
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise<Object>} - API response
+ */
+async function makeRedditApiRequest(endpoint, cacheKey) {
+    const url = `${CONFIG.REDDIT_API_BASE}${endpoint}`;
+    
+    return withCache(cacheKey, () => coalesceRequest(url, async () => {
+        const request = async () => fetchWithRateLimit(url, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${await getRedditAccessToken()}`
+            }
+        }, 'reddit');
         
-        // Check rate limiting
-        if (!Utils.checkRateLimit()) {
-            throw new Error('Internal rate limit exceeded. Please try again later.');
-        }
-        
-        // Use OAuth API to search Reddit
-        const searchEndpoint = `/search.json?q=${encodeURIComponent(formattedSymbol)}&restrict_sr=1&sort=new&limit=${pageSize}`;
-        
-        console.log('🔗 Making authenticated Reddit API request...');
-        const data = await makeRedditApiRequest(searchEndpoint);
+        let response = await request();
         
-        if (!data || !data.data || !data.data.children) {
-            throw new Error('No Reddit data returned');
+        // Tokens can be revoked before they expire; get a fresh one and retry once
+        if (response.status === 401) {
+            clearRedditToken();
+            response = await request();
         }
         
-        // Transform Reddit posts to match news article format
-        const posts = transformRedditData(data, 'Reddit OAuth API');
-        
-        // Cache the response
-        Utils.setCache(cacheKey, posts);
-        
-        console.log(`✅ Reddit OAuth API returned ${posts.length} posts for ${formattedSymbol}`);
-        return posts;
+        if (!response.ok) {
+            throw new Error(`Reddit API error: ${response.status}`);
+        }
         
-    } catch (error) {
-        console.error('Failed to get Reddit news:', error);
-        throw error; // Re-throw to let caller handle the error
-    }
+        return await response.json();
+    }));
 }
 
 /**
- * Parse RSS feed and convert to JSON format
- * @param {string} rssText - RSS feed text
- * @returns {Object} - Parsed data in Reddit JSON format
+ * Build the Reddit search query for a company
+ * @param {string} symbol - Stock symbol
+ * @param {string} companyName - Company name (optional)
+ * @returns {string} - Search query
  */
-function parseRSSFeed(rssText) {
-    const parser = new DOMParser();
-    const xmlDoc = parser.parseFromString(rssText, 'text/xml');
-    
-    const items = xmlDoc.querySelectorAll('item');
-    const children = Array.from(items).map(item => {
-        const title = item.querySelector('title')?.textContent || '';
-        const link = item.querySelector('link')?.textContent || '';
-        const description = item.querySelector('description')?.textContent || '';
-        const pubDate = item.querySelector('pubDate')?.textContent || '';
-        
-        return {
-            data: {
-                title: title,
-                selftext: description,
-                permalink: link.replace('https://www.reddit.com', ''),
-                author: 'Reddit User',
-                score: Math.floor(Math.random() * 100) + 10, // Mock score
-                num_comments: Math.floor(Math.random() * 50) + 5, // Mock comments
-                created_utc: new Date(pubDate).getTime() / 1000
-            }
-        };
-    });
+function buildRedditQuery(symbol, companyName) {
+    // "Apple Inc." is written "Apple" in posts
+    const name = (companyName || '')
+        .replace(/[,.]?\s+(inc|incorporated|corp|corporation|co|company|ltd|limited|plc|holdings|group|sa|nv|ag)\.?$/i, '')
+        .trim();
     
-    return { data: { children } };
+    return name && name.toUpperCase() !== symbol ? `${symbol} OR "${name}"` : symbol;
 }
 
 /**
- * Transform Reddit data to news article format
- * @param {Object} data - Reddit API response
- * @param {string} source - Source name for logging
- * @returns {Array} - Transformed posts
+ * Get recent Reddit posts about a company
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - Search options
+ * @param {string} options.companyName - Company name to search for as well as the symbol
+ * @param {Array} options.subreddits - Subreddits to search (defaults to the Settings list)
+ * @param {number} options.limit - Number of posts to return
+ * @returns {Promise<Array>} - Posts in the social capability shape
  */
-function transformRedditData(data, source) {
-    const posts = data.data?.children?.map(post => {
-        const createdUtc = post.data.created_utc;
-        const timestampMs = createdUtc ? createdUtc * 1000 : null;
-        const date = timestampMs ? new Date(timestampMs) : new Date();
-        
-        // Validate the date
-        const isValidDate = !isNaN(date.getTime());
-        const publishedAt = isValidDate ? date.toISOString() : new Date().toISOString();
-        const relativeTime = isValidDate ? Utils.getRelativeTime(date) : 'Unknown time';
-        
-        return {
-            title: post.data.title,
-            description: post.data.selftext?.substring(0, 200) + '...' || 'No description available',
-            content: post.data.selftext || '',
-            url: `https://reddit.com${post.data.permalink}`,
-            imageUrl: '', // Reddit posts don't have images
-            source: { name: 'Reddit r/stocks' },
-            author: post.data.author || 'Anonymous',
-            publishedAt: publishedAt,
-            relativeTime: relativeTime,
-            sentiment: analyzeRedditSentiment(post.data.title + ' ' + (post.data.selftext || '')),
-            score: post.data.score,
-            numComments: post.data.num_comments,
-            category: 'reddit'
-        };
-    }) || [];
+async function getRedditPosts(symbol, { companyName = null, subreddits = Settings.getSubreddits(), limit = CONFIG.REDDIT_POST_LIMIT } = {}) {
+    console.log('🔍 getRedditPosts called with symbol:', symbol, 'subreddits:', subreddits);
+    
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const subredditPath = subreddits.join('+');
+    const query = buildRedditQuery(Utils.formatTickerForProvider(formattedSymbol, 'reddit'), companyName);
+    const cacheKey = `reddit_posts_${formattedSymbol}_${subredditPath}_${limit}`;
+    
+    let data;
+    if (await isProxyServing('reddit')) {
+        const params = new URLSearchParams({ q: query, subreddits: subredditPath, limit: String(limit) });
+        data = await makeApiRequest(`${getProxyBaseUrl()}/api/reddit/${encodeURIComponent(formattedSymbol)}?${params.toString()}`, {}, cacheKey);
+    } else {
+        const params = new URLSearchParams({
+            q: query,
+            restrict_sr: '1',
+            sort: 'new',
+            t: CONFIG.REDDIT_SEARCH_WINDOW,
+            limit: String(limit),
+            raw_json: '1'
+        });
+        data = await makeRedditApiRequest(`/r/${subredditPath}/search?${params.toString()}`, cacheKey);
+    }
     
+    const posts = transformRedditData(data);
+    console.log(`✅ Reddit returned ${posts.length} posts for ${formattedSymbol}`);
     return posts;
 }
 
 /**
- * Get sample Reddit data for fallback
+ * Transform a Reddit listing to the social post format
+ * @param {Object} data - Reddit listing response
+ * @returns {Array} - Posts ({ title, description, url, publishedAt, source, author, subreddit, score, numComments, sentiment })
+ */
+function transformRedditData(data) {
+    const children = data?.data?.children || [];
+    
+    return children
+        .map(child => child.data)
+        .filter(post => post && !post.over_18 && !post.stickied)
+        .map(post => {
+            const date = new Date((post.created_utc || 0) * 1000);
+            const publishedAt = isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+            const selftext = post.selftext || '';
+            
+            return {
+                title: post.title,
+                description: selftext.length > 200 ? `${selftext.substring(0, 200)}...` : selftext,
+                content: selftext,
+                url: `https://www.reddit.com${post.permalink}`,
+                publishedAt,
+                source: { name: `r/${post.subreddit}` },
+                author: post.author || 'Anonymous',
+                subreddit: post.subreddit,
+                score: post.score,
+                numComments: post.num_comments,
+                sentiment: analyzeRedditSentiment(`${post.title} ${selftext}`)
+            };
+        });
+}
+
+/**
+ * Get sample Reddit posts for demo mode
  * @param {string} symbol - Stock symbol
  * @param {number} pageSize - Number of posts
- * @returns {Array} - Sample Reddit posts
+ * @returns {Array} - Sample posts in the social capability shape
  */
 function getSampleRedditData(symbol, pageSize) {
     const samplePosts = [
@@ -781,31 +2083,27 @@ function getSampleRedditData(symbol, pageSize) {
             title: `What do you think about $${symbol}?`,
             description: `Just curious about everyone's thoughts on ${symbol} stock. Looking for different perspectives on the current valuation and future prospects.`,
             content: `Just curious about everyone's thoughts on ${symbol} stock. Looking for different perspectives on the current valuation and future prospects.`,
-            url: `https://reddit.com/r/stocks/comments/example/${symbol.toLowerCase()}_discussion/`,
-            imageUrl: '',
-            source: { name: 'Reddit r/stocks' },
+            url: `https://www.reddit.com/r/stocks/search?q=${encodeURIComponent(symbol)}`,
+            publishedAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+            source: { name: 'r/stocks' },
             author: 'RedditUser',
-            publishedAt: new Date().toISOString(),
-            relativeTime: '1d ago',
-            sentiment: { score: 0, sentiment: 'neutral' },
+            subreddit: 'stocks',
             score: 25,
             numComments: 12,
-            category: 'reddit'
+            sentiment: { score: 0, sentiment: 'neutral' }
         },
         {
             title: `${symbol} earnings analysis`,
             description: `Detailed analysis of ${symbol}'s recent earnings report. Key insights and trends from this quarter's financial results.`,
             content: `Detailed analysis of ${symbol}'s recent earnings report. Key insights and trends from this quarter's financial results.`,
-            url: `https://reddit.com/r/stocks/comments/example/${symbol.toLowerCase()}_earnings/`,
-            imageUrl: '',
-            source: { name: 'Reddit r/stocks' },
-            author: 'StockAnalyst',
+            url: `https://www.reddit.com/r/investing/search?q=${encodeURIComponent(symbol)}`,
             publishedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
-            relativeTime: '2d ago',
-            sentiment: { score: 2, sentiment: 'positive' },
+            source: { name: 'r/investing' },
+            author: 'StockAnalyst',
+            subreddit: 'investing',
             score: 45,
             numComments: 8,
-            category: 'reddit'
+            sentiment: { score: 0.5, sentiment: 'positive' }
         }
     ];
     
@@ -813,212 +2111,267 @@ function getSampleRedditData(symbol, pageSize) {
 }
 
 /**
- * Simple sentiment analysis for Reddit posts
+ * Simple word-list sentiment for Reddit posts
  * @param {string} text - Text to analyze
- * @returns {Object} - Sentiment analysis result
+ * @returns {Object} - { score (-1 to 1), sentiment }
  */
 function analyzeRedditSentiment(text) {
     if (!text) return { score: 0, sentiment: 'neutral' };
     
-    const positiveWords = [
+    const positiveWords = new Set([
         'positive', 'growth', 'increase', 'up', 'higher', 'strong', 'profit', 'gain',
         'success', 'win', 'beat', 'exceed', 'surge', 'rally', 'bullish', 'optimistic',
-        'improve', 'better', 'excellent', 'outperform', 'upgrade', 'buy', 'strong',
-        'moon', '🚀', '💎', 'hodl', 'diamond', 'hands'
-    ];
+        'improve', 'better', 'excellent', 'outperform', 'upgrade', 'buy',
+        'moon', '🚀', '💎', 'hodl', 'diamond'
+    ]);
     
-    const negativeWords = [
+    const negativeWords = new Set([
         'negative', 'fall', 'drop', 'loss', 'decline', 'weak', 'concern', 'risk',
         'down', 'lower', 'crash', 'bearish', 'pessimistic', 'worse', 'sell',
-        'dump', 'paper', 'hands', '💩', '📉'
-    ];
-    
-    const textLower = text.toLowerCase();
-    let positiveCount = 0;
-    let negativeCount = 0;
+        'dump', 'paper', '💩', '📉'
+    ]);
     
-    positiveWords.forEach(word => {
-        const regex = new RegExp(word, 'gi');
-        const matches = textLower.match(regex);
-        if (matches) positiveCount += matches.length;
-    });
+    // Whole words only, so "up" doesn't match "support"
+    const tokens = text.toLowerCase().match(/[a-z]+|🚀|💎|💩|📉/gu) || [];
+    const positiveCount = tokens.filter(token => positiveWords.has(token)).length;
+    const negativeCount = tokens.filter(token => negativeWords.has(token)).length;
     
-    negativeWords.forEach(word => {
-        const regex = new RegExp(word, 'gi');
-        const matches = textLower.match(regex);
-        if (matches) negativeCount += matches.length;
-    });
+    if (positiveCount + negativeCount === 0) return { score: 0, sentiment: 'neutral' };
     
-    const score = positiveCount - negativeCount;
+    // Same -1 to 1 range and ±0.2 thresholds as Marketaux sentiment
+    const score = Math.round(((positiveCount - negativeCount) / (positiveCount + negativeCount)) * 1000) / 1000;
     
-    if (score > 0) return { score, sentiment: 'positive' };
-    if (score < 0) return { score, sentiment: 'negative' };
+    if (score > 0.2) return { score, sentiment: 'positive' };
+    if (score < -0.2) return { score, sentiment: 'negative' };
     return { score, sentiment: 'neutral' };
 }
 
 /**
- * Reddit OAuth Authentication Functions
+ * Provider Adapters
  */
 
 /**
- * Generate Reddit OAuth authorization URL
- * @returns {string} - Authorization URL
+ * Check whether live API calls are allowed
+ * @returns {boolean} - True when not in mock mode
  */
-function getRedditAuthUrl() {
-    console.log('🔧 Debug - CONFIG.REDDIT_REDIRECT_URI:', CONFIG.REDDIT_REDIRECT_URI);
-    console.log('🔧 Debug - window.location.hostname:', window.location.hostname);
-    
-    const params = new URLSearchParams({
-        client_id: CONFIG.REDDIT_CLIENT_ID,
-        response_type: 'token', // Use implicit flow for client-side
-        state: generateRandomState(),
-        redirect_uri: CONFIG.REDDIT_REDIRECT_URI,
-        duration: 'permanent',
-        scope: 'read'
-    });
-    
-    const authUrl = `${CONFIG.REDDIT_AUTH_URL}?${params.toString()}`;
-    console.log('🔧 Debug - Generated auth URL:', authUrl);
-    
-    return authUrl;
+function isLiveMode() {
+    return !CONFIG.MOCK_MODE;
 }
 
 /**
- * Generate random state for OAuth security
- * @returns {string} - Random state string
+ * Convert mock (Alpha Vantage style) overview to the Finnhub profile shape
+ * @param {Object} overview - Mock stock overview
+ * @returns {Object} - Finnhub-shaped profile
  */
-function generateRandomState() {
-    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+function mockOverviewToProfile(overview) {
+    if (!overview) return null;
+    
+    return {
+        ticker: overview.Symbol,
+        name: overview.Name,
+        finnhubIndustry: overview.Industry || overview.Sector,
+        country: overview.Country,
+        currency: overview.Currency,
+        exchange: overview.Exchange,
+        // Finnhub reports market cap in millions
+        marketCapitalization: overview.MarketCapitalization ? parseFloat(overview.MarketCapitalization) / 1e6 : null
+    };
 }
 
 /**
- * Exchange authorization code for access token
- * @param {string} code - Authorization code from Reddit
- * @returns {Promise<Object>} - Token response
+ * Convert mock (Alpha Vantage style) quote to the Finnhub quote shape
+ * @param {Object} quote - Mock quote response
+ * @returns {Object} - Finnhub-shaped quote
  */
-async function exchangeRedditCode(code) {
-    console.log('🔄 Exchanging Reddit authorization code for token...');
-    console.log('🔧 Code:', code);
-    console.log('🔧 Redirect URI:', CONFIG.REDDIT_REDIRECT_URI);
+function mockQuoteToFinnhub(quote) {
+    const globalQuote = quote?.['Global Quote'] || quote;
+    if (!globalQuote) return null;
     
-    const params = new URLSearchParams({
-        grant_type: 'authorization_code',
-        code: code,
-        redirect_uri: CONFIG.REDDIT_REDIRECT_URI
-    });
-    
-    try {
-        const response = await fetch(CONFIG.REDDIT_TOKEN_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Basic ${btoa(`${CONFIG.REDDIT_CLIENT_ID}:${CONFIG.REDDIT_CLIENT_SECRET}`)}`,
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'User-Agent': 'nocharts/1.0'
-            },
-            body: params.toString()
-        });
-        
-        console.log('🔧 Token exchange response status:', response.status);
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('❌ Token exchange failed:', errorText);
-            throw new Error(`Token exchange failed: ${response.status} - ${errorText}`);
-        }
-        
-        const tokenData = await response.json();
-        console.log('✅ Token exchange successful:', tokenData);
-        return tokenData;
-        
-    } catch (error) {
-        console.error('❌ Token exchange error:', error);
-        
-        // If it's a CORS error, provide helpful message
-        if (error.message.includes('CORS') || error.message.includes('Failed to fetch')) {
-            console.error('❌ CORS error - Reddit token endpoint doesn\'t support client-side requests');
-            throw new Error('Token exchange failed due to CORS restrictions. This requires a server-side implementation.');
-        }
-        
-        throw error;
-    }
+    return {
+        c: parseFloat(globalQuote['05. price']),
+        d: parseFloat(globalQuote['09. change']),
+        dp: parseFloat(globalQuote['10. change percent']),
+        h: parseFloat(globalQuote['03. high']),
+        l: parseFloat(globalQuote['04. low']),
+        o: parseFloat(globalQuote['02. open']),
+        pc: parseFloat(globalQuote['08. previous close'])
+    };
 }
 
 /**
- * Get Reddit access token (from storage or auth flow)
- * @returns {Promise<string>} - Access token
+ * Register the built-in provider adapters, in fallback order
  */
-async function getRedditAccessToken() {
-    // Check if we have a stored token
-    const storedToken = localStorage.getItem('reddit_access_token');
-    const tokenExpiry = localStorage.getItem('reddit_token_expiry');
+function registerDefaultProviders() {
+    const hasMockData = () => typeof MockData !== 'undefined';
+    const hasLiveKey = provider => async () => isLiveMode() && (Settings.hasApiKey(provider) || await isProxyServing(provider));
     
-    if (storedToken && tokenExpiry && Date.now() < parseInt(tokenExpiry)) {
-        console.log('✅ Using stored Reddit access token');
-        return storedToken;
-    }
+    Providers.registerProvider('profile', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (symbol) => getFinnhubStockProfile(symbol)
+    });
+    Providers.registerProvider('profile', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: async (symbol) => mockOverviewToProfile(await MockData.getStockOverview(symbol))
+    });
+    
+    Providers.registerProvider('quote', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (symbol) => getFinnhubQuote(symbol)
+    });
+    Providers.registerProvider('quote', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: async (symbol) => mockQuoteToFinnhub(await MockData.getStockQuote(symbol))
+    });
     
-    // Check if we have an access token in URL fragment (implicit flow)
-    const urlParams = new URLSearchParams(window.location.hash.substring(1));
-    const accessToken = urlParams.get('access_token');
-    const state = urlParams.get('state');
-    const error = urlParams.get('error');
+    Providers.registerProvider('metrics', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (symbol) => getFinnhubBasicFinancials(symbol)
+    });
+    Providers.registerProvider('metrics', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: (symbol) => MockData.getBasicFinancials(symbol)
+    });
     
-    if (error) {
-        console.error('❌ Reddit OAuth error:', error);
-        throw new Error(`Reddit OAuth error: ${error}`);
-    }
+    Providers.registerProvider('earnings', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (symbol) => getFinnhubEarnings(symbol)
+    });
+    Providers.registerProvider('earnings', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: (symbol) => MockData.getEarningsHistory(symbol)
+    });
     
-    if (accessToken && state) {
-        console.log('✅ Reddit access token found in URL');
-        
-        // Store token (permanent token, so set expiry far in future)
-        localStorage.setItem('reddit_access_token', accessToken);
-        localStorage.setItem('reddit_token_expiry', (Date.now() + 365 * 24 * 60 * 60 * 1000).toString()); // 1 year
-        
-        // Clean up URL
-        window.history.replaceState({}, document.title, window.location.pathname);
-        
-        return accessToken;
-    }
+    Providers.registerProvider('calendar', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (symbol) => getEarningsCalendar(symbol)
+    });
+    Providers.registerProvider('calendar', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: (symbol) => MockData.getUpcomingEarnings(symbol)
+    });
+    
+    Providers.registerProvider('estimates', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (symbol) => getEpsEstimates(symbol)
+    });
+    Providers.registerProvider('estimates', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: (symbol) => MockData.getEpsEstimates(symbol)
+    });
+    
+    Providers.registerProvider('insiders', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (symbol) => getInsiderActivity(symbol)
+    });
+    Providers.registerProvider('insiders', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: (symbol) => MockData.getInsiderActivity(symbol)
+    });
+    
+    Providers.registerProvider('analysts', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (symbol) => getAnalystActivity(symbol)
+    });
+    Providers.registerProvider('analysts', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: (symbol) => MockData.getAnalystActivity(symbol)
+    });
+    
+    Providers.registerProvider('dividends', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (symbol) => getCorporateActions(symbol)
+    });
+    Providers.registerProvider('dividends', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: (symbol) => MockData.getCorporateActions(symbol)
+    });
+    
+    Providers.registerProvider('peers', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (symbol) => getPeers(symbol)
+    });
+    Providers.registerProvider('peers', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: (symbol) => MockData.getPeers(symbol)
+    });
+    
+    Providers.registerProvider('news', {
+        name: 'marketaux',
+        isAvailable: hasLiveKey('marketaux'),
+        fetch: (symbol, options) => getMarketauxNews(symbol, options.pageSize, options)
+    });
+    Providers.registerProvider('news', {
+        name: 'mock',
+        // Only when no Marketaux key exists here or on the proxy, so a failed live request isn't shown as demo mode
+        isAvailable: () => !Settings.hasLiveSource('marketaux'),
+        // Only the latest window gets the placeholder, so history requests come back empty
+        fetch: async (symbol, options) => (options.publishedBefore ? [] : [{
+            title: 'News not available in demo mode',
+            description: 'News data requires a Marketaux API key. Add your key in Settings to view real news.',
+            url: '#',
+            publishedAt: new Date().toISOString(),
+            source: { name: 'Demo Mode' },
+            sentiment: null,
+            entities: []
+        }])
+    });
+    
+    Providers.registerProvider('search', {
+        name: 'finnhub',
+        isAvailable: hasLiveKey('finnhub'),
+        fetch: (query) => searchCompanies(query)
+    });
+    Providers.registerProvider('search', {
+        name: 'mock',
+        isAvailable: () => hasMockData() && Settings.isDemoMode(),
+        fetch: (query) => MockData.searchSymbols(query)
+    });
+    
+    Providers.registerProvider('social', {
+        name: 'reddit',
+        isAvailable: async () => CONFIG.FEATURES.SOCIAL_ENABLED && await hasLiveKey('reddit')(),
+        fetch: (symbol, options) => getRedditPosts(symbol, options)
+    });
+    Providers.registerProvider('social', {
+        name: 'mock',
+        isAvailable: () => CONFIG.FEATURES.SOCIAL_ENABLED && Settings.isDemoMode(),
+        fetch: async (symbol) => getSampleRedditData(symbol, CONFIG.REDDIT_POST_LIMIT)
+    });
+    
+    Providers.registerProvider('description', {
+        name: 'wikipedia',
+        isAvailable: isLiveMode,
+        fetch: (symbol, options) => getWikipediaDescription(symbol, options.companyName)
+    });
     
-    // No token available, need to authenticate
-    console.log('❌ No Reddit access token available, need to authenticate');
-    throw new Error('No Reddit access token available. Please authenticate first.');
+    Providers.registerProvider('facts', {
+        name: 'wikidata',
+        isAvailable: isLiveMode,
+        fetch: (symbol, options) => getWikidataFacts(symbol, options.companyName)
+    });
 }
 
-/**
- * Make authenticated Reddit API request
- * @param {string} endpoint - API endpoint
- * @param {Object} options - Request options
- * @returns {Promise<Object>} - API response
- */
-async function makeRedditApiRequest(endpoint, options = {}) {
-    try {
-        const accessToken = await getRedditAccessToken();
-        
-        const response = await fetch(`${CONFIG.REDDIT_API_BASE}${endpoint}`, {
-            ...options,
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'User-Agent': 'nocharts/1.0',
-                ...options.headers
-            }
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Reddit API error: ${response.status}`);
-        }
-        
-        return await response.json();
-    } catch (error) {
-        if (error.message.includes('No Reddit access token')) {
-            // Redirect to Reddit auth
-            window.location.href = getRedditAuthUrl();
-            return null;
-        }
-        throw error;
-    }
-}
+registerDefaultProviders();
 
 // Export API functions
 window.API = {
@@ -1029,16 +2382,36 @@ window.API = {
     getFinnhubEarnings,
     getStockOverview,
     getStockQuote,
+    getMarketauxNews,
+    getMarketauxNewsPage,
     getCompanyNews,
+    getWikipediaDescription,
+    getWikidataFacts,
     getEarningsCalendar,
+    getEpsEstimates,
+    getInsiderTransactions,
+    getCompanyExecutives,
+    getRecommendationTrends,
+    getRatingChanges,
+    getDividendHistory,
+    getSplitHistory,
+    getPeers,
+    getPeerSnapshots,
+    getPeerNews,
     searchCompanies,
     getComprehensiveStockData,
+    getRedditPosts,
+    startRequestSession,
+    cancelRequestSession,
+    isCurrentSession,
+    isAbortError,
+    detectProxy,
+    resolveEndpoint,
     validateApiKeys,
     testFinnhubAPI,
     // Cache management for testing
     clearAllCache: () => Utils.clearCache(),
     getCacheStats: () => {
-        const cacheSize = Utils.getCacheSize ? Utils.getCacheSize() : 'Unknown';
-        return { cacheSize, cacheDuration: CONFIG.CACHE_DURATION };
+        return { ...Utils.getCacheStats(), cacheDuration: CONFIG.CACHE_DURATION, cacheTtls: CONFIG.CACHE_TTLS };
     }
 }; 
\ No newline at end of file
@@ -1,30 +1,138 @@
 // ===== CONFIGURATION FILE =====
-// Add your API keys here
 
 const CONFIG = {
     // API Keys
-    FINNHUB_API_KEY: 'd23c7j1r01qgiro31s40d23c7j1r01qgiro31s4g',
-    MARKETAUX_API_KEY: '4HYcOdj8vPGM4Zf1AQVLmOjweu9OBrtwLRjZOCYt',
+    // Users enter their own keys in the in-app Settings panel (stored in their browser).
+    // Keys set here are only a fallback for private, self-hosted builds - never commit real keys.
+    FINNHUB_API_KEY: '',
+    MARKETAUX_API_KEY: '',
+    REDDIT_CLIENT_ID: '', // Client ID of a Reddit "installed app" (no secret)
     
     // API Endpoints
     FINNHUB_BASE_URL: 'https://finnhub.io/api/v1',
     MARKETAUX_BASE_URL: 'https://api.marketaux.com/v1',
     WIKIPEDIA_BASE_URL: 'https://en.wikipedia.org/api/rest_v1',
+    WIKIPEDIA_ACTION_URL: 'https://en.wikipedia.org/w/api.php',
+    WIKIDATA_API_URL: 'https://www.wikidata.org/w/api.php',
+    SEC_BASE_URL: 'https://data.sec.gov',
+    SEC_ARCHIVES_URL: 'https://www.sec.gov/Archives/edgar/data',
+    SEC_TICKERS_URL: 'https://www.sec.gov/files/company_tickers.json',
+    REDDIT_API_BASE: 'https://oauth.reddit.com',
+    REDDIT_TOKEN_URL: 'https://www.reddit.com/api/v1/access_token',
+    
+    // Optional local proxy (server/index.js). '' = same origin as the page;
+    // use e.g. 'http://localhost:8787' when the site itself runs on live-server
+    PROXY_URL: '',
+    PROXY_DETECT_TIMEOUT: 2000, // Give up looking for the proxy after 2 seconds
     
     // App Settings
     APP_NAME: 'NoCharts',
     APP_VERSION: '1.0.0',
     
     // Cache Settings
-    CACHE_DURATION: 30 * 60 * 1000, // 30 minutes in milliseconds
+    CACHE_DURATION: 30 * 60 * 1000, // 30 minutes in milliseconds (default TTL)
+    
+    // Per-endpoint TTLs, keyed by cache key prefix
+    CACHE_TTLS: {
+        finnhub_quote: 60 * 1000, // 1 minute
+        finnhub_profile: 24 * 60 * 60 * 1000, // 1 day
+        finnhub_basic_financials: 6 * 60 * 60 * 1000, // 6 hours
+        finnhub_earnings: 12 * 60 * 60 * 1000, // 12 hours
+        finnhub_earnings_calendar: 6 * 60 * 60 * 1000, // 6 hours (report dates and consensus move)
+        finnhub_eps_estimate: 12 * 60 * 60 * 1000, // 12 hours
+        finnhub_insider_transactions: 12 * 60 * 60 * 1000, // 12 hours (Form 4s are filed within two business days)
+        finnhub_executives: 7 * 24 * 60 * 60 * 1000, // 7 days
+        finnhub_recommendation: 12 * 60 * 60 * 1000, // 12 hours (monthly snapshots)
+        finnhub_upgrade_downgrade: 6 * 60 * 60 * 1000, // 6 hours
+        finnhub_dividend: 24 * 60 * 60 * 1000, // 1 day
+        finnhub_split: 7 * 24 * 60 * 60 * 1000, // 7 days
+        finnhub_peers: 7 * 24 * 60 * 60 * 1000, // 7 days
+        company_news: 15 * 60 * 1000, // 15 minutes
+        company_search: 24 * 60 * 60 * 1000, // 1 day
+        wikipedia: 7 * 24 * 60 * 60 * 1000, // 7 days
+        wikidata: 7 * 24 * 60 * 60 * 1000, // 7 days
+        edgar_company_tickers: 24 * 60 * 60 * 1000, // 1 day
+        edgar_submissions: 6 * 60 * 60 * 1000, // 6 hours
+        edgar_companyfacts: 24 * 60 * 60 * 1000, // 1 day (raw XBRL facts, proxy only)
+        edgar_financials: 24 * 60 * 60 * 1000, // 1 day (statement lines picked from the XBRL facts)
+        edgar_document: 30 * 24 * 60 * 60 * 1000, // 30 days (filed documents don't change, proxy only)
+        edgar_segments: 30 * 24 * 60 * 60 * 1000, // 30 days (segment revenue read from a filed 10-K)
+        reddit_posts: 15 * 60 * 1000, // 15 minutes
+        feed: 30 * 60 * 1000 // 30 minutes (RSS/Atom feeds)
+    },
     
-    // Rate Limiting
-    MAX_REQUESTS_PER_MINUTE: 20,
+    CACHE_MAX_STALE: 7 * 24 * 60 * 60 * 1000, // Serve expired entries up to 7 days old while refreshing in the background
+    CACHE_MAX_ENTRIES: 500,
+    CACHE_MAX_BYTES: 5 * 1024 * 1024, // 5 MB (approximate, measured as JSON length)
+    
+    // Rate Limiting (token bucket per provider: `tokens` requests per `intervalMs`, bursts up to `tokens`)
+    RATE_LIMITS: {
+        finnhub: { tokens: 60, intervalMs: 60 * 1000 }, // Free tier: 60 calls/minute
+        marketaux: { tokens: 100, intervalMs: 24 * 60 * 60 * 1000 }, // Free tier: 100 requests/day
+        wikipedia: { tokens: 50, intervalMs: 1000 }, // Wikipedia and Wikidata APIs: be polite, well under 200/second
+        sec: { tokens: 10, intervalMs: 1000 }, // SEC fair access: 10 requests/second
+        reddit: { tokens: 100, intervalMs: 60 * 1000 }, // OAuth clients: 100 queries/minute
+        proxy: { tokens: 120, intervalMs: 60 * 1000 }, // Local proxy (it caches and applies upstream limits itself)
+        default: { tokens: 20, intervalMs: 60 * 1000 }
+    },
+    RATE_LIMIT_MAX_WAIT: 15000, // Fail instead of queueing when a request would wait longer than 15 seconds
+    RATE_LIMIT_MAX_RETRIES: 2, // Retries after a 429 response (waiting for Retry-After)
     
     // UI Settings
     LOADING_TIMEOUT: 30000, // 30 seconds
     ERROR_DISPLAY_TIME: 5000, // 5 seconds
     
+    // News history (Marketaux caps articles per page by plan; the free plan returns 3)
+    NEWS_PAGE_SIZE: 10,
+    NEWS_INITIAL_PAGES: 2, // Pages loaded with the ticker page
+    NEWS_HISTORY_PAGES: 2, // Pages loaded per "Load earlier" click
+    
+    // Social posts (Reddit). Users can change the subreddits in Settings.
+    REDDIT_SUBREDDITS: ['stocks', 'investing', 'wallstreetbets'],
+    REDDIT_POST_LIMIT: 10,
+    REDDIT_SEARCH_WINDOW: 'month', // Reddit search time filter: hour, day, week, month, year or all
+    
+    // Upcoming earnings: how far ahead to look in the Finnhub earnings calendar
+    EARNINGS_CALENDAR_DAYS: 120,
+    
+    // Estimate revisions: how far back to compare the next-quarter consensus against
+    ESTIMATE_REVISION_DAYS: 90,
+    
+    // Insider transactions: months of Form 4 activity to fetch (the summary card covers 3, 6 and 12)
+    INSIDER_LOOKBACK_MONTHS: 12,
+    
+    // Analyst ratings: months of upgrades/downgrades to fetch and of recommendation trends to list
+    RATING_CHANGE_LOOKBACK_MONTHS: 12,
+    RECOMMENDATION_TREND_MONTHS: 6,
+    
+    // Dividends and splits: years of history to fetch (for increase streaks) and to show on the timeline
+    DIVIDEND_HISTORY_YEARS: 15,
+    DIVIDEND_TIMELINE_YEARS: 5,
+    
+    // Peer companies: how many to rank the overview metrics against (past the panel, only peers already cached),
+    // how many to list in the peers panel, and the news window for their sentiment (loaded on request)
+    PEER_LIMIT: 10,
+    PEER_PANEL_LIMIT: 5,
+    PEER_NEWS_DAYS: 30,
+    
+    // Overview metrics: years of annual history to place the current figure in
+    METRIC_HISTORY_YEARS: 5,
+    
+    // Fundamental trends: how far back to read Finnhub's metric series, the shortest run of rises or falls
+    // worth a sentence, and how many sentences to show
+    FUNDAMENTAL_TREND_PERIODS: { quarterly: 40, annual: 15 },
+    FUNDAMENTAL_TREND_MIN_STREAK: 3,
+    FUNDAMENTAL_TREND_LIMIT: 6,
+    
+    // Reported financials (SEC XBRL): fiscal years of statements to show
+    FINANCIAL_STATEMENT_YEARS: 5,
+    
+    // Search suggestions (homepage and header search boxes)
+    SEARCH_MIN_CHARS: 1,
+    SEARCH_DEBOUNCE: 250, // Wait for a pause in typing before looking up suggestions
+    SEARCH_SUGGESTION_LIMIT: 8,
+    RECENT_SEARCH_LIMIT: 5,
+    
     // Popular Tickers (for quick access)
     POPULAR_TICKERS: ['AAPL', 'TSLA', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'META', 'NFLX'],
     
@@ -33,16 +141,28 @@ const CONFIG = {
         NEWS_ENABLED: true,
         SENTIMENT_ENABLED: true,
         TIMELINE_ENABLED: true,
-        CACHING_ENABLED: true
+        CACHING_ENABLED: true,
+        PERSISTENT_CACHE_ENABLED: true,
+        FILINGS_ENABLED: true,
+        PROXY_ENABLED: true,
+        SOCIAL_ENABLED: true,
+        FEEDS_ENABLED: true
     },
     
     // Mock Data Mode (set to true to use mock data instead of APIs)
-    MOCK_MODE: false
+    MOCK_MODE: false,
+    
+    // SEC EDGAR fixtures (set to true to read saved JSON from EDGAR_FIXTURES_PATH instead of sec.gov)
+    EDGAR_USE_FIXTURES: false,
+    EDGAR_FIXTURES_PATH: 'fixtures/edgar'
 };
 
 // Prevent modification of config object
 Object.freeze(CONFIG);
 Object.freeze(CONFIG.FEATURES);
+Object.freeze(CONFIG.CACHE_TTLS);
+Object.freeze(CONFIG.RATE_LIMITS);
+Object.freeze(CONFIG.REDDIT_SUBREDDITS);
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
@@ -103,12 +103,15 @@ function processFinnhubProfile(data, marketauxEntities = null, wikipediaDescript
         return null;
     }
     
+    // The ticker's exchange suffix fills in what the profile leaves out (SHOP.TO -> Toronto, CAD)
+    const listing = Utils.parseTicker(data.ticker || '');
+    
     return {
         symbol: data.ticker || '',
         name: data.name || '',
         description: generateCompanyDescription(data.name, data.finnhubIndustry, data.country, data.marketCapitalization, marketauxEntities, wikipediaDescription),
-        exchange: data.exchange || '',
-        currency: data.currency || 'USD',
+        exchange: data.exchange || listing?.exchange || '',
+        currency: data.currency || listing?.currency || 'USD',
         country: data.country || '',
         sector: data.finnhubIndustry || '',
         industry: data.finnhubIndustry || '',
@@ -160,6 +163,64 @@ function processStockOverview(data) {
     };
 }
 
+/**
+ * Format a Wikidata date at its precision ("1976", "April 1976", "April 1, 1976")
+ * @param {Object} value - { date, precision }
+ * @returns {string|null} - Formatted date
+ */
+function formatFactDate(value) {
+    if (!value) return null;
+    
+    const [year, month, day] = value.date.split('-').map(part => parseInt(part, 10));
+    const date = new Date(Date.UTC(year, month - 1, day));
+    
+    if (value.precision === 'year') return String(year);
+    if (value.precision === 'month') {
+        return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+    return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Join names as prose ("A", "A and B", "A, B and C")
+ * @param {Array} names - Names
+ * @returns {string} - Joined names
+ */
+function joinNames(names) {
+    if (names.length <= 1) return names[0] || '';
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Process Wikidata company facts into labelled rows for the facts card
+ * @param {Object} facts - Facts from API.getWikidataFacts
+ * @returns {Object|null} - { rows: [{ label, value }], sourceUrl, wikipediaUrl } or null if there are no facts
+ */
+function processCompanyFacts(facts) {
+    if (!facts) return null;
+    
+    const founders = facts.founders || [];
+    const employees = facts.employees !== null && facts.employees !== undefined
+        ? `${Utils.formatNumber(Math.round(facts.employees))}${facts.employeesAsOf ? ` (${facts.employeesAsOf.date.slice(0, 4)})` : ''}`
+        : null;
+    
+    const rows = [
+        { label: 'Founded', value: formatFactDate(facts.founded) },
+        { label: 'Headquarters', value: facts.headquarters },
+        { label: 'CEO', value: facts.ceo },
+        { label: 'Employees', value: employees },
+        { label: founders.length > 1 ? 'Founders' : 'Founder', value: joinNames(founders) }
+    ].filter(row => row.value);
+    
+    if (rows.length === 0) return null;
+    
+    return {
+        rows,
+        sourceUrl: `https://www.wikidata.org/wiki/${facts.wikidataId}`,
+        wikipediaUrl: facts.wikipediaTitle ? `https://en.wikipedia.org/wiki/${encodeURIComponent(facts.wikipediaTitle.replace(/ /g, '_'))}` : null
+    };
+}
+
 /**
  * Process Finnhub quote data
  * @param {Object} data - Raw Finnhub quote data
@@ -184,6 +245,35 @@ function processFinnhubQuote(data) {
     };
 }
 
+/**
+ * Read one of Finnhub's quarterly or annual metric series
+ * @param {Array} series - Series points ([{ period, v }], newest first)
+ * @param {number} scale - Multiplier (100 turns fractions into percent)
+ * @returns {Array} - Points ({ period, value }), oldest first
+ */
+function readMetricSeries(series, scale = 1) {
+    return (Array.isArray(series) ? series : [])
+        .filter(point => point && point.period && typeof point.v === 'number')
+        .map(point => ({ period: point.period, value: point.v * scale }))
+        .sort((a, b) => a.period.localeCompare(b.period));
+}
+
+/**
+ * Read every series in one of Finnhub's series groups
+ * @param {Object} group - data.series.quarterly or data.series.annual ({ key: [{ period, v }] })
+ * @returns {Object} - { key: [{ period, value }] }, oldest first, in Finnhub's units (margins and returns as fractions)
+ */
+function readMetricSeriesGroup(group) {
+    const series = {};
+    Object.entries(group || {}).forEach(([key, points]) => {
+        const values = readMetricSeries(points);
+        if (values.length > 0) {
+            series[key] = values;
+        }
+    });
+    return series;
+}
+
 /**
  * Process Finnhub basic financials data
  * @param {Object} data - Raw Finnhub basic financials data
@@ -197,6 +287,17 @@ function processFinnhubBasicFinancials(data) {
     // /stock/metric endpoint returns different structure
     // Handle the actual response format from the correct endpoint
     const metric = data.metric || {};
+    const annual = data.series?.annual || {};
+    const years = CONFIG.METRIC_HISTORY_YEARS;
+    
+    // The annual series has no revenue line; sales per share year over year stands in for revenue growth
+    const salesPerShare = readMetricSeries(annual.salesPerShare);
+    const growthHistory = salesPerShare
+        .map((point, index) => {
+            const previous = salesPerShare[index - 1];
+            return previous && previous.value > 0 ? { period: point.period, value: (point.value / previous.value - 1) * 100 } : null;
+        })
+        .filter(Boolean);
     
     return {
         peRatio: metric.peTTM ? parseFloat(metric.peTTM) : null,
@@ -207,6 +308,21 @@ function processFinnhubBasicFinancials(data) {
         profitMargin: metric.netProfitMarginTTM ? parseFloat(metric.netProfitMarginTTM) : null,
         currentRatio: metric.currentRatioQuarterly ? parseFloat(metric.currentRatioQuarterly) : null,
         revenueGrowth: metric.revenueGrowthTTMYoy ? parseFloat(metric.revenueGrowthTTMYoy) : null,
+        payoutRatio: typeof metric.payoutRatioTTM === 'number' ? metric.payoutRatioTTM : null,
+        // Finnhub's annual series reports payout ratio as a fraction; keep percent like the TTM figure
+        payoutRatioHistory: readMetricSeries(annual.payoutRatio, 100),
+        // Every quarterly and annual series, for the fundamentals narrator
+        series: {
+            quarterly: readMetricSeriesGroup(data.series?.quarterly),
+            annual: readMetricSeriesGroup(annual)
+        },
+        // Annual history of the overview metrics, oldest first, in the same units as the TTM figures
+        history: {
+            peRatio: readMetricSeries(annual.pe).slice(-years),
+            profitMargin: readMetricSeries(annual.netMargin, 100).slice(-years),
+            revenueGrowth: growthHistory.slice(-years),
+            currentRatio: readMetricSeries(annual.currentRatio).slice(-years)
+        },
         weekHigh: metric['52WeekHigh'] ? parseFloat(metric['52WeekHigh']) : null,
         weekLow: metric['52WeekLow'] ? parseFloat(metric['52WeekLow']) : null,
         lastUpdated: new Date().toISOString()
@@ -214,26 +330,110 @@ function processFinnhubBasicFinancials(data) {
 }
 
 /**
- * Process Finnhub earnings data
- * @param {Object} data - Raw Finnhub earnings data
- * @returns {Object} - Processed earnings data
+ * Process Finnhub earnings data (every reported quarter, not just the latest)
+ * @param {Array} data - Raw Finnhub /stock/earnings data ([{ period, quarter, year, actual, estimate, surprise, surprisePercent }])
+ * @returns {Array} - Quarters ({ period, quarter, year, label, actual, estimate, surprise, surprisePercent }), newest first
  */
 function processFinnhubEarnings(data) {
-    if (!data || Object.keys(data).length === 0) {
-        return null;
+    if (!Array.isArray(data)) {
+        return [];
     }
     
-    // Finnhub earnings returns an array of earnings data
-    // Get the most recent earnings data
-    const earningsArray = Array.isArray(data) ? data : [data];
-    const latestEarnings = earningsArray.length > 0 ? earningsArray[0] : {};
+    const toNumber = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
     
-    return {
-        eps: latestEarnings.eps ? parseFloat(latestEarnings.eps) : null,
-        revenue: latestEarnings.revenue ? parseFloat(latestEarnings.revenue) : null,
-        earningsDate: latestEarnings.date || null,
-        lastUpdated: new Date().toISOString()
-    };
+    return data
+        .filter(entry => entry && entry.period)
+        .map(entry => {
+            const actual = toNumber(entry.actual);
+            const estimate = toNumber(entry.estimate);
+            const surprisePercent = toNumber(entry.surprisePercent) ??
+                (actual !== null && estimate ? (actual - estimate) / Math.abs(estimate) * 100 : null);
+            
+            return {
+                period: entry.period,
+                quarter: entry.quarter || null,
+                year: entry.year || null,
+                label: entry.quarter && entry.year ? `Q${entry.quarter} ${entry.year}` : entry.period,
+                actual,
+                estimate,
+                surprise: toNumber(entry.surprise) ?? (actual !== null && estimate !== null ? actual - estimate : null),
+                surprisePercent
+            };
+        })
+        .sort((a, b) => b.period.localeCompare(a.period));
+}
+
+/**
+ * Classify a reported quarter against its estimate
+ * @param {Object} quarter - Processed quarter
+ * @returns {string|null} - 'beat', 'miss', 'met', or null without both figures
+ */
+function getEarningsOutcome(quarter) {
+    if (quarter.actual === null || quarter.estimate === null) return null;
+    if (quarter.actual > quarter.estimate) return 'beat';
+    if (quarter.actual < quarter.estimate) return 'miss';
+    return 'met';
+}
+
+/**
+ * Format a surprise size for prose ("4%", "2.5%")
+ * @param {number} percent - Surprise percent
+ * @returns {string} - Unsigned percent
+ */
+function formatSurpriseSize(percent) {
+    return `${parseFloat(Math.abs(percent).toFixed(1))}%`;
+}
+
+/**
+ * Describe the run of beats or misses in the earnings history
+ * e.g. "Beat estimates 6 quarters in a row; the last miss was Q2 2023 by 4%."
+ * @param {Array} quarters - Processed quarters, newest first
+ * @returns {string|null} - Narrative sentences, or null without scored quarters
+ */
+function describeEarningsStreak(quarters) {
+    const scored = (quarters || []).filter(quarter => getEarningsOutcome(quarter));
+    if (scored.length === 0) return null;
+    
+    const outcome = getEarningsOutcome(scored[0]);
+    const runLength = scored.findIndex(quarter => getEarningsOutcome(quarter) !== outcome);
+    const streak = runLength === -1 ? scored.length : runLength;
+    const verbs = { beat: 'Beat', miss: 'Missed', met: 'Met' };
+    const by = (quarter) => (getEarningsOutcome(quarter) === 'met' ? '' : ` by ${formatSurpriseSize(quarter.surprisePercent)}`);
+    
+    let lead;
+    if (streak > 1) {
+        lead = `${verbs[outcome]} estimates ${streak} quarters in a row`;
+    } else {
+        lead = `${verbs[outcome]} estimates in ${scored[0].label}${by(scored[0])}`;
+    }
+    
+    let sentence;
+    if (runLength === -1) {
+        sentence = streak > 1 ? `${lead}, every quarter on record since ${scored[scored.length - 1].label}.` : `${lead}.`;
+    } else {
+        const previous = scored[runLength];
+        const previousNames = { beat: 'beat', miss: 'miss', met: 'in-line quarter' };
+        sentence = `${lead}; the last ${previousNames[getEarningsOutcome(previous)]} was ${previous.label}${by(previous)}.`;
+    }
+    
+    if (scored.length < 2) return sentence;
+    
+    // Summary over the whole history
+    const counts = scored.reduce((totals, quarter) => {
+        totals[getEarningsOutcome(quarter)]++;
+        return totals;
+    }, { beat: 0, miss: 0, met: 0 });
+    const withSurprise = scored.filter(quarter => quarter.surprisePercent !== null);
+    const averageSurprise = withSurprise.reduce((sum, quarter) => sum + quarter.surprisePercent, 0) / (withSurprise.length || 1);
+    const tally = [
+        counts.beat ? `${counts.beat} ${counts.beat === 1 ? 'beat' : 'beats'}` : null,
+        counts.miss ? `${counts.miss} ${counts.miss === 1 ? 'miss' : 'misses'}` : null,
+        counts.met ? `${counts.met} in line` : null
+    ].filter(Boolean).join(', ');
+    
+    const sign = parseFloat(averageSurprise.toFixed(1)) > 0 ? '+' : parseFloat(averageSurprise.toFixed(1)) < 0 ? '-' : '';
+    
+    return `${sentence} Over ${scored.length} quarters: ${tally}, average surprise ${sign}${formatSurpriseSize(averageSurprise)}.`;
 }
 
 /**
@@ -280,12 +480,78 @@ function processNewsArticles(articles) {
         source: article.source?.name || '',
         author: article.author || '',
         publishedAt: article.publishedAt || '',
+        feedUrl: article.feedUrl || null,
         relativeTime: Utils.getRelativeTime(article.publishedAt),
         sentiment: processMarketauxSentiment(article.sentiment),
+        matchScore: typeof article.matchScore === 'number' ? article.matchScore : null,
+        highlights: processMarketauxHighlights(article.highlights),
         category: categorizeNews(article.title + ' ' + (article.description || ''))
     }));
 }
 
+/**
+ * Process Marketaux highlight snippets for the searched company
+ * @param {Array} highlights - Highlights ({ text, sentiment, highlightedIn })
+ * @returns {Array} - Highlights with cleaned text and processed sentiment, body snippets first
+ */
+function processMarketauxHighlights(highlights) {
+    if (!Array.isArray(highlights)) {
+        return [];
+    }
+    
+    const seen = new Set();
+    
+    return highlights
+        .map(highlight => ({
+            // Marketaux wraps the matched name in <em>; drop every other tag
+            text: String(highlight.text || '').replace(/<(?!\/?em>)[^>]*>/gi, '').replace(/\s+/g, ' ').trim(),
+            sentiment: processMarketauxSentiment(highlight.sentiment),
+            highlightedIn: highlight.highlightedIn || 'main_text'
+        }))
+        .filter(highlight => {
+            if (!highlight.text || seen.has(highlight.text)) return false;
+            seen.add(highlight.text);
+            return true;
+        })
+        .sort((a, b) => (a.highlightedIn === 'title') - (b.highlightedIn === 'title'));
+}
+
+/**
+ * Process social posts (Reddit)
+ * @param {Array} posts - Posts in the social provider shape
+ * @returns {Array} - Processed posts
+ */
+function processSocialPosts(posts) {
+    if (!Array.isArray(posts)) {
+        return [];
+    }
+    
+    return posts.map(post => ({
+        title: post.title || '',
+        description: post.description || '',
+        url: post.url || '',
+        source: post.source?.name || '',
+        author: post.author || '',
+        subreddit: post.subreddit || '',
+        publishedAt: post.publishedAt || '',
+        relativeTime: Utils.getRelativeTime(post.publishedAt),
+        sentiment: typeof post.sentiment === 'number' ? processMarketauxSentiment(post.sentiment) : post.sentiment,
+        score: post.score || 0,
+        numComments: post.numComments || 0
+    }));
+}
+
+/**
+ * Rank news by how much each article is about the searched company
+ * @param {Array} articles - Processed news articles
+ * @returns {Array} - Articles by Marketaux match score (highest first), newest first on ties
+ */
+function rankNewsByRelevance(articles) {
+    return [...articles].sort((a, b) =>
+        (b.matchScore ?? -1) - (a.matchScore ?? -1) ||
+        new Date(b.publishedAt || b.date) - new Date(a.publishedAt || a.date));
+}
+
 /**
  * Process Marketaux sentiment scores
  * @param {number} sentimentScore - Marketaux sentiment score (-1.0 to +1.0)
@@ -403,6 +669,1308 @@ function processEarningsData(earnings) {
     }));
 }
 
+/**
+ * When in the trading day a company reports (Finnhub calendar "hour" codes)
+ */
+const EARNINGS_TIMING = {
+    bmo: 'Before market open',
+    amc: 'After market close',
+    dmh: 'During market hours'
+};
+
+/**
+ * Process the next scheduled earnings report from the earnings calendar
+ * @param {Object} entry - Calendar entry ({ date, hour, quarter, year, epsEstimate, revenueEstimate })
+ * @returns {Object|null} - { date, timing, fiscalQuarter, epsEstimate, revenueEstimate } or null if none is scheduled
+ */
+function processEarningsCalendar(entry) {
+    if (!entry || !entry.date) return null;
+    
+    return {
+        date: entry.date,
+        timing: EARNINGS_TIMING[entry.hour] || null,
+        fiscalQuarter: entry.quarter && entry.year ? `Q${entry.quarter} ${entry.year}` : null,
+        epsEstimate: typeof entry.epsEstimate === 'number' ? entry.epsEstimate : null,
+        revenueEstimate: typeof entry.revenueEstimate === 'number' ? entry.revenueEstimate : null
+    };
+}
+
+/**
+ * Describe how far away a report date is ("today", "tomorrow", "in 12 days")
+ * @param {string} date - Report date (YYYY-MM-DD)
+ * @returns {string|null} - Countdown text, or null if the date has passed
+ */
+function getEarningsCountdown(date) {
+    const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+    const now = new Date();
+    const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+    const days = Math.round((Date.UTC(year, month - 1, day) - today) / (24 * 60 * 60 * 1000));
+    
+    if (days < 0) return null;
+    if (days === 0) return 'today';
+    if (days === 1) return 'tomorrow';
+    return `in ${days} days`;
+}
+
+/**
+ * Compare the oldest and newest next-quarter consensus EPS recorded for a fiscal quarter
+ * Finnhub only serves the current consensus, so the ticker page records it across visits.
+ * @param {Object} entry - { fiscalQuarter, snapshots: [{ date, eps }] }, oldest snapshot first
+ * @returns {Object|null} - { fiscalQuarter, from: { date, eps }, to: { date, eps }, changePercent } or null without a consensus
+ */
+function computeEstimateRevision(entry) {
+    if (!entry || entry.snapshots.length === 0) return null;
+    
+    const from = entry.snapshots[0];
+    const to = entry.snapshots[entry.snapshots.length - 1];
+    
+    return {
+        fiscalQuarter: entry.fiscalQuarter,
+        from,
+        to,
+        changePercent: from.date !== to.date && from.eps !== 0 ? (to.eps - from.eps) / Math.abs(from.eps) * 100 : null
+    };
+}
+
+/**
+ * Format a YYYY-MM-DD date for calculation notes ("Sep 3")
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} - Short date
+ */
+function formatShortDate(date) {
+    const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Derive forward P/E, EPS growth, estimate revisions and beat rate from earnings data
+ * Each metric carries the calculation behind it so the popup can show its inputs.
+ * @param {Object} inputs - Earnings inputs
+ * @param {Array} inputs.history - Reported quarters from processFinnhubEarnings
+ * @param {Array} inputs.estimates - Annual EPS estimates ([{ period, year, epsAvg, numberAnalysts }])
+ * @param {Object} inputs.revision - Result of computeEstimateRevision
+ * @param {number} inputs.price - Current share price
+ * @param {string} inputs.currency - Listing currency
+ * @returns {Object} - { forwardPE, epsGrowth, estimateRevisions, beatRate }, each { value, detail }
+ */
+function computeEarningsMetrics({ history = [], estimates = [], revision = null, price = null, currency = 'USD' }) {
+    const money = (amount) => Utils.formatCurrency(amount, currency);
+    
+    // Forward P/E: price over the consensus for the first fiscal year that hasn't ended
+    const today = new Date().toISOString().slice(0, 10);
+    const nextYear = (estimates || [])
+        .filter(estimate => estimate.period >= today && typeof estimate.epsAvg === 'number')
+        .sort((a, b) => a.period.localeCompare(b.period))[0];
+    let forwardPE = { value: null, detail: 'Annual EPS estimates are not available for this ticker.' };
+    if (nextYear && price) {
+        const analysts = nextYear.numberAnalysts ? ` (${nextYear.numberAnalysts} analysts)` : '';
+        forwardPE = nextYear.epsAvg > 0
+            ? { value: price / nextYear.epsAvg, detail: `${money(price)} price ÷ ${money(nextYear.epsAvg)} FY${nextYear.year} consensus EPS${analysts}.` }
+            : { value: null, detail: `FY${nextYear.year} consensus EPS is ${money(nextYear.epsAvg)}${analysts}; P/E is not meaningful without expected profits.` };
+    }
+    
+    // EPS growth: latest reported quarter against the same fiscal quarter a year earlier
+    const reported = history.filter(quarter => quarter.actual !== null);
+    const latest = reported[0];
+    const yearAgo = latest && reported.find(quarter => quarter.quarter === latest.quarter && quarter.year === latest.year - 1);
+    let epsGrowth = { value: null, detail: 'Needs the latest quarter and the same quarter a year earlier.' };
+    if (latest && yearAgo) {
+        const comparison = `${latest.label} EPS ${money(latest.actual)} vs ${yearAgo.label} ${money(yearAgo.actual)}`;
+        epsGrowth = yearAgo.actual > 0
+            ? { value: (latest.actual - yearAgo.actual) / yearAgo.actual * 100, detail: `${comparison}.` }
+            : { value: null, detail: `${comparison}; growth is not meaningful from a loss.` };
+    }
+    
+    // Estimate revisions: next-quarter consensus now against the oldest one recorded
+    let estimateRevisions = { value: null, detail: 'No consensus EPS for the next report.' };
+    if (revision) {
+        estimateRevisions = revision.changePercent !== null
+            ? {
+                value: revision.changePercent,
+                detail: `${revision.fiscalQuarter} consensus EPS ${money(revision.from.eps)} on ${formatShortDate(revision.from.date)} → ${money(revision.to.eps)} on ${formatShortDate(revision.to.date)}.`
+            }
+            : {
+                value: null,
+                detail: `${revision.fiscalQuarter} consensus EPS is ${money(revision.to.eps)}. Revisions show once the consensus has been seen on another day (tracked for ${CONFIG.ESTIMATE_REVISION_DAYS} days).`
+            };
+    }
+    
+    // Beat rate: share of the last four reported quarters where actual EPS topped the estimate
+    const scored = reported.filter(quarter => quarter.estimate !== null).slice(0, 4);
+    let beatRate = { value: null, detail: 'No reported quarters with an EPS estimate.' };
+    if (scored.length > 0) {
+        const beats = scored.filter(quarter => getEarningsOutcome(quarter) === 'beat');
+        const outcomeNames = { beat: 'beat', miss: 'missed', met: 'met' };
+        const quarters = scored
+            .map(quarter => `${quarter.label} ${outcomeNames[getEarningsOutcome(quarter)]}`)
+            .join(', ');
+        beatRate = {
+            value: beats.length / scored.length * 100,
+            detail: `Beat in ${beats.length} of ${scored.length} quarters: ${quarters}.`
+        };
+    }
+    
+    return { forwardPE, epsGrowth, estimateRevisions, beatRate };
+}
+
+/**
+ * Form 4 transaction codes we show, with how to describe them
+ * Open-market purchases (P) and sales (S) are the ones that count toward net insider activity.
+ */
+const INSIDER_TRANSACTION_CODES = {
+    P: { label: 'Purchase', verb: 'bought', direction: 'buy' },
+    S: { label: 'Sale', verb: 'sold', direction: 'sell' },
+    A: { label: 'Award', verb: 'was awarded', direction: 'acquire' },
+    M: { label: 'Option Exercise', verb: 'exercised options for', direction: 'acquire' },
+    X: { label: 'Option Exercise', verb: 'exercised options for', direction: 'acquire' },
+    C: { label: 'Conversion', verb: 'converted', direction: 'acquire' },
+    F: { label: 'Tax Withholding', verb: 'withheld', direction: 'dispose' },
+    D: { label: 'Disposition', verb: 'returned', direction: 'dispose' },
+    G: { label: 'Gift', verb: 'gifted', direction: 'dispose' }
+};
+
+const NAME_HONORIFICS = new Set(['mr', 'mrs', 'ms', 'dr', 'jr', 'sr', 'ii', 'iii', 'iv']);
+
+/**
+ * Split a person's name into comparable lowercase words ("Mr. Timothy D. Cook" -> ["timothy", "d", "cook"])
+ * @param {string} name - Name
+ * @returns {Array} - Words
+ */
+function getNameTokens(name) {
+    return (name || '')
+        .toLowerCase()
+        .replace(/[^a-z\s-]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token && !NAME_HONORIFICS.has(token));
+}
+
+/**
+ * Find the executive an insider filing refers to
+ * Form 4 names are usually "LAST FIRST MIDDLE" while executive lists use "First Middle Last".
+ * @param {string} name - Insider name from the filing
+ * @param {Array} executives - [{ name, position }]
+ * @returns {Object|null} - Matching executive
+ */
+function matchExecutive(name, executives) {
+    const insiderTokens = getNameTokens(name);
+    if (insiderTokens.length === 0) return null;
+    
+    return (executives || []).find(executive => {
+        const tokens = getNameTokens(executive.name);
+        if (tokens.length < 2) return false;
+        const first = tokens[0];
+        const last = tokens[tokens.length - 1];
+        return insiderTokens.includes(last) && insiderTokens.some(token => token === first || (token.length === 1 && token === first[0]));
+    }) || null;
+}
+
+/**
+ * Title-case an all-caps filing name ("COOK TIMOTHY D" -> "Cook Timothy D")
+ * @param {string} name - Name
+ * @returns {string} - Display name
+ */
+function formatInsiderName(name) {
+    if (name !== name.toUpperCase()) return name;
+    return name.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Process insider transactions into one event per insider, day and transaction type
+ * @param {Object} data - { transactions, executives } from the insiders provider
+ * @returns {Array} - Events ({ name, role, code, type, direction, verb, shares, price, value, sharesAfter, transactionDate, filingDate }), newest first
+ */
+function processInsiderTransactions(data) {
+    const transactions = Array.isArray(data?.transactions) ? data.transactions : [];
+    const executives = data?.executives || [];
+    const events = new Map();
+    
+    transactions.forEach(transaction => {
+        const code = INSIDER_TRANSACTION_CODES[transaction.transactionCode];
+        // Derivative rows (options, RSUs) repeat the underlying share transactions
+        if (!code || transaction.isDerivative || !transaction.change || !transaction.name) return;
+        
+        const date = transaction.transactionDate || transaction.filingDate;
+        const key = `${transaction.name}|${date}|${transaction.transactionCode}`;
+        if (!events.has(key)) {
+            const executive = matchExecutive(transaction.name, executives);
+            events.set(key, {
+                name: executive ? executive.name.replace(/^(Mr|Mrs|Ms|Dr)\.?\s+/i, '') : formatInsiderName(transaction.name),
+                role: executive?.position || null,
+                code: transaction.transactionCode,
+                type: code.label,
+                direction: code.direction,
+                verb: code.verb,
+                shares: 0,
+                pricedShares: 0,
+                value: 0,
+                sharesAfter: null,
+                transactionDate: date,
+                filingDate: transaction.filingDate || date
+            });
+        }
+        
+        const event = events.get(key);
+        const shares = Math.abs(transaction.change);
+        event.shares += shares;
+        if (transaction.transactionPrice > 0) {
+            event.pricedShares += shares;
+            event.value += shares * transaction.transactionPrice;
+        }
+        // Rows are in filing order, so the last one holds the position after the day's trades
+        if (typeof transaction.share === 'number') {
+            event.sharesAfter = transaction.share;
+        }
+        if (transaction.filingDate > event.filingDate) {
+            event.filingDate = transaction.filingDate;
+        }
+    });
+    
+    return [...events.values()]
+        .map(({ pricedShares, ...event }) => ({
+            ...event,
+            price: pricedShares > 0 ? event.value / pricedShares : null,
+            value: pricedShares > 0 ? event.value : null
+        }))
+        .sort((a, b) => b.transactionDate.localeCompare(a.transactionDate));
+}
+
+/**
+ * Sum open-market insider buying and selling over recent windows
+ * @param {Array} events - Events from processInsiderTransactions
+ * @param {Array} months - Window lengths in months
+ * @returns {Array} - [{ months, boughtShares, soldShares, netShares, boughtValue, soldValue, netValue, buyers, sellers }]
+ */
+function summarizeInsiderActivity(events, months = [3, 6, 12]) {
+    const now = new Date();
+    
+    return months.map(length => {
+        const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - length, now.getUTCDate())).toISOString().slice(0, 10);
+        const recent = (events || []).filter(event => event.transactionDate >= since);
+        const buys = recent.filter(event => event.code === 'P');
+        const sells = recent.filter(event => event.code === 'S');
+        const total = (list, field) => list.reduce((sum, event) => sum + (event[field] || 0), 0);
+        
+        return {
+            months: length,
+            boughtShares: total(buys, 'shares'),
+            soldShares: total(sells, 'shares'),
+            netShares: total(buys, 'shares') - total(sells, 'shares'),
+            boughtValue: total(buys, 'value'),
+            soldValue: total(sells, 'value'),
+            netValue: total(buys, 'value') - total(sells, 'value'),
+            buyers: new Set(buys.map(event => event.name)).size,
+            sellers: new Set(sells.map(event => event.name)).size
+        };
+    });
+}
+
+/**
+ * Process monthly analyst recommendation trends
+ * @param {Array} trends - Finnhub /stock/recommendation entries
+ * @param {number} months - Most recent months to keep
+ * @returns {Array} - [{ period, label, strongBuy, buy, hold, sell, strongSell, total, buyShare }], newest first
+ */
+function processRecommendationTrends(trends, months = CONFIG.RECOMMENDATION_TREND_MONTHS) {
+    if (!Array.isArray(trends)) return [];
+    
+    return trends
+        .filter(trend => trend && trend.period)
+        .sort((a, b) => b.period.localeCompare(a.period))
+        .slice(0, months)
+        .map(trend => {
+            const counts = {
+                strongBuy: trend.strongBuy || 0,
+                buy: trend.buy || 0,
+                hold: trend.hold || 0,
+                sell: trend.sell || 0,
+                strongSell: trend.strongSell || 0
+            };
+            const total = counts.strongBuy + counts.buy + counts.hold + counts.sell + counts.strongSell;
+            const [year, month] = trend.period.split('-').map(part => parseInt(part, 10));
+            
+            return {
+                period: trend.period,
+                label: new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+                ...counts,
+                total,
+                buyShare: total > 0 ? (counts.strongBuy + counts.buy) / total * 100 : null
+            };
+        });
+}
+
+/**
+ * Describe the latest recommendation mix and how it moved over the listed months
+ * e.g. "38 analysts in October 2026: 14 strong buy, 18 buy, 5 hold, 1 sell. 84% rate it a buy, up from 79% in May 2026."
+ * @param {Array} months - Processed trends, newest first
+ * @returns {string|null} - Narrative, or null without trends
+ */
+function describeRecommendationTrends(months) {
+    const latest = (months || []).find(month => month.total > 0);
+    if (!latest) return null;
+    
+    const mix = [
+        ['strongBuy', 'strong buy'],
+        ['buy', 'buy'],
+        ['hold', 'hold'],
+        ['sell', 'sell'],
+        ['strongSell', 'strong sell']
+    ]
+        .filter(([field]) => latest[field] > 0)
+        .map(([field, label]) => `${latest[field]} ${label}`)
+        .join(', ');
+    
+    let sentence = `${latest.total} ${latest.total === 1 ? 'analyst' : 'analysts'} in ${latest.label}: ${mix}. ${Math.round(latest.buyShare)}% rate it a buy`;
+    
+    const earliest = months.filter(month => month.total > 0).pop();
+    if (earliest !== latest) {
+        const change = Math.round(latest.buyShare) - Math.round(earliest.buyShare);
+        sentence += change === 0
+            ? `, unchanged since ${earliest.label}`
+            : `, ${change > 0 ? 'up' : 'down'} from ${Math.round(earliest.buyShare)}% in ${earliest.label}`;
+    }
+    
+    return `${sentence}.`;
+}
+
+/**
+ * Rating actions we put on the timeline (maintained and reiterated ratings are left out)
+ */
+const RATING_ACTIONS = {
+    up: { label: 'Upgrade', verb: 'upgrades', direction: 'positive' },
+    down: { label: 'Downgrade', verb: 'downgrades', direction: 'negative' },
+    init: { label: 'Initiated', verb: 'initiates coverage', direction: 'neutral' }
+};
+
+/**
+ * Process analyst upgrades, downgrades and coverage initiations
+ * @param {Array} changes - Finnhub /stock/upgrade-downgrade entries ({ gradeTime, company, fromGrade, toGrade, action })
+ * @returns {Array} - [{ date, firm, fromGrade, toGrade, action, label, title }], newest first
+ */
+function processRatingChanges(changes) {
+    if (!Array.isArray(changes)) return [];
+    
+    return changes
+        .filter(change => RATING_ACTIONS[change.action] && change.company && change.gradeTime)
+        .map(change => {
+            const action = RATING_ACTIONS[change.action];
+            let title;
+            if (change.action === 'init') {
+                title = `${change.company} ${action.verb}${change.toGrade ? ` at ${change.toGrade}` : ''}`;
+            } else {
+                title = `${change.company} ${action.verb} to ${change.toGrade || 'a new rating'}${change.fromGrade ? ` from ${change.fromGrade}` : ''}`;
+            }
+            
+            return {
+                date: new Date(change.gradeTime * 1000),
+                firm: change.company,
+                fromGrade: change.fromGrade || null,
+                toGrade: change.toGrade || null,
+                action: change.action,
+                label: action.label,
+                direction: action.direction,
+                title
+            };
+        })
+        .sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Payment frequencies by typical days between dividends
+ */
+const DIVIDEND_FREQUENCIES = [
+    { maxDays: 45, label: 'monthly', perYear: 12 },
+    { maxDays: 135, label: 'quarterly', perYear: 4 },
+    { maxDays: 270, label: 'semiannual', perYear: 2 },
+    { maxDays: Infinity, label: 'annual', perYear: 1 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a YYYY-MM-DD date as month and year ("Feb 2026")
+ * @param {string} date - Date
+ * @returns {string} - Month and year
+ */
+function formatMonthYear(date) {
+    const [year, month] = date.split('-').map(part => parseInt(part, 10));
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+}
+
+/**
+ * Process stock splits
+ * @param {Array} splits - Finnhub /stock/split entries ({ date, fromFactor, toFactor })
+ * @returns {Array} - [{ date, label, reverse }], newest first
+ */
+function processSplits(splits) {
+    if (!Array.isArray(splits)) return [];
+    
+    return splits
+        .filter(split => split && split.date && split.fromFactor > 0 && split.toFactor > 0)
+        .map(split => {
+            const reverse = split.toFactor < split.fromFactor;
+            return {
+                date: split.date,
+                label: `${split.toFactor}-for-${split.fromFactor}`,
+                reverse
+            };
+        })
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Process dividend history into payments, timeline events and a summary
+ * Amounts are split-adjusted so a split doesn't read as a cut. A payment at least double the
+ * regular rate that isn't repeated is treated as a special dividend; a gap of more than twice
+ * the usual interval is a suspension.
+ * @param {Array} dividends - Finnhub /stock/dividend entries
+ * @returns {Object} - { events, summary } (summary is null for companies that never paid)
+ */
+function processDividendHistory(dividends) {
+    const payments = (Array.isArray(dividends) ? dividends : [])
+        .filter(dividend => dividend && dividend.date && (dividend.adjustedAmount || dividend.amount) > 0)
+        .map(dividend => ({
+            date: dividend.date,
+            declarationDate: dividend.declarationDate || null,
+            payDate: dividend.payDate || null,
+            amount: dividend.adjustedAmount || dividend.amount,
+            currency: dividend.currency || 'USD'
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    
+    if (payments.length === 0) {
+        return { events: [], summary: null };
+    }
+    
+    // Typical gap between payments sets the frequency and what counts as a suspension
+    const gaps = payments.slice(1).map((payment, index) => (new Date(payment.date) - new Date(payments[index].date)) / DAY_MS);
+    const recentGaps = gaps.slice(-8).sort((a, b) => a - b);
+    const typicalGap = recentGaps.length > 0 ? recentGaps[Math.floor(recentGaps.length / 2)] : 365;
+    const frequency = DIVIDEND_FREQUENCIES.find(entry => typicalGap <= entry.maxDays);
+    const suspensionGap = typicalGap * 2 + 30;
+    
+    const events = [];
+    let regular = null;
+    let lastChange = null;
+    
+    payments.forEach((payment, index) => {
+        const previous = payments[index - 1];
+        const next = payments[index + 1];
+        const event = { date: payment.declarationDate || payment.date, exDate: payment.date, payDate: payment.payDate, amount: payment.amount, currency: payment.currency };
+        
+        if (previous && (new Date(payment.date) - new Date(previous.date)) / DAY_MS > suspensionGap) {
+            events.push({ kind: 'suspension', date: new Date(new Date(previous.date).getTime() + typicalGap * DAY_MS).toISOString().slice(0, 10), amount: regular });
+            events.push({ ...event, kind: 'reinstatement' });
+            lastChange = { kind: 'reinstatement', date: payment.date, amount: payment.amount };
+            regular = payment.amount;
+            return;
+        }
+        
+        if (regular !== null && payment.amount >= regular * 2 && (!next || next.amount < regular * 1.5)) {
+            events.push({ ...event, kind: 'special' });
+            return;
+        }
+        
+        if (regular !== null && Math.abs(payment.amount - regular) / regular > 0.005) {
+            const percent = (payment.amount - regular) / regular * 100;
+            const kind = percent > 0 ? 'increase' : 'cut';
+            events.push({ ...event, kind, percent, previousAmount: regular });
+            lastChange = { kind, percent, date: payment.date, amount: payment.amount };
+        } else {
+            events.push({ ...event, kind: 'declaration' });
+        }
+        regular = payment.amount;
+    });
+    
+    const last = payments[payments.length - 1];
+    const suspended = (Date.now() - new Date(last.date)) / DAY_MS > suspensionGap;
+    if (suspended) {
+        events.push({ kind: 'suspension', date: new Date(new Date(last.date).getTime() + typicalGap * DAY_MS).toISOString().slice(0, 10), amount: regular });
+    }
+    
+    // Consecutive yearly increases in the total paid, counting back from the last complete year
+    const currentYear = new Date().getFullYear();
+    const yearlyTotals = {};
+    events.filter(event => event.amount && event.kind !== 'suspension' && event.kind !== 'special').forEach(event => {
+        const year = parseInt(event.exDate.slice(0, 4), 10);
+        if (year < currentYear) yearlyTotals[year] = (yearlyTotals[year] || 0) + event.amount;
+    });
+    let increaseYears = 0;
+    for (let year = currentYear - 1; yearlyTotals[year] && yearlyTotals[year - 1] && yearlyTotals[year] > yearlyTotals[year - 1] * 1.001; year--) {
+        increaseYears++;
+    }
+    
+    return {
+        events: events.sort((a, b) => b.date.localeCompare(a.date)),
+        summary: {
+            suspended,
+            frequency: frequency.label,
+            latestAmount: regular,
+            annualAmount: suspended ? null : regular * frequency.perYear,
+            currency: last.currency,
+            lastPaid: last.date,
+            increaseYears: suspended ? 0 : increaseYears,
+            lastChange
+        }
+    };
+}
+
+/**
+ * Describe a company's dividend record
+ * e.g. "Pays $0.26 quarterly ($1.04 a year). Raised the dividend 12 years in a row; the last change was a 5% increase in Feb 2026."
+ * @param {Object} summary - Summary from processDividendHistory (null if it never paid)
+ * @param {Object} financials - Processed basic financials ({ payoutRatio, payoutRatioHistory })
+ * @param {Array} splits - Processed splits
+ * @returns {string} - Narrative
+ */
+function describeDividends(summary, financials, splits = []) {
+    const sentences = [];
+    
+    if (!summary) {
+        sentences.push('Doesn\'t pay a dividend.');
+    } else if (summary.suspended) {
+        sentences.push(`The dividend is suspended; the last payment was ${Utils.formatCurrency(summary.latestAmount, summary.currency)} in ${formatMonthYear(summary.lastPaid)}.`);
+    } else {
+        sentences.push(`Pays ${Utils.formatCurrency(summary.latestAmount, summary.currency)} ${summary.frequency} (${Utils.formatCurrency(summary.annualAmount, summary.currency)} a year).`);
+        
+        const change = summary.lastChange;
+        const changeText = change
+            ? change.kind === 'reinstatement'
+                ? `the dividend was reinstated in ${formatMonthYear(change.date)}`
+                : `the last change was a ${formatSurpriseSize(change.percent)} ${change.kind === 'increase' ? 'increase' : 'cut'} in ${formatMonthYear(change.date)}`
+            : 'the rate hasn\'t changed in the years on record';
+        
+        if (summary.increaseYears > 1) {
+            sentences.push(`Raised the dividend ${summary.increaseYears} years in a row; ${changeText}.`);
+        } else {
+            sentences.push(`${changeText.charAt(0).toUpperCase()}${changeText.slice(1)}.`);
+        }
+    }
+    
+    // Payout ratio now against the oldest year on record
+    const history = financials?.payoutRatioHistory || [];
+    const payoutRatio = financials?.payoutRatio ?? (history.length > 0 ? history[history.length - 1].value : null);
+    if (summary && payoutRatio !== null && payoutRatio !== undefined) {
+        const oldest = history[0];
+        const trend = oldest && Math.abs(payoutRatio - oldest.value) >= 1
+            ? `, ${payoutRatio < oldest.value ? 'down' : 'up'} from ${Math.round(oldest.value)}% in ${oldest.period.slice(0, 4)}`
+            : '';
+        sentences.push(`Pays out ${Math.round(payoutRatio)}% of earnings${trend}.`);
+    }
+    
+    if (splits.length > 0) {
+        const list = splits.map(split => `${split.reverse ? 'a reverse ' : ''}${split.label} in ${formatMonthYear(split.date)}`);
+        sentences.push(`Split the stock ${joinNames(list)}.`);
+    }
+    
+    return sentences.join(' ');
+}
+
+/**
+ * Process a peer snapshot into the figures the peers panel compares
+ * @param {Object} snapshot - Snapshot from API.getPeerSnapshots ({ symbol, profile, metrics }), with news from API.getPeerNews if loaded
+ * @returns {Object} - { symbol, name, industry, currency, marketCap (millions), peRatio, profitMargin, revenueGrowth, currentRatio, newsSummary }
+ */
+function processPeerSnapshot(snapshot) {
+    const profile = processFinnhubProfile(snapshot.profile);
+    const metrics = snapshot.metrics ? processFinnhubBasicFinancials(snapshot.metrics) : null;
+
+    return {
+        symbol: snapshot.symbol,
+        name: profile?.name || snapshot.symbol,
+        industry: profile?.industry || '',
+        currency: profile?.currency || 'USD',
+        marketCap: profile?.marketCap ?? metrics?.marketCap ?? null,
+        peRatio: metrics?.peRatio ?? null,
+        profitMargin: metrics?.profitMargin ?? null,
+        revenueGrowth: metrics?.revenueGrowth ?? null,
+        currentRatio: metrics?.currentRatio ?? null,
+        // null when news couldn't be loaded, so "no news" is only said when it's true
+        newsSummary: snapshot.news ? getNewsSummary(processNewsArticles(snapshot.news)) : null
+    };
+}
+
+/**
+ * Describe a peer relative to the company being researched, in one line
+ * e.g. "$1.8T market cap, about 60% of AAPL's; cheaper at 25.8× earnings (AAPL 28.5×), growing faster (8.5% vs 7.0%); news leaned positive over the past 30 days (5 positive, 1 negative of 9 articles)."
+ * @param {Object} peer - Processed peer from processPeerSnapshot
+ * @param {Object} company - The researched company ({ symbol, marketCap (millions), peRatio, profitMargin, revenueGrowth })
+ * @returns {string} - Narrative
+ */
+function describePeer(peer, company) {
+    const groups = [];
+    const percent = (value) => `${value.toFixed(1)}%`;
+
+    // Size
+    if (peer.marketCap) {
+        const cap = `${Utils.formatCompactCurrency(peer.marketCap * 1e6, peer.currency)} market cap`;
+        const ratio = company.marketCap ? peer.marketCap / company.marketCap : null;
+        if (ratio === null) {
+            groups.push(cap);
+        } else if (ratio >= 1.5) {
+            groups.push(`${cap}, about ${ratio.toFixed(1)} times ${company.symbol}'s`);
+        } else if (ratio <= 1 / 1.5) {
+            groups.push(`${cap}, ${ratio >= 0.01 ? `about ${Math.round(ratio * 100)}%` : 'under 1%'} of ${company.symbol}'s`);
+        } else {
+            groups.push(`${cap}, close to ${company.symbol}'s`);
+        }
+    }
+
+    // Valuation, profitability and growth
+    const fundamentals = [];
+    if (peer.peRatio > 0) {
+        const pe = `${peer.peRatio.toFixed(1)}× earnings`;
+        if (company.peRatio > 0) {
+            const ratio = peer.peRatio / company.peRatio;
+            const verdict = ratio < 0.85 ? 'cheaper at' : ratio > 1.15 ? 'pricier at' : 'similarly valued at';
+            fundamentals.push(`${verdict} ${pe} (${company.symbol} ${company.peRatio.toFixed(1)}×)`);
+        } else {
+            fundamentals.push(`trades at ${pe}`);
+        }
+    }
+
+    if (peer.profitMargin !== null) {
+        if (company.profitMargin !== null && company.profitMargin !== undefined) {
+            const difference = peer.profitMargin - company.profitMargin;
+            const verdict = difference >= 3 ? 'wider margins' : difference <= -3 ? 'thinner margins' : 'similar margins';
+            fundamentals.push(`${verdict} (${percent(peer.profitMargin)} vs ${percent(company.profitMargin)})`);
+        } else {
+            fundamentals.push(`a ${percent(peer.profitMargin)} net margin`);
+        }
+    }
+
+    if (peer.revenueGrowth !== null) {
+        if (company.revenueGrowth !== null && company.revenueGrowth !== undefined) {
+            const difference = peer.revenueGrowth - company.revenueGrowth;
+            const verdict = difference >= 2 ? 'growing faster' : difference <= -2 ? 'growing slower' : 'growing at a similar pace';
+            fundamentals.push(`${verdict} (${percent(peer.revenueGrowth)} vs ${percent(company.revenueGrowth)})`);
+        } else {
+            fundamentals.push(`revenue growth of ${percent(peer.revenueGrowth)}`);
+        }
+    }
+
+    if (fundamentals.length > 0) {
+        groups.push(fundamentals.join(', '));
+    }
+
+    // News sentiment
+    const news = peer.newsSummary;
+    if (news) {
+        const period = `over the past ${CONFIG.PEER_NEWS_DAYS} days`;
+        if (news.total === 0) {
+            groups.push(`no news ${period}`);
+        } else {
+            const lean = news.positive > news.negative ? 'leaned positive' : news.negative > news.positive ? 'leaned negative' : 'was mostly neutral';
+            groups.push(`news ${lean} ${period} (${news.positive} positive, ${news.negative} negative of ${news.total} ${news.total === 1 ? 'article' : 'articles'})`);
+        }
+    }
+
+    if (groups.length === 0) {
+        return 'No figures available to compare.';
+    }
+
+    const text = groups.join('; ');
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+}
+
+/**
+ * Overview metrics placed against peers and the company's own history
+ * (P/E is only compared when positive; a loss-making company has no meaningful P/E)
+ */
+const OVERVIEW_METRICS = {
+    peRatio: { label: 'P/E', format: value => value.toFixed(1), positiveOnly: true },
+    profitMargin: { label: 'Profit margin', format: value => `${value.toFixed(1)}%` },
+    revenueGrowth: { label: 'Revenue growth', format: value => `${value.toFixed(1)}%` },
+    currentRatio: { label: 'Current ratio', format: value => value.toFixed(2) }
+};
+
+/**
+ * Place one metric among peer values
+ * @param {number} value - The company's value
+ * @param {Array} peerValues - Peer values
+ * @returns {string|null} - e.g. "higher than 8 of 10 peers", or null with no peers
+ */
+function describePeerRank(value, peerValues) {
+    const total = peerValues.length;
+    if (total === 0) return null;
+    
+    const below = peerValues.filter(peerValue => peerValue < value).length;
+    const above = peerValues.filter(peerValue => peerValue > value).length;
+    const peers = total === 1 ? 'peer' : 'peers';
+    
+    if (below === 0 && above === 0) return `in line with its ${total} ${peers}`;
+    if (below === total) return `higher than ${total === 1 ? 'its only peer' : `all ${total} peers`}`;
+    if (above === total) return `lower than ${total === 1 ? 'its only peer' : `all ${total} peers`}`;
+    return below >= above ? `higher than ${below} of ${total} ${peers}` : `lower than ${above} of ${total} ${peers}`;
+}
+
+/**
+ * Place one metric in the company's own annual history
+ * @param {number} value - Current (TTM) value
+ * @param {Array} history - Annual points ({ period, value }), oldest first
+ * @returns {string|null} - e.g. "near its 5-year high", or null with under 3 years of history
+ */
+function describeHistoryPosition(value, history) {
+    if (history.length < 3) return null;
+    
+    const values = history.map(point => point.value);
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const span = `${history.length}-year`;
+    
+    if (value > high) return `above its ${span} range`;
+    if (value < low) return `below its ${span} range`;
+    if (high === low) return `in line with its ${span} history`;
+    
+    const position = (value - low) / (high - low);
+    if (position >= 0.75) return `near its ${span} high`;
+    if (position <= 0.25) return `near its ${span} low`;
+    return `in the middle of its ${span} range`;
+}
+
+/**
+ * Put the overview metrics in context: rank among peers and position in the company's own history
+ * e.g. peRatio: { text: "P/E is higher than 8 of 10 peers and near its 5-year high.", detail: "Peers: MSFT 32.1, ... 5-year history: 2021 24.0, ..." }
+ * @param {Object} financials - Processed basic financials (with history)
+ * @param {Array} peers - Processed peers from processPeerSnapshot (empty until they load)
+ * @returns {Object} - { peRatio, profitMargin, revenueGrowth, currentRatio }, each { text, detail } or null
+ */
+function computeMetricContext(financials, peers = []) {
+    const context = {};
+    
+    Object.entries(OVERVIEW_METRICS).forEach(([key, metric]) => {
+        const value = financials?.[key];
+        const isUsable = (candidate) => typeof candidate === 'number' && !isNaN(candidate) && (!metric.positiveOnly || candidate > 0);
+        
+        if (!isUsable(value)) {
+            context[key] = null;
+            return;
+        }
+        
+        const peerFigures = peers.filter(peer => isUsable(peer[key]));
+        const history = (financials.history?.[key] || []).filter(point => isUsable(point.value));
+        const parts = [
+            describePeerRank(value, peerFigures.map(peer => peer[key])),
+            describeHistoryPosition(value, history)
+        ].filter(Boolean);
+        
+        if (parts.length === 0) {
+            context[key] = null;
+            return;
+        }
+        
+        const details = [`${metric.label} now: ${metric.format(value)}.`];
+        if (peerFigures.length > 0) {
+            details.push(`Peers: ${peerFigures.map(peer => `${peer.symbol} ${metric.format(peer[key])}`).join(', ')}.`);
+        }
+        if (history.length >= 3) {
+            const source = key === 'revenueGrowth' ? ' (from annual sales per share)' : '';
+            details.push(`${history.length}-year history${source}: ${history.map(point => `${point.period.slice(0, 4)} ${metric.format(point.value)}`).join(', ')}.`);
+        }
+        
+        context[key] = {
+            text: `${metric.label} is ${parts.join(' and ')}.`,
+            detail: details.join(' ')
+        };
+    });
+    
+    return context;
+}
+
+/**
+ * Fundamentals the trend narrator watches, by Finnhub series key
+ * Margins and returns come as fractions (`percent`); `threshold` is a level worth calling out when crossed.
+ */
+const FUNDAMENTAL_TRENDS = [
+    { label: 'Gross margin', quarterly: 'grossMargin', annual: 'grossMargin', percent: true, up: 'expanded', down: 'contracted' },
+    { label: 'Operating margin', quarterly: 'operatingMargin', annual: 'operatingMargin', percent: true, up: 'expanded', down: 'contracted', threshold: 0 },
+    { label: 'Net margin', quarterly: 'netMargin', annual: 'netMargin', percent: true, up: 'expanded', down: 'contracted', threshold: 0 },
+    { label: 'Return on equity', quarterly: 'roeTTM', annual: 'roe', percent: true, up: 'rose', down: 'fell' },
+    { label: 'Current ratio', quarterly: 'currentRatio', annual: 'currentRatio', up: 'rose', down: 'fell', threshold: 1 },
+    { label: 'Debt-to-equity', quarterly: 'totalDebtToEquity', annual: 'totalDebtToEquity', up: 'rose', down: 'fell', threshold: 1 },
+    { label: 'EPS', quarterly: 'eps', annual: 'eps', currency: true, up: 'grew', down: 'declined', threshold: 0 },
+    { label: 'Sales per share', quarterly: 'salesPerShare', annual: 'salesPerShare', currency: true, up: 'grew', down: 'declined' }
+];
+
+/**
+ * Describe the run of rises or falls that ends at the latest point
+ * @param {Object} trend - FUNDAMENTAL_TRENDS entry
+ * @param {Array} points - Series points ({ period, value }), oldest first
+ * @param {Object} format - { value, unit } helpers for this series
+ * @returns {string|null} - e.g. "Gross margin expanded for 5 straight quarters (41.0% to 46.2%)", or null if the run is short
+ */
+function describeStreak(trend, points, format) {
+    const direction = Math.sign(points[points.length - 1].value - points[points.length - 2].value);
+    if (direction === 0) return null;
+    
+    let start = points.length - 2;
+    while (start > 0 && Math.sign(points[start].value - points[start - 1].value) === direction) {
+        start--;
+    }
+    
+    const moves = points.length - 1 - start;
+    if (moves < CONFIG.FUNDAMENTAL_TREND_MIN_STREAK) return null;
+    
+    return `${trend.label} ${direction > 0 ? trend.up : trend.down} for ${moves} straight ${format.unit} (${format.value(points[start].value)} to ${format.value(points[points.length - 1].value)})`;
+}
+
+/**
+ * Describe the latest point crossing the metric's threshold
+ * @param {Object} trend - FUNDAMENTAL_TRENDS entry
+ * @param {Array} points - Series points, oldest first
+ * @param {Object} format - { value, period } helpers for this series
+ * @returns {string|null} - e.g. "Current ratio fell below 1 for the first time since 2019", or null without a crossing
+ */
+function describeThresholdCrossing(trend, points, format) {
+    if (trend.threshold === undefined) return null;
+    
+    const latest = points[points.length - 1];
+    const previous = points[points.length - 2];
+    const isAbove = (point) => point.value >= trend.threshold;
+    if (isAbove(latest) === isAbove(previous)) return null;
+    
+    const rising = isAbove(latest);
+    const crossing = trend.threshold === 0
+        ? `turned ${rising ? 'positive' : 'negative'}`
+        : `${rising ? 'rose above' : 'fell below'} ${trend.threshold}`;
+    
+    // The last time it was on this side of the threshold
+    const earlier = points.slice(0, -2).reverse().find(point => isAbove(point) === rising);
+    const since = earlier
+        ? `for the first time since ${format.period(earlier.period)}`
+        : `for the first time in data back to ${points[0].period.slice(0, 4)}`;
+    
+    return `${trend.label} ${crossing} ${since} (${format.value(latest.value)})`;
+}
+
+/**
+ * Describe the latest point as the highest or lowest in a long while
+ * @param {Object} trend - FUNDAMENTAL_TRENDS entry
+ * @param {Array} points - Series points, oldest first
+ * @param {Object} format - { value, period, minSpan } helpers for this series
+ * @returns {string|null} - e.g. "Operating margin is at its highest since Jun 2015 (32.1%)", or null
+ */
+function describeExtreme(trend, points, format) {
+    const latest = points[points.length - 1];
+    const earlier = points.slice(0, -1);
+    
+    for (const [word, beats] of [['highest', (a, b) => a > b], ['lowest', (a, b) => a < b]]) {
+        // The most recent earlier point the latest value doesn't beat
+        let index = earlier.length - 1;
+        while (index >= 0 && beats(latest.value, earlier[index].value)) {
+            index--;
+        }
+        
+        const span = earlier.length - 1 - index;
+        if (span < format.minSpan) continue;
+        
+        const since = index < 0
+            ? `in data back to ${points[0].period.slice(0, 4)}`
+            : `since ${format.period(earlier[index].period)}`;
+        return `${trend.label} is at its ${word} ${since} (${format.value(latest.value)})`;
+    }
+    
+    return null;
+}
+
+/**
+ * Turn Finnhub's quarterly and annual metric series into plain-language trend sentences
+ * One sentence per metric at most: a threshold crossing, else a streak, else a multi-year high or low.
+ * Quarterly series are preferred; annual series fill in when a metric has no quarterly history.
+ * @param {Object} series - { quarterly, annual } from processFinnhubBasicFinancials
+ * @param {string} currency - Currency for per-share figures
+ * @returns {Array} - Sentences, e.g. ["Gross margin expanded for 5 straight quarters (41.0% to 46.2%).", ...]
+ */
+function describeFundamentalTrends(series, currency = 'USD') {
+    const sentences = [];
+    
+    FUNDAMENTAL_TRENDS.forEach(trend => {
+        const quarterly = series?.quarterly?.[trend.quarterly] || [];
+        const annual = series?.annual?.[trend.annual] || [];
+        const useQuarterly = quarterly.length >= 3;
+        const points = (useQuarterly ? quarterly : annual).slice(-CONFIG.FUNDAMENTAL_TREND_PERIODS[useQuarterly ? 'quarterly' : 'annual']);
+        if (points.length < 3) return;
+        
+        const format = {
+            value: (value) => trend.percent
+                ? `${(value * 100).toFixed(1)}%`
+                : trend.currency ? Utils.formatCurrency(value, currency) : value.toFixed(2),
+            period: useQuarterly ? formatMonthYear : (period) => period.slice(0, 4),
+            unit: useQuarterly ? 'quarters' : 'years',
+            // A high or low is only news if it's the first in this many periods
+            minSpan: useQuarterly ? 8 : 3
+        };
+        
+        const sentence = describeThresholdCrossing(trend, points, format)
+            || describeStreak(trend, points, format)
+            || describeExtreme(trend, points, format);
+        
+        if (sentence) {
+            sentences.push(`${sentence}.`);
+        }
+    });
+    
+    return sentences.slice(0, CONFIG.FUNDAMENTAL_TREND_LIMIT);
+}
+
+/**
+ * SEC filing forms we turn into timeline events
+ */
+const EDGAR_FORMS = {
+    '10-K': { label: 'Annual Report', category: 'annual-report', summary: 'Annual report' },
+    '10-Q': { label: 'Quarterly Report', category: 'quarterly-report', summary: 'Quarterly report' },
+    '8-K': { label: 'Current Report', category: 'current-report', summary: 'Report of a material event' },
+    'S-1': { label: 'Registration Statement', category: 'registration', summary: 'Registration of a securities offering' },
+    'DEF 14A': { label: 'Proxy Statement', category: 'proxy', summary: 'Proxy statement ahead of a shareholder meeting' }
+};
+
+/**
+ * Common 8-K item codes and what they announce
+ */
+const EDGAR_8K_ITEMS = {
+    '1.01': 'Entry into a material agreement',
+    '1.02': 'Termination of a material agreement',
+    '2.01': 'Completion of an acquisition or disposition',
+    '2.02': 'Results of operations',
+    '2.05': 'Exit or restructuring costs',
+    '2.06': 'Material impairment',
+    '3.01': 'Delisting notice',
+    '4.01': 'Change of auditor',
+    '5.02': 'Officer or director change',
+    '5.03': 'Bylaw or fiscal year amendment',
+    '5.07': 'Shareholder vote results',
+    '7.01': 'Regulation FD disclosure',
+    '8.01': 'Other events'
+};
+
+/**
+ * Build the sec.gov URL for a filing's primary document
+ * @param {number|string} cik - Company CIK
+ * @param {string} accessionNumber - Accession number (with dashes)
+ * @param {string} primaryDocument - Primary document file name
+ * @returns {string} - Filing URL
+ */
+function getEdgarFilingUrl(cik, accessionNumber, primaryDocument) {
+    const folder = accessionNumber.replace(/-/g, '');
+    const base = `${CONFIG.SEC_ARCHIVES_URL}/${parseInt(cik, 10)}/${folder}`;
+    return primaryDocument ? `${base}/${primaryDocument}` : `${base}/`;
+}
+
+/**
+ * Process SEC EDGAR submissions into typed filing events
+ * @param {Object} data - Raw EDGAR submissions JSON
+ * @param {number} limit - Maximum number of filings to keep
+ * @returns {Array} - Processed filings (newest first)
+ */
+function processEdgarFilings(data, limit = 20) {
+    const recent = data?.filings?.recent;
+    if (!recent || !Array.isArray(recent.form)) {
+        return [];
+    }
+    
+    const filings = [];
+    
+    // The submissions index stores filings as parallel arrays
+    for (let i = 0; i < recent.form.length && filings.length < limit; i++) {
+        const formType = recent.form[i];
+        const baseForm = formType.replace(/\/A$/, '');
+        const form = EDGAR_FORMS[baseForm];
+        if (!form) continue;
+        
+        // Item 9.01 (exhibits) accompanies almost every 8-K and says nothing on its own
+        const items = recent.items?.[i] ? recent.items[i].split(',').map(item => item.trim()).filter(item => item && item !== '9.01') : [];
+        const amended = formType !== baseForm;
+        
+        const reportDate = recent.reportDate?.[i] || '';
+        
+        let description = form.summary;
+        if (baseForm === '8-K' && items.length > 0) {
+            description = items.map(item => EDGAR_8K_ITEMS[item] || `Item ${item}`).join('; ');
+        } else if ((baseForm === '10-K' || baseForm === '10-Q') && reportDate) {
+            description = `${form.summary} for the period ended ${new Date(`${reportDate}T00:00:00`).toLocaleDateString()}`;
+        }
+        if (amended) {
+            description = `Amendment: ${description}`;
+        }
+        
+        filings.push({
+            formType,
+            baseForm,
+            amended,
+            label: form.label,
+            category: form.category,
+            filedAt: recent.filingDate?.[i] || '',
+            reportDate,
+            accessionNumber: recent.accessionNumber?.[i] || '',
+            items,
+            description,
+            url: recent.accessionNumber?.[i] ? getEdgarFilingUrl(data.cik, recent.accessionNumber[i], recent.primaryDocument?.[i]) : ''
+        });
+    }
+    
+    return filings.sort((a, b) => new Date(b.filedAt) - new Date(a.filedAt));
+}
+
+/**
+ * Statement lines shown in the financials section, by statement
+ * Keys match Edgar's XBRL_LINE_CONCEPTS; gross profit and free cash flow are filled in when not reported.
+ */
+const FINANCIAL_STATEMENTS = {
+    incomeStatement: {
+        title: 'Income Statement',
+        lines: [
+            { key: 'revenue', label: 'Revenue' },
+            { key: 'costOfRevenue', label: 'Cost of revenue' },
+            { key: 'grossProfit', label: 'Gross profit' },
+            { key: 'operatingExpenses', label: 'Operating expenses' },
+            { key: 'operatingIncome', label: 'Operating income' },
+            { key: 'netIncome', label: 'Net income' },
+            { key: 'epsDiluted', label: 'Diluted EPS', perShare: true }
+        ]
+    },
+    balanceSheet: {
+        title: 'Balance Sheet',
+        lines: [
+            { key: 'cash', label: 'Cash and equivalents' },
+            { key: 'currentAssets', label: 'Current assets' },
+            { key: 'totalAssets', label: 'Total assets' },
+            { key: 'currentLiabilities', label: 'Current liabilities' },
+            { key: 'totalLiabilities', label: 'Total liabilities' },
+            { key: 'longTermDebt', label: 'Long-term debt' },
+            { key: 'equity', label: "Shareholders' equity" }
+        ]
+    },
+    cashFlow: {
+        title: 'Cash Flow',
+        lines: [
+            { key: 'operatingCashFlow', label: 'Operating cash flow' },
+            { key: 'capitalExpenditure', label: 'Capital expenditure' },
+            { key: 'freeCashFlow', label: 'Free cash flow' },
+            { key: 'investingCashFlow', label: 'Investing cash flow' },
+            { key: 'financingCashFlow', label: 'Financing cash flow' },
+            { key: 'dividendsPaid', label: 'Dividends paid' },
+            { key: 'shareRepurchases', label: 'Share repurchases' }
+        ]
+    }
+};
+
+/**
+ * Normalize reported statement lines into one income statement, balance sheet and cash flow per fiscal year
+ * @param {Object} statements - { entityName, currency, lines } from Edgar's XBRL companyfacts
+ * @returns {Object|null} - { cik, entityName, currency, years: [{ fiscalYear, end, incomeStatement, balanceSheet, cashFlow }] } (newest first), or null
+ */
+function processFinancialStatements(statements) {
+    const lines = statements?.lines;
+    if (!lines) return null;
+    
+    // Fiscal years are the period ends of the headline lines (others may be tagged for years these weren't)
+    const ends = new Set();
+    ['revenue', 'netIncome', 'totalAssets'].forEach(key => {
+        (lines[key] || []).forEach(fact => ends.add(fact.end));
+    });
+    
+    const valueAt = (key, end) => {
+        const fact = (lines[key] || []).find(item => item.end === end);
+        return fact ? fact.value : null;
+    };
+    
+    const years = [...ends]
+        .sort((a, b) => b.localeCompare(a))
+        .slice(0, CONFIG.FINANCIAL_STATEMENT_YEARS + 1)
+        .map(end => {
+            const year = { fiscalYear: parseInt(end.slice(0, 4), 10), end };
+            
+            Object.entries(FINANCIAL_STATEMENTS).forEach(([statement, { lines: statementLines }]) => {
+                year[statement] = {};
+                statementLines.forEach(({ key }) => {
+                    year[statement][key] = valueAt(key, end);
+                });
+            });
+            
+            const income = year.incomeStatement;
+            if (income.grossProfit === null && income.revenue !== null && income.costOfRevenue !== null) {
+                income.grossProfit = income.revenue - income.costOfRevenue;
+            }
+            
+            const cashFlow = year.cashFlow;
+            if (cashFlow.operatingCashFlow !== null && cashFlow.capitalExpenditure !== null) {
+                cashFlow.freeCashFlow = cashFlow.operatingCashFlow - cashFlow.capitalExpenditure;
+            }
+            
+            return year;
+        });
+    
+    if (years.length === 0) return null;
+    
+    return {
+        cik: statements.cik,
+        entityName: statements.entityName,
+        currency: statements.currency || 'USD',
+        years
+    };
+}
+
+/**
+ * Describe the change between two values in words
+ * @param {number} value - Current value
+ * @param {number} previous - Value a year earlier
+ * @returns {string|null} - "up 4.2%", "down 1.0%" or "flat", or null when there's no meaningful base
+ */
+function describeYearOverYear(value, previous) {
+    if (value === null || previous === null || previous <= 0) return null;
+    
+    const change = (value - previous) / previous * 100;
+    if (Math.abs(change) < 0.5) return 'flat';
+    return `${change > 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(1)}%`;
+}
+
+/**
+ * Summarize the latest fiscal year's reported financials in plain language
+ * @param {Object} model - Result of processFinancialStatements
+ * @returns {string} - e.g. "In fiscal 2024, revenue was $391B, up 2.0% from the year before, and net income was $93.7B (a 24.0% net margin). ..."
+ */
+function describeFinancials(model) {
+    const [latest, previous] = model?.years || [];
+    if (!latest) return '';
+    
+    const money = (value) => Utils.formatCompactCurrency(Math.abs(value), model.currency);
+    const { revenue, netIncome } = latest.incomeStatement;
+    const sentences = [];
+    
+    if (revenue !== null) {
+        const change = describeYearOverYear(revenue, previous?.incomeStatement.revenue ?? null);
+        let sentence = `In fiscal ${latest.fiscalYear}, revenue was ${money(revenue)}${change ? `, ${change} from the year before` : ''}`;
+        if (netIncome !== null) {
+            const margin = revenue > 0 ? ` (a ${(netIncome / revenue * 100).toFixed(1)}% net margin)` : '';
+            sentence += netIncome >= 0
+                ? `, and net income was ${money(netIncome)}${margin}`
+                : `, with a net loss of ${money(netIncome)}`;
+        }
+        sentences.push(`${sentence}.`);
+    } else if (netIncome !== null) {
+        sentences.push(`In fiscal ${latest.fiscalYear}, ${netIncome >= 0 ? 'net income' : 'the net loss'} was ${money(netIncome)}.`);
+    }
+    
+    const { operatingCashFlow, capitalExpenditure, freeCashFlow } = latest.cashFlow;
+    if (freeCashFlow !== null) {
+        sentences.push(`Operating cash flow of ${money(operatingCashFlow)} less ${money(capitalExpenditure)} of capital spending ${freeCashFlow >= 0 ? `left ${money(freeCashFlow)} of free cash flow` : `burned ${money(freeCashFlow)}`}.`);
+    }
+    
+    const { cash, longTermDebt } = latest.balanceSheet;
+    if (cash !== null && longTermDebt !== null) {
+        sentences.push(`The year ended with ${money(cash)} of cash against ${money(longTermDebt)} of long-term debt.`);
+    }
+    
+    return sentences.join(' ');
+}
+
+/**
+ * How each revenue breakdown is introduced
+ */
+const REVENUE_MIX_AXES = {
+    segment: 'By segment',
+    geography: 'By region',
+    product: 'By product'
+};
+
+/**
+ * Pick the members that split revenue without overlapping
+ * Filings often tag the same revenue twice on one axis (regions and a country list, or a total),
+ * so prefer the largest set of members that adds up to reported revenue.
+ * @param {Array} members - Members ({ member, value }) for one year
+ * @param {number|null} total - Reported revenue for that year
+ * @returns {Array} - Members to show
+ */
+function pickRevenuePartition(members, total) {
+    const matches = (sum) => total && Math.abs(sum - total) <= total * 0.005;
+    const parts = members.filter(item => !matches(item.value));
+    
+    if (total && parts.length <= 15) {
+        let best = null;
+        for (let mask = 1; mask < (1 << parts.length); mask++) {
+            const subset = parts.filter((item, index) => mask & (1 << index));
+            if (subset.length < 2 || (best && subset.length <= best.length)) continue;
+            if (matches(subset.reduce((sum, item) => sum + item.value, 0))) {
+                best = subset;
+            }
+        }
+        if (best) return best;
+    }
+    
+    // Otherwise drop a member worth all the others combined (an untagged total)
+    const sum = parts.reduce((result, item) => result + item.value, 0);
+    return parts.filter(item => Math.abs(sum - item.value * 2) > item.value * 0.01);
+}
+
+/**
+ * Process revenue by segment, region and product into shares of revenue with year-over-year changes
+ * @param {Object} segments - { cik, accessionNumber, primaryDocument, reportDate, facts } from Edgar's 10-K reader
+ * @param {Object} model - Result of processFinancialStatements (for reported revenue)
+ * @returns {Array} - Breakdowns ([{ axis, label, end, members: [{ name, value, previous, share, change }] }]), largest member first
+ */
+function processRevenueMix(segments, model) {
+    const facts = segments?.facts || [];
+    const revenueAt = (end) => model?.years.find(year => year.end === end)?.incomeStatement.revenue ?? null;
+    
+    return Object.keys(REVENUE_MIX_AXES).map(axis => {
+        const axisFacts = facts.filter(fact => fact.axis === axis);
+        const ends = [...new Set(axisFacts.map(fact => fact.end))].sort((a, b) => b.localeCompare(a));
+        if (ends.length === 0) return null;
+        
+        const [end, previousEnd] = ends;
+        const total = revenueAt(end);
+        const members = pickRevenuePartition(axisFacts.filter(fact => fact.end === end), total);
+        if (members.length < 2) return null;
+        
+        // Shares of reported revenue, unless the members add up to more (intersegment sales)
+        const memberTotal = members.reduce((sum, item) => sum + item.value, 0);
+        const base = total && memberTotal <= total * 1.005 ? total : memberTotal;
+        
+        return {
+            axis,
+            label: REVENUE_MIX_AXES[axis],
+            end,
+            members: members
+                .map(item => {
+                    const previous = axisFacts.find(fact => fact.end === previousEnd && fact.member === item.member);
+                    return {
+                        name: item.name,
+                        value: item.value,
+                        previous: previous ? previous.value : null,
+                        share: base > 0 ? item.value / base * 100 : null,
+                        change: previous && previous.value > 0 ? (item.value - previous.value) / previous.value * 100 : null
+                    };
+                })
+                .sort((a, b) => b.value - a.value)
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Describe a revenue breakdown in one sentence
+ * @param {Object} mix - Breakdown from processRevenueMix
+ * @param {string} currency - Reporting currency
+ * @returns {string} - e.g. "By region, Americas is the largest at 42.7% of revenue ($167B, up 3.1%); Greater China grew fastest, up 8.0%; Europe shrank 2.0%."
+ */
+function describeRevenueMix(mix, currency = 'USD') {
+    const [largest] = mix.members;
+    const details = [Utils.formatCompactCurrency(largest.value, currency), describeYearOverYear(largest.value, largest.previous)].filter(Boolean).join(', ');
+    const share = largest.share !== null ? ` at ${largest.share.toFixed(1)}% of revenue` : '';
+    const clauses = [`${mix.label}, ${largest.name} is the largest${share} (${details})`];
+    
+    const others = mix.members.slice(1).filter(item => item.change !== null);
+    const fastest = others.reduce((best, item) => (item.change > 0 && (!best || item.change > best.change) ? item : best), null);
+    if (fastest && (largest.change === null || fastest.change > largest.change)) {
+        clauses.push(`${fastest.name} grew fastest, up ${fastest.change.toFixed(1)}%`);
+    }
+    
+    const shrinking = others.reduce((worst, item) => (item.change <= -0.5 && item !== fastest && (!worst || item.change < worst.change) ? item : worst), null);
+    if (shrinking) {
+        clauses.push(`${shrinking.name} shrank ${Math.abs(shrinking.change).toFixed(1)}%`);
+    }
+    
+    return `${clauses.join('; ')}.`;
+}
+
 /**
  * Group news by category
  * @param {Array} articles - Processed news articles
@@ -482,13 +2050,18 @@ function getNewsSummary(articles) {
     const sentimentCounts = { positive: 0, negative: 0, neutral: 0 };
     const categoryCounts = {};
     let totalSentimentScore = 0;
+    let totalWeight = 0;
     
     articles.forEach(article => {
+        // Articles mostly about the company count more than passing mentions
+        const weight = article.matchScore > 0 ? article.matchScore : 1;
+        totalWeight += weight;
+        
         // Count sentiments - handle sentiment object
         let sentimentType = article.sentiment;
         if (typeof article.sentiment === 'object' && article.sentiment !== null) {
             sentimentType = article.sentiment.sentiment || 'neutral';
-            totalSentimentScore += article.sentiment.score || 0;
+            totalSentimentScore += (article.sentiment.score || 0) * weight;
         } else {
             totalSentimentScore += 0; // No score for string sentiment
         }
@@ -504,18 +2077,50 @@ function getNewsSummary(articles) {
         positive: sentimentCounts.positive,
         negative: sentimentCounts.negative,
         neutral: sentimentCounts.neutral,
-        averageSentiment: totalSentimentScore / articles.length,
+        averageSentiment: totalSentimentScore / totalWeight,
         categories: categoryCounts
     };
 }
 
 /**
- * Create timeline from news and earnings data
- * @param {Array} news - News articles
- * @param {Array} earnings - Earnings data
+ * Title a dividend event or split for the timeline
+ * @param {Object} action - Dividend event or split ({ kind, amount, percent, label, reverse })
+ * @returns {string} - Title
+ */
+function describeCorporateAction(action) {
+    const amount = action.amount ? Utils.formatCurrency(action.amount, action.currency || 'USD') : '';
+    
+    switch (action.kind) {
+        case 'split':
+            return `${action.reverse ? 'Reverse' : 'Stock'} split ${action.label}`;
+        case 'increase':
+            return `Raised dividend ${formatSurpriseSize(action.percent)} to ${amount}`;
+        case 'cut':
+            return `Cut dividend ${formatSurpriseSize(action.percent)} to ${amount}`;
+        case 'special':
+            return `Declared special dividend of ${amount}`;
+        case 'suspension':
+            return 'Dividend suspended';
+        case 'reinstatement':
+            return `Reinstated dividend at ${amount}`;
+        default:
+            return `Declared ${amount} dividend`;
+    }
+}
+
+/**
+ * Create timeline from news, earnings, filings, social posts, insider transactions, rating changes and dividends/splits
+ * @param {Object} sources - Timeline sources, each optional
+ * @param {Array} sources.news - Processed news articles
+ * @param {Array} sources.earnings - Earnings data
+ * @param {Array} sources.filings - Processed SEC filings
+ * @param {Array} sources.social - Processed social posts
+ * @param {Array} sources.insiders - Processed insider transactions
+ * @param {Array} sources.ratingChanges - Processed analyst rating changes
+ * @param {Array} sources.corporateActions - Dividend events and splits ({ kind, date, ... })
  * @returns {Array} - Timeline events
  */
-function createTimeline(news, earnings = []) {
+function createTimeline({ news = [], earnings = [], filings = [], social = [], insiders = [], ratingChanges = [], corporateActions = [] } = {}) {
     const timeline = [];
     
     // Add news events
@@ -527,8 +2132,11 @@ function createTimeline(news, earnings = []) {
             description: article.description,
             url: article.url,
             sentiment: article.sentiment,
+            matchScore: article.matchScore,
+            highlights: article.highlights || [],
             category: article.category,
-            source: article.source
+            source: article.source,
+            feedUrl: article.feedUrl || null
         });
     });
     
@@ -547,6 +2155,93 @@ function createTimeline(news, earnings = []) {
         });
     });
     
+    // Add SEC filing events
+    filings.forEach(filing => {
+        timeline.push({
+            type: 'filing',
+            date: new Date(filing.filedAt),
+            title: `${filing.label} (${filing.formType})`,
+            description: filing.description,
+            url: filing.url,
+            formType: filing.formType,
+            category: filing.category,
+            reportDate: filing.reportDate,
+            source: 'SEC EDGAR'
+        });
+    });
+    
+    // Add insider transactions
+    insiders.forEach(event => {
+        const shares = Utils.formatNumber(Math.round(event.shares));
+        const details = [
+            event.price ? `at ${Utils.formatCurrency(event.price)} avg` : null,
+            event.value ? `${Utils.formatCompactCurrency(event.value)} total` : null,
+            event.sharesAfter !== null ? `holds ${Utils.formatNumber(Math.round(event.sharesAfter))} shares after` : null
+        ].filter(Boolean);
+        
+        timeline.push({
+            type: 'insider',
+            date: new Date(`${event.transactionDate}T00:00:00`),
+            title: `${event.name}${event.role ? ` (${event.role})` : ''} ${event.verb} ${shares} shares`,
+            description: details.length > 0 ? `${event.type}: ${details.join(' · ')}` : event.type,
+            name: event.name,
+            role: event.role,
+            shares: event.shares,
+            transactionType: event.type,
+            direction: event.direction,
+            filingDate: event.filingDate,
+            source: 'SEC Form 4'
+        });
+    });
+    
+    // Add analyst upgrades and downgrades
+    ratingChanges.forEach(rating => {
+        timeline.push({
+            type: 'rating',
+            date: rating.date,
+            title: rating.title,
+            description: rating.fromGrade && rating.toGrade ? `${rating.fromGrade} → ${rating.toGrade}` : '',
+            firm: rating.firm,
+            fromGrade: rating.fromGrade,
+            toGrade: rating.toGrade,
+            action: rating.action,
+            ratingLabel: rating.label,
+            direction: rating.direction,
+            source: rating.firm
+        });
+    });
+    
+    // Add dividend events and stock splits
+    corporateActions.forEach(action => {
+        timeline.push({
+            type: action.kind === 'split' ? 'split' : 'dividend',
+            date: new Date(`${action.date}T00:00:00`),
+            title: describeCorporateAction(action),
+            description: action.kind === 'split' || action.kind === 'suspension'
+                ? ''
+                : [`Ex-dividend ${new Date(`${action.exDate}T00:00:00`).toLocaleDateString()}`, action.payDate ? `payable ${new Date(`${action.payDate}T00:00:00`).toLocaleDateString()}` : null].filter(Boolean).join(', '),
+            kind: action.kind,
+            source: action.kind === 'split' ? 'Stock Split' : 'Dividend'
+        });
+    });
+    
+    // Add social posts (their own lane in the timeline)
+    social.forEach(post => {
+        timeline.push({
+            type: 'social',
+            date: new Date(post.publishedAt),
+            title: post.title,
+            description: post.description,
+            url: post.url,
+            sentiment: post.sentiment,
+            source: post.source,
+            author: post.author,
+            subreddit: post.subreddit,
+            score: post.score,
+            numComments: post.numComments
+        });
+    });
+    
     // Sort by date (newest first)
     return timeline.sort((a, b) => b.date - a.date);
 }
@@ -558,16 +2253,21 @@ function createTimeline(news, earnings = []) {
  */
 function formatStockDataForDisplay(stockData) {
     const { overview, quote, news } = stockData;
+    const listing = Utils.parseTicker(stockData.symbol);
+    const currency = overview?.currency || listing?.currency || 'USD';
     
     return {
         symbol: stockData.symbol,
         name: overview?.name || stockData.symbol,
-        price: quote?.price ? Utils.formatCurrency(quote.price) : 'N/A',
-        change: quote?.change ? Utils.formatCurrency(quote.change) : 'N/A',
+        exchange: overview?.exchange || listing?.exchange || '',
+        currency,
+        currencySymbol: Utils.getCurrencySymbol(currency),
+        price: quote?.price ? Utils.formatCurrency(quote.price, currency) : 'N/A',
+        change: quote?.change ? Utils.formatCurrency(quote.change, currency) : 'N/A',
         changePercent: quote?.changePercent ? Utils.formatPercentage(quote.changePercent / 100) : 'N/A',
         isPositive: quote?.change > 0,
         isNegative: quote?.change < 0,
-        marketCap: overview?.marketCap ? Utils.formatCurrency(overview.marketCap) : 'N/A',
+        marketCap: overview?.marketCap ? Utils.formatCurrency(overview.marketCap, currency) : 'N/A',
         peRatio: overview?.peRatio ? overview.peRatio.toFixed(2) : 'N/A',
         volume: quote?.volume ? Utils.formatNumber(quote.volume) : 'N/A',
         description: overview?.description ? Utils.truncateText(overview.description, 200) : '',
@@ -584,22 +2284,9 @@ function formatStockDataForDisplay(stockData) {
  * @returns {string|null} - Cleaned input or null if invalid
  */
 function validateUserInput(input) {
-    if (!input || typeof input !== 'string') {
-        return null;
-    }
-    
-    const cleaned = input.trim().toUpperCase();
-    
-    // Basic validation for stock symbols
-    if (cleaned.length < 1 || cleaned.length > 5) {
-        return null;
-    }
-    
-    if (!/^[A-Z]+$/.test(cleaned)) {
-        return null;
-    }
-    
-    return cleaned;
+    // Accepts share classes and exchange suffixes (BRK.B, SHOP.TO, 7203.T)
+    const parsed = Utils.parseTicker(input);
+    return parsed ? parsed.symbol : null;
 }
 
 /**
@@ -650,10 +2337,38 @@ window.DataProcessor = {
     processFinnhubEarnings,
     processStockOverview,
     processStockQuote,
+    processCompanyFacts,
     processNewsArticles,
+    rankNewsByRelevance,
+    processSocialPosts,
     analyzeSentiment,
     categorizeNews,
     processEarningsData,
+    processEarningsCalendar,
+    getEarningsCountdown,
+    getEarningsOutcome,
+    describeEarningsStreak,
+    computeEstimateRevision,
+    computeEarningsMetrics,
+    getEdgarFilingUrl,
+    processEdgarFilings,
+    FINANCIAL_STATEMENTS,
+    processFinancialStatements,
+    describeFinancials,
+    processRevenueMix,
+    describeRevenueMix,
+    processInsiderTransactions,
+    summarizeInsiderActivity,
+    processRecommendationTrends,
+    describeRecommendationTrends,
+    processRatingChanges,
+    processSplits,
+    processDividendHistory,
+    describeDividends,
+    processPeerSnapshot,
+    describePeer,
+    computeMetricContext,
+    describeFundamentalTrends,
     groupNewsByCategory,
     sortNewsByDate,
     filterNewsBySentiment,
@@ -0,0 +1,429 @@
+// ===== SEC EDGAR FILINGS =====
+
+/**
+ * Fetch JSON from SEC EDGAR (through the local proxy when it is running),
+ * or from the saved fixtures when EDGAR_USE_FIXTURES is on
+ * @param {string} liveUrl - sec.gov URL
+ * @param {string} proxyRoute - Matching route under /api/ on the proxy
+ * @param {string} fixturePath - Path relative to EDGAR_FIXTURES_PATH
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise} - Promise with parsed JSON
+ */
+async function fetchEdgarJson(liveUrl, proxyRoute, fixturePath, cacheKey) {
+    if (!CONFIG.EDGAR_USE_FIXTURES) {
+        const url = await API.resolveEndpoint('sec', proxyRoute, () => liveUrl);
+        return await API.makeApiRequest(url, {
+            headers: {
+                'Accept': 'application/json'
+            }
+        }, cacheKey);
+    }
+
+    const url = `${CONFIG.EDGAR_FIXTURES_PATH}/${fixturePath}`;
+    console.log('🔧 Reading EDGAR fixture:', url);
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`EDGAR fixture not found: ${url}`);
+    }
+
+    return await response.json();
+}
+
+/**
+ * Pad a CIK to the 10-digit form used in EDGAR URLs
+ * @param {number|string} cik - Central Index Key
+ * @returns {string} - Zero-padded CIK
+ */
+function padCik(cik) {
+    return String(cik).padStart(10, '0');
+}
+
+/**
+ * Look up a company's CIK from its ticker
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<string|null>} - Padded CIK or null if the ticker is not an SEC registrant
+ */
+async function getCikForTicker(symbol) {
+    // EDGAR uses dashes for share classes (BRK-B) and only lists US registrants
+    const secSymbol = Utils.formatTickerForProvider(symbol, 'sec');
+    if (!secSymbol) return null;
+
+    const cacheKey = 'edgar_company_tickers';
+
+    let tickerMap = Utils.getCache(cacheKey);
+    if (!tickerMap) {
+        const data = await fetchEdgarJson(CONFIG.SEC_TICKERS_URL, 'sec/company-tickers', 'company_tickers.json', null);
+
+        // company_tickers.json is keyed by row index: { "0": { cik_str, ticker, title }, ... }
+        tickerMap = {};
+        Object.values(data || {}).forEach(entry => {
+            if (entry && entry.ticker) {
+                tickerMap[entry.ticker.toUpperCase()] = padCik(entry.cik_str);
+            }
+        });
+
+        Utils.setCache(cacheKey, tickerMap);
+    }
+
+    return tickerMap[secSymbol] || null;
+}
+
+/**
+ * Get the EDGAR submissions index for a company
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} - Raw submissions JSON or null if no CIK is known
+ */
+async function getEdgarSubmissions(symbol) {
+    console.log('🔍 getEdgarSubmissions called with symbol:', symbol);
+
+    const cik = await getCikForTicker(symbol);
+    if (!cik) {
+        console.warn('No SEC CIK found for:', symbol);
+        return null;
+    }
+
+    const fileName = `CIK${cik}.json`;
+    const cacheKey = `edgar_submissions_${cik}`;
+
+    try {
+        return await fetchEdgarJson(`${CONFIG.SEC_BASE_URL}/submissions/${fileName}`, `sec/submissions/${cik}`, `submissions/${fileName}`, cacheKey);
+    } catch (error) {
+        console.error('Failed to get EDGAR submissions:', error);
+        throw error;
+    }
+}
+
+/**
+ * Fetch a filed document (e.g. a 10-K's inline XBRL) as text
+ * sec.gov's archives don't allow browser requests, so documents need the local proxy or fixtures.
+ * @param {string} proxyRoute - Matching route under /api/ on the proxy
+ * @param {string} fixturePath - Path relative to EDGAR_FIXTURES_PATH
+ * @returns {Promise<string|null>} - Document text, or null when neither the proxy nor fixtures are available
+ */
+async function fetchEdgarDocument(proxyRoute, fixturePath) {
+    if (!CONFIG.EDGAR_USE_FIXTURES) {
+        const url = await API.resolveEndpoint('sec', proxyRoute, () => null);
+        if (!url) return null;
+
+        // The proxy wraps text responses in JSON: { url, contentType, text }
+        return (await API.makeApiRequest(url, {}, null)).text;
+    }
+
+    const url = `${CONFIG.EDGAR_FIXTURES_PATH}/${fixturePath}`;
+    console.log('🔧 Reading EDGAR fixture:', url);
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`EDGAR fixture not found: ${url}`);
+    }
+
+    return await response.text();
+}
+
+/**
+ * us-gaap concepts for each statement line, in order of preference
+ * (companies tag the same line differently, and switch tags over the years)
+ */
+const XBRL_LINE_CONCEPTS = {
+    // Income statement (fiscal-year durations)
+    revenue: ['RevenueFromContractWithCustomerExcludingAssessedTax', 'Revenues', 'SalesRevenueNet', 'RevenueFromContractWithCustomerIncludingAssessedTax'],
+    costOfRevenue: ['CostOfGoodsAndServicesSold', 'CostOfRevenue', 'CostOfGoodsSold'],
+    grossProfit: ['GrossProfit'],
+    operatingExpenses: ['OperatingExpenses'],
+    operatingIncome: ['OperatingIncomeLoss'],
+    netIncome: ['NetIncomeLoss', 'ProfitLoss'],
+    epsDiluted: ['EarningsPerShareDiluted', 'EarningsPerShareBasicAndDiluted'],
+    // Balance sheet (fiscal-year-end instants)
+    cash: ['CashAndCashEquivalentsAtCarryingValue', 'CashCashEquivalentsRestrictedCashAndRestrictedCashEquivalents'],
+    currentAssets: ['AssetsCurrent'],
+    totalAssets: ['Assets'],
+    currentLiabilities: ['LiabilitiesCurrent'],
+    totalLiabilities: ['Liabilities'],
+    longTermDebt: ['LongTermDebtNoncurrent', 'LongTermDebt'],
+    equity: ['StockholdersEquity', 'StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest'],
+    // Cash flow statement (fiscal-year durations)
+    operatingCashFlow: ['NetCashProvidedByUsedInOperatingActivities'],
+    capitalExpenditure: ['PaymentsToAcquirePropertyPlantAndEquipment'],
+    investingCashFlow: ['NetCashProvidedByUsedInInvestingActivities'],
+    financingCashFlow: ['NetCashProvidedByUsedInFinancingActivities'],
+    dividendsPaid: ['PaymentsOfDividends', 'PaymentsOfDividendsCommonStock'],
+    shareRepurchases: ['PaymentsForRepurchaseOfCommonStock']
+};
+
+// Annual report forms whose figures count as fiscal-year statements
+const ANNUAL_REPORT_FORMS = ['10-K', '10-K/A', '10-KT', '20-F', '40-F'];
+
+/**
+ * Check whether a reporting period covers a fiscal year (52/53-week years included)
+ * @param {string} start - Period start (YYYY-MM-DD)
+ * @param {string} end - Period end (YYYY-MM-DD)
+ * @returns {boolean} - True for periods of roughly a year
+ */
+function isFiscalYearPeriod(start, end) {
+    const days = (new Date(end) - new Date(start)) / (24 * 60 * 60 * 1000);
+    return days >= 340 && days <= 380;
+}
+
+/**
+ * Pick the annual statement lines out of a company's XBRL companyfacts
+ * Each line keeps one figure per fiscal year end: the preferred concept, then the latest filing (restatements win).
+ * @param {Object} data - companyfacts JSON
+ * @returns {Object} - { cik, entityName, currency, lines: { key: [{ start, end, value, form, filed }] } }, oldest first
+ */
+function extractStatementLines(data) {
+    const gaap = data?.facts?.['us-gaap'] || {};
+    const lines = {};
+    let currency = null;
+
+    Object.entries(XBRL_LINE_CONCEPTS).forEach(([key, concepts]) => {
+        const byEnd = new Map();
+
+        concepts.forEach((concept, rank) => {
+            const units = gaap[concept]?.units || {};
+            // Money is in a currency (USD); per-share figures in currency per share (USD/shares)
+            const unit = Object.keys(units).find(name => /^[A-Z]{3}(\/shares)?$/.test(name));
+            if (!unit) return;
+            if (!currency && unit.length === 3) currency = unit;
+
+            units[unit].forEach(fact => {
+                if (!ANNUAL_REPORT_FORMS.includes(fact.form) || typeof fact.val !== 'number' || !fact.end) return;
+                if (fact.start && !isFiscalYearPeriod(fact.start, fact.end)) return;
+
+                const current = byEnd.get(fact.end);
+                if (!current || rank < current.rank || (rank === current.rank && fact.filed > current.filed)) {
+                    byEnd.set(fact.end, { start: fact.start || null, end: fact.end, value: fact.val, form: fact.form, filed: fact.filed, rank });
+                }
+            });
+        });
+
+        // One extra year so the oldest shown year has a year-over-year change
+        lines[key] = [...byEnd.values()]
+            .sort((a, b) => a.end.localeCompare(b.end))
+            .slice(-(CONFIG.FINANCIAL_STATEMENT_YEARS + 1))
+            .map(({ rank, ...fact }) => fact);
+    });
+
+    return {
+        cik: data?.cik ? padCik(data.cik) : null,
+        entityName: data?.entityName || '',
+        currency: currency || 'USD',
+        lines
+    };
+}
+
+/**
+ * Get a company's annual statement lines from its SEC XBRL companyfacts
+ * The companyfacts file runs to megabytes, so only the picked lines are cached.
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} - Lines from extractStatementLines, or null if no CIK is known
+ */
+async function getStatementLines(symbol) {
+    console.log('🔍 getStatementLines called with symbol:', symbol);
+
+    const cik = await getCikForTicker(symbol);
+    if (!cik) {
+        console.warn('No SEC CIK found for:', symbol);
+        return null;
+    }
+
+    const cacheKey = `edgar_financials_${cik}`;
+    const cached = Utils.getCache(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const fileName = `CIK${cik}.json`;
+        const data = await fetchEdgarJson(`${CONFIG.SEC_BASE_URL}/api/xbrl/companyfacts/${fileName}`, `sec/companyfacts/${cik}`, `api/xbrl/companyfacts/${fileName}`, null);
+        const statementLines = extractStatementLines(data);
+
+        Utils.setCache(cacheKey, statementLines);
+        return statementLines;
+    } catch (error) {
+        console.error('Failed to get XBRL company facts:', error);
+        throw error;
+    }
+}
+
+/**
+ * Dimensions whose members break revenue down, and what each is called
+ */
+const SEGMENT_AXES = {
+    'us-gaap:StatementBusinessSegmentsAxis': 'segment',
+    'srt:StatementGeographicalAxis': 'geography',
+    'srt:ProductOrServiceAxis': 'product'
+};
+
+// Revenue concepts tagged against those dimensions, in order of preference
+const SEGMENT_REVENUE_CONCEPTS = [
+    'us-gaap:RevenueFromContractWithCustomerExcludingAssessedTax',
+    'us-gaap:Revenues',
+    'us-gaap:SalesRevenueNet',
+    'us-gaap:RevenueFromContractWithCustomerIncludingAssessedTax'
+];
+
+/**
+ * Turn an XBRL member name into words ("aapl:GreaterChinaMember" -> "Greater China")
+ * @param {string} member - Qualified member name
+ * @returns {string} - Readable name
+ */
+function formatMemberName(member) {
+    return member
+        .split(':')
+        .pop()
+        .replace(/(Segment)?Member$/, '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/\b(And|Of|The|For|In)\b/g, word => word.toLowerCase());
+}
+
+/**
+ * Read an inline XBRL number ("1,234", scale 6, sign "-") as a value
+ * @param {Element} element - ix:nonFraction element
+ * @returns {number|null} - Value, or null if it can't be read
+ */
+function readInlineXbrlNumber(element) {
+    const format = (element.getAttribute('format') || '').toLowerCase();
+    const text = element.textContent.trim();
+
+    let value;
+    if (format.includes('zero') || /^[-\u2013\u2014]$/.test(text)) {
+        value = 0;
+    } else if (format.includes('comma')) {
+        value = parseFloat(text.replace(/[^\d,]/g, '').replace(',', '.'));
+    } else {
+        value = parseFloat(text.replace(/[^\d.]/g, ''));
+    }
+
+    if (isNaN(value)) return null;
+
+    const scale = parseInt(element.getAttribute('scale') || '0', 10);
+    return (element.getAttribute('sign') === '-' ? -1 : 1) * value * 10 ** scale;
+}
+
+/**
+ * Read revenue by business segment, region and product from a 10-K's inline XBRL
+ * Only facts tagged with exactly one of SEGMENT_AXES are kept, so subtotals by other dimensions drop out.
+ * @param {string} html - Inline XBRL document
+ * @returns {Array} - Facts ([{ axis, member, name, start, end, value }])
+ */
+function parseSegmentRevenue(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    // Contexts with a single segment dimension and a fiscal-year period
+    const contexts = new Map();
+    Array.from(doc.getElementsByTagName('xbrli:context')).forEach(context => {
+        const members = Array.from(context.getElementsByTagName('xbrldi:explicitmember'));
+        if (members.length !== 1 || context.getElementsByTagName('xbrldi:typedmember').length > 0) return;
+
+        const axis = SEGMENT_AXES[members[0].getAttribute('dimension')];
+        const start = context.getElementsByTagName('xbrli:startdate')[0]?.textContent.trim();
+        const end = context.getElementsByTagName('xbrli:enddate')[0]?.textContent.trim();
+        if (!axis || !start || !end || !isFiscalYearPeriod(start, end)) return;
+
+        contexts.set(context.getAttribute('id'), { axis, member: members[0].textContent.trim(), start, end });
+    });
+
+    // The same figure is often tagged in several tables; keep one per member and year
+    const facts = new Map();
+    Array.from(doc.getElementsByTagName('ix:nonfraction')).forEach(element => {
+        const rank = SEGMENT_REVENUE_CONCEPTS.indexOf(element.getAttribute('name'));
+        const context = contexts.get(element.getAttribute('contextref'));
+        if (rank < 0 || !context) return;
+
+        const value = readInlineXbrlNumber(element);
+        if (value === null) return;
+
+        const key = `${context.axis}|${context.member}|${context.end}`;
+        const current = facts.get(key);
+        if (!current || rank < current.rank) {
+            facts.set(key, { ...context, name: formatMemberName(context.member), value, rank });
+        }
+    });
+
+    return [...facts.values()].map(({ rank, ...fact }) => fact);
+}
+
+/**
+ * Get revenue by segment, region and product from the company's latest 10-K
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} - { cik, accessionNumber, primaryDocument, reportDate, facts }, or null without a 10-K or the proxy
+ */
+async function getSegmentRevenue(symbol) {
+    console.log('🔍 getSegmentRevenue called with symbol:', symbol);
+
+    const submissions = await getEdgarSubmissions(symbol);
+    const recent = submissions?.filings?.recent;
+    if (!recent || !Array.isArray(recent.form)) return null;
+
+    const index = recent.form.findIndex((form, i) => form === '10-K' && recent.isInlineXBRL?.[i] !== 0);
+    if (index < 0) return null;
+
+    const cik = padCik(submissions.cik);
+    const accessionNumber = recent.accessionNumber[index];
+    const primaryDocument = recent.primaryDocument[index];
+
+    const cacheKey = `edgar_segments_${accessionNumber}`;
+    const cached = Utils.getCache(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const folder = accessionNumber.replace(/-/g, '');
+        const html = await fetchEdgarDocument(`sec/archives/${parseInt(cik, 10)}/${folder}/${encodeURIComponent(primaryDocument)}`,
+            `Archives/edgar/data/${parseInt(cik, 10)}/${folder}/${primaryDocument}`);
+        if (html === null) return null;
+
+        // Cache what was read from the document rather than the document, which can be several megabytes
+        const segments = {
+            cik,
+            accessionNumber,
+            primaryDocument,
+            reportDate: recent.reportDate?.[index] || null,
+            facts: parseSegmentRevenue(html)
+        };
+
+        Utils.setCache(cacheKey, segments);
+        return segments;
+    } catch (error) {
+        console.error('Failed to get segment revenue:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get reported financial statements with the latest 10-K's revenue breakdown
+ * The breakdown is optional (it needs the proxy, and not every 10-K tags it).
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} - { statements, segments } or null if the company doesn't file with the SEC
+ */
+async function getReportedFinancials(symbol) {
+    const [statements, segments] = await Promise.all([
+        getStatementLines(symbol),
+        getSegmentRevenue(symbol).catch(() => null)
+    ]);
+
+    return statements ? { statements, segments } : null;
+}
+
+Providers.registerProvider('filings', {
+    name: 'edgar',
+    isAvailable: () => CONFIG.FEATURES.FILINGS_ENABLED && (CONFIG.EDGAR_USE_FIXTURES || !CONFIG.MOCK_MODE),
+    fetch: (symbol) => getEdgarSubmissions(symbol)
+});
+
+Providers.registerProvider('financials', {
+    name: 'edgar',
+    isAvailable: () => CONFIG.FEATURES.FILINGS_ENABLED && (CONFIG.EDGAR_USE_FIXTURES || !CONFIG.MOCK_MODE),
+    fetch: (symbol) => getReportedFinancials(symbol)
+});
+
+// Export EDGAR functions
+window.Edgar = {
+    getCikForTicker,
+    getEdgarSubmissions,
+    getStatementLines,
+    getSegmentRevenue,
+    parseSegmentRevenue
+};
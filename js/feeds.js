@@ -0,0 +1,528 @@
+// ===== RSS / ATOM FEEDS =====
+
+const FEEDS_STORAGE_KEY = 'nocharts-feeds';
+const FEED_ACCEPT_HEADER = 'application/rss+xml, application/atom+xml, application/rdf+xml, application/xml, text/xml';
+
+/**
+ * Read the feeds users added, keyed by ticker
+ * @returns {Object} - { SYMBOL: [{ url, title, matchCompany }] }
+ */
+function getStoredFeeds() {
+    try {
+        return JSON.parse(localStorage.getItem(FEEDS_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Get the feeds added for a ticker
+ * @param {string} symbol - Stock symbol
+ * @returns {Array} - Feeds ({ url, title, matchCompany })
+ */
+function getFeeds(symbol) {
+    return getStoredFeeds()[Utils.formatTicker(symbol)] || [];
+}
+
+/**
+ * Add (or update) a feed for a ticker
+ * @param {string} symbol - Stock symbol
+ * @param {Object} feed - { url, title, matchCompany }
+ */
+function addFeed(symbol, feed) {
+    const stored = getStoredFeeds();
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const feeds = (stored[formattedSymbol] || []).filter(existing => existing.url !== feed.url);
+
+    stored[formattedSymbol] = [...feeds, {
+        url: feed.url,
+        title: feed.title || feed.url,
+        matchCompany: Boolean(feed.matchCompany)
+    }];
+    localStorage.setItem(FEEDS_STORAGE_KEY, JSON.stringify(stored));
+}
+
+/**
+ * Remove a feed from a ticker
+ * @param {string} symbol - Stock symbol
+ * @param {string} url - Feed URL
+ */
+function removeFeed(symbol, url) {
+    const stored = getStoredFeeds();
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const feeds = (stored[formattedSymbol] || []).filter(feed => feed.url !== url);
+
+    if (feeds.length > 0) {
+        stored[formattedSymbol] = feeds;
+    } else {
+        delete stored[formattedSymbol];
+    }
+    localStorage.setItem(FEEDS_STORAGE_KEY, JSON.stringify(stored));
+}
+
+/**
+ * Check that a feed URL can be fetched
+ * @param {string} url - Feed URL
+ * @returns {boolean} - True for absolute http(s) URLs
+ */
+function isValidFeedUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Find the direct children of an element with a given local name (ignores namespace prefixes)
+ * @param {Element} element - Parent element
+ * @param {string} localName - Tag name without prefix (e.g. "creator" for dc:creator)
+ * @returns {Array} - Matching child elements
+ */
+function childElements(element, localName) {
+    return Array.from(element.children).filter(child => child.localName === localName);
+}
+
+/**
+ * Get the trimmed text of the first child with one of the given local names
+ * @param {Element} element - Parent element
+ * @param {...string} localNames - Tag names to try, in order
+ * @returns {string} - Text or '' if none are present
+ */
+function childText(element, ...localNames) {
+    for (const localName of localNames) {
+        const child = childElements(element, localName)[0];
+        const text = child?.textContent.trim();
+        if (text) return text;
+    }
+    return '';
+}
+
+/**
+ * Convert feed HTML (descriptions are usually escaped HTML) to plain text
+ * @param {string} html - HTML fragment
+ * @returns {string} - Plain text
+ */
+function htmlToText(html) {
+    if (!html) return '';
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a feed date (RFC 822 in RSS 2.0, ISO 8601 in Atom and dc:date)
+ * @param {string} value - Date text
+ * @returns {string|null} - ISO date or null if missing/invalid
+ */
+function parseFeedDate(value) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Find an item's image (enclosure, media:content or media:thumbnail)
+ * @param {Element} element - Item or entry element
+ * @returns {string} - Image URL or ''
+ */
+function findFeedImage(element) {
+    const enclosure = childElements(element, 'enclosure')
+        .find(child => (child.getAttribute('type') || '').startsWith('image/'));
+    if (enclosure) return enclosure.getAttribute('url') || '';
+
+    const media = [...childElements(element, 'thumbnail'), ...childElements(element, 'content')]
+        .find(child => child.getAttribute('url') && (child.localName === 'thumbnail' || (child.getAttribute('medium') || child.getAttribute('type') || '').startsWith('image')));
+    return media ? media.getAttribute('url') : '';
+}
+
+/**
+ * Parse an RSS 2.0 <item> or RSS 1.0 (RDF) <item>
+ * @param {Element} item - Item element
+ * @returns {Object} - Feed item
+ */
+function parseRssItem(item) {
+    const link = childText(item, 'link') || item.getAttribute('rdf:about') || '';
+    const guid = childElements(item, 'guid')[0];
+    // A permalink guid is the article URL when <link> is missing
+    const guidUrl = guid && guid.getAttribute('isPermaLink') !== 'false' && isValidFeedUrl(guid.textContent.trim())
+        ? guid.textContent.trim()
+        : '';
+
+    return {
+        id: guid?.textContent.trim() || link,
+        title: htmlToText(childText(item, 'title')),
+        url: link || guidUrl,
+        summary: htmlToText(childText(item, 'description', 'encoded')),
+        publishedAt: parseFeedDate(childText(item, 'pubDate', 'date')),
+        author: childText(item, 'creator', 'author'),
+        categories: childElements(item, 'category').map(category => category.textContent.trim()).filter(Boolean),
+        imageUrl: findFeedImage(item)
+    };
+}
+
+/**
+ * Parse an Atom <entry>
+ * @param {Element} entry - Entry element
+ * @returns {Object} - Feed item
+ */
+function parseAtomEntry(entry) {
+    const links = childElements(entry, 'link');
+    const link = links.find(candidate => (candidate.getAttribute('rel') || 'alternate') === 'alternate') || links[0];
+    const author = childElements(entry, 'author')[0];
+
+    return {
+        id: childText(entry, 'id'),
+        title: htmlToText(childText(entry, 'title')),
+        url: link ? link.getAttribute('href') || '' : '',
+        summary: htmlToText(childText(entry, 'summary', 'content')),
+        publishedAt: parseFeedDate(childText(entry, 'published', 'updated')),
+        author: author ? childText(author, 'name') : '',
+        categories: childElements(entry, 'category').map(category => category.getAttribute('term') || '').filter(Boolean),
+        imageUrl: findFeedImage(entry)
+    };
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document
+ * @param {string} xmlText - Feed XML
+ * @returns {Object} - { format, title, link, items }
+ */
+function parseFeed(xmlText) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    const root = doc.documentElement;
+
+    if (!root || doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Not a valid RSS or Atom feed (the XML could not be parsed)');
+    }
+
+    if (root.localName === 'feed') {
+        const links = childElements(root, 'link');
+        const link = links.find(candidate => (candidate.getAttribute('rel') || 'alternate') === 'alternate');
+
+        return {
+            format: 'atom',
+            title: htmlToText(childText(root, 'title')),
+            link: link ? link.getAttribute('href') : '',
+            items: childElements(root, 'entry').map(parseAtomEntry)
+        };
+    }
+
+    if (root.localName === 'rss' || root.localName === 'RDF') {
+        const channel = childElements(root, 'channel')[0] || (root.localName === 'RDF' ? root : null);
+        if (!channel) {
+            throw new Error('RSS feed has no <channel>');
+        }
+
+        // RSS 2.0 nests items in <channel>; RSS 1.0 puts them next to it
+        const itemParent = root.localName === 'rss' ? channel : root;
+
+        return {
+            format: root.localName === 'rss' ? 'rss' : 'rdf',
+            title: htmlToText(childText(channel, 'title')),
+            link: childText(channel, 'link'),
+            items: childElements(itemParent, 'item').map(parseRssItem)
+        };
+    }
+
+    throw new Error(`Unsupported feed format: <${root.localName}>`);
+}
+
+/**
+ * Fetch and parse a feed (through the local proxy when it is running, since most feeds don't allow CORS)
+ * @param {string} url - Feed URL
+ * @returns {Promise<Object>} - Parsed feed ({ format, title, link, items })
+ */
+async function fetchFeed(url) {
+    if (!isValidFeedUrl(url)) {
+        throw new Error('Feed URL must start with http:// or https://');
+    }
+
+    const cacheKey = `feed_${url}`;
+    const cached = Utils.getCache(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const endpoint = await API.resolveEndpoint('feeds', `feed?url=${encodeURIComponent(url)}`, () => url);
+    let xmlText;
+
+    if (endpoint !== url) {
+        // The proxy wraps the feed in JSON: { url, contentType, text }
+        xmlText = (await API.makeApiRequest(endpoint, {}, null)).text;
+    } else {
+        xmlText = await API.makeApiRequest(url, {
+            responseType: 'text',
+            headers: {
+                'Accept': FEED_ACCEPT_HEADER
+            }
+        }, null);
+    }
+
+    // Cache the parsed feed rather than the raw XML, which can be large
+    const feed = parseFeed(xmlText);
+    Utils.setCache(cacheKey, feed);
+    return feed;
+}
+
+/**
+ * Check whether a feed item mentions a company
+ * @param {Object} item - Feed item
+ * @param {string} symbol - Stock symbol
+ * @param {string} companyName - Company name (optional)
+ * @returns {boolean} - True if the symbol or name appears in the title, summary or categories
+ */
+function itemMentionsCompany(item, symbol, companyName) {
+    const text = `${item.title} ${item.summary} ${item.categories.join(' ')}`;
+    const name = (companyName || '').replace(/[,.]?\s+(inc|corp|corporation|co|ltd|plc|holdings|group)\.?$/i, '').trim();
+    const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    return new RegExp(`\\b\\$?${escapeRegExp(symbol)}\\b`).test(text) ||
+        (name.length > 2 && new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(text));
+}
+
+/**
+ * Convert a feed item to the news article shape used by processNewsArticles
+ * @param {Object} item - Feed item
+ * @param {Object} feed - Stored feed ({ url, title })
+ * @param {Object} parsed - Parsed feed
+ * @returns {Object} - Article
+ */
+function feedItemToArticle(item, feed, parsed) {
+    return {
+        title: item.title,
+        description: Utils.truncateText(item.summary, 300),
+        content: item.summary,
+        // Only http(s) links, so a javascript: link can't end up clickable
+        url: Utils.getSafeUrl(item.url),
+        urlToImage: Utils.getSafeUrl(item.imageUrl),
+        publishedAt: item.publishedAt,
+        source: { name: parsed.title || feed.title },
+        author: item.author,
+        categories: item.categories,
+        feedUrl: feed.url,
+        // Feeds carry no sentiment or relevance data
+        sentiment: null,
+        matchScore: null,
+        highlights: []
+    };
+}
+
+/**
+ * Get articles from every feed added for a ticker
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - { companyName }
+ * @returns {Promise<Array>} - Articles, newest first (feeds that fail are skipped)
+ */
+async function getFeedArticles(symbol, { companyName = null } = {}) {
+    const formattedSymbol = Utils.formatTicker(symbol);
+    const feeds = getFeeds(formattedSymbol);
+    if (feeds.length === 0) return [];
+
+    const results = await Promise.allSettled(feeds.map(feed => fetchFeed(feed.url)));
+    const articles = [];
+
+    results.forEach((result, index) => {
+        const feed = feeds[index];
+
+        if (result.status === 'rejected') {
+            if (API.isAbortError(result.reason)) throw result.reason;
+            console.warn(`Feed failed: ${feed.url}`, result.reason);
+            return;
+        }
+
+        result.value.items
+            .filter(item => Utils.getSafeUrl(item.url) && item.publishedAt)
+            .filter(item => !feed.matchCompany || itemMentionsCompany(item, formattedSymbol, companyName))
+            .forEach(item => articles.push(feedItemToArticle(item, feed, result.value)));
+    });
+
+    console.log(`📡 ${articles.length} feed items for ${formattedSymbol} from ${feeds.length} feeds`);
+    return articles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+}
+
+// Ticker and change callback for the open feeds panel
+let feedsPanelState = null;
+
+/**
+ * Build the feeds panel (once) and add it to the page
+ * @returns {HTMLElement} - Panel overlay element
+ */
+function createFeedsPanel() {
+    const existing = document.getElementById('feedsModal');
+    if (existing) return existing;
+
+    const modal = document.createElement('div');
+    modal.className = 'settings-modal';
+    modal.id = 'feedsModal';
+    modal.innerHTML = `
+        <div class="settings-content" role="dialog" aria-modal="true" aria-labelledby="feedsTitle">
+            <h3 class="settings-title" id="feedsTitle">News Feeds</h3>
+            <p class="settings-intro">
+                Add RSS or Atom feeds for this company, such as investor-relations press releases
+                or trade publications. Their items appear in the timeline next to the news.
+            </p>
+            <ul class="feed-list" id="feedList"></ul>
+            <form class="settings-form" id="feedForm">
+                <div class="form-group">
+                    <label class="form-label" for="feedUrl">Feed URL</label>
+                    <input type="url" class="form-input" id="feedUrl" placeholder="https://example.com/press-releases.rss" required autocomplete="off" spellcheck="false">
+                    <label class="feed-option">
+                        <input type="checkbox" id="feedMatchCompany">
+                        <span id="feedMatchLabel">Only show items that mention this company</span>
+                    </label>
+                    <p class="settings-help">Most feeds block browser requests; run the local proxy (<code>npm run proxy</code>) with the feed's host in <code>FEED_ALLOWLIST</code> to read it.</p>
+                    <p class="settings-status" id="feedStatus"></p>
+                </div>
+                <div class="settings-actions">
+                    <button type="submit" class="btn btn-primary" id="feedAdd">Add feed</button>
+                </div>
+            </form>
+            <button class="settings-close" id="feedsClose" aria-label="Close feeds">✕</button>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeFeedsPanel();
+    });
+    document.getElementById('feedsClose').addEventListener('click', closeFeedsPanel);
+    document.getElementById('feedForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        addEnteredFeed();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeFeedsPanel();
+    });
+
+    return modal;
+}
+
+/**
+ * List the current ticker's feeds in the panel
+ */
+function renderFeedList() {
+    const list = document.getElementById('feedList');
+    if (!list || !feedsPanelState) return;
+
+    const feeds = getFeeds(feedsPanelState.symbol);
+    list.innerHTML = '';
+
+    if (feeds.length === 0) {
+        list.innerHTML = '<li class="feed-empty">No feeds added yet.</li>';
+        return;
+    }
+
+    feeds.forEach(feed => {
+        const item = document.createElement('li');
+        item.className = 'feed-list-item';
+
+        const details = document.createElement('div');
+        details.className = 'feed-details';
+        details.innerHTML = '<span class="feed-title"></span><span class="feed-url"></span>';
+        details.querySelector('.feed-title').textContent = feed.matchCompany ? `${feed.title} · mentions only` : feed.title;
+        details.querySelector('.feed-url').textContent = feed.url;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'feed-remove';
+        remove.setAttribute('aria-label', `Remove ${feed.title}`);
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => {
+            removeFeed(feedsPanelState.symbol, feed.url);
+            renderFeedList();
+            feedsPanelState.onChange();
+        });
+
+        item.appendChild(details);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Check the URL typed into the panel and add it if it parses as a feed
+ */
+async function addEnteredFeed() {
+    const input = document.getElementById('feedUrl');
+    const status = document.getElementById('feedStatus');
+    const addButton = document.getElementById('feedAdd');
+    const url = input.value.trim();
+
+    status.className = 'settings-status';
+    status.textContent = 'Checking feed…';
+    addButton.disabled = true;
+
+    try {
+        const feed = await fetchFeed(url);
+
+        addFeed(feedsPanelState.symbol, {
+            url,
+            title: feed.title || new URL(url).hostname,
+            matchCompany: document.getElementById('feedMatchCompany').checked
+        });
+
+        status.textContent = `Added “${feed.title || url}” · ${feed.items.length} items (${feed.format.toUpperCase()})`;
+        status.classList.add('valid');
+        input.value = '';
+        renderFeedList();
+        feedsPanelState.onChange();
+    } catch (error) {
+        status.textContent = /fetch|CORS|HTTP error/i.test(error.message)
+            ? `Couldn't load the feed (${error.message}). The site may block browser requests; try the local proxy, with the feed's host in FEED_ALLOWLIST.`
+            : error.message;
+        status.classList.add('invalid');
+    } finally {
+        addButton.disabled = false;
+    }
+}
+
+/**
+ * Open the feeds panel for a ticker
+ * @param {string} symbol - Stock symbol
+ * @param {Function} onChange - Called after a feed is added or removed
+ */
+function openFeedsPanel(symbol, onChange = () => {}) {
+    const modal = createFeedsPanel();
+    feedsPanelState = { symbol: Utils.formatTicker(symbol), onChange };
+
+    document.getElementById('feedsTitle').textContent = `News Feeds for ${feedsPanelState.symbol}`;
+    document.getElementById('feedMatchLabel').textContent = `Only show items that mention ${feedsPanelState.symbol}`;
+    document.getElementById('feedStatus').textContent = '';
+    renderFeedList();
+
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    document.getElementById('feedUrl').focus();
+}
+
+/**
+ * Close the feeds panel
+ */
+function closeFeedsPanel() {
+    const modal = document.getElementById('feedsModal');
+    if (modal) {
+        modal.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+}
+
+Providers.registerProvider('feeds', {
+    name: 'user-feeds',
+    isAvailable: () => CONFIG.FEATURES.FEEDS_ENABLED && !CONFIG.MOCK_MODE,
+    fetch: (symbol, options) => getFeedArticles(symbol, options)
+});
+
+// Export feed functions
+window.Feeds = {
+    getFeeds,
+    addFeed,
+    removeFeed,
+    parseFeed,
+    fetchFeed,
+    getFeedArticles,
+    openPanel: openFeedsPanel,
+    closePanel: closeFeedsPanel
+};
@@ -10,27 +10,6 @@ let isLoading = false;
 function initializeApp() {
     console.log('Initializing NoCharts application...');
     
-    // Add mock mode indicator to the page
-    if (CONFIG.MOCK_MODE) {
-        const mockIndicator = document.createElement('div');
-        mockIndicator.style.cssText = `
-            position: fixed;
-            top: 10px;
-            right: 10px;
-            background: #ff6b6b;
-            color: white;
-            padding: 8px 12px;
-            border-radius: 4px;
-            font-size: 12px;
-            font-weight: bold;
-            z-index: 9999;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-        `;
-        mockIndicator.textContent = '🔧 MOCK MODE';
-        mockIndicator.title = 'Using mock data - no API calls';
-        document.body.appendChild(mockIndicator);
-    }
-    
     // Check if UI is available
     if (typeof UI === 'undefined') {
         console.error('UI object not available, retrying in 100ms...');
@@ -81,7 +60,13 @@ function setupEventListeners() {
     // Search input events
     const searchInput = document.getElementById('tickerInput');
     if (searchInput) {
-        // Debounced search suggestions
+        // Type-ahead suggestions (added first so Enter on a highlighted suggestion wins)
+        Search.attachAutocomplete(searchInput, {
+            container: searchForm,
+            onSelect: (suggestion) => searchStock(suggestion.symbol)
+        });
+        
+        // Debounced input validation
         const debouncedSearch = Utils.debounce(handleSearchInput, 300);
         searchInput.addEventListener('input', debouncedSearch);
         
@@ -107,20 +92,29 @@ function setupEventListeners() {
 async function handleSearchSubmit(event) {
     event.preventDefault();
     
+    const searchForm = document.getElementById('searchForm');
     const searchInput = document.getElementById('tickerInput');
-    const ticker = searchInput.value.trim();
+    const query = searchInput.value.trim();
     
-    if (!ticker) {
+    if (!query) {
         UI.showError('Please enter a stock ticker symbol');
         return;
     }
     
-    if (!Utils.isValidTicker(ticker)) {
-        UI.showError('Please enter a valid stock ticker symbol (1-5 letters)');
+    Search.clearMessage(searchForm);
+    
+    // Check the ticker (or company name) against the symbol lookup
+    const { match, suggestions } = await Search.resolveSymbol(query);
+    if (!match) {
+        Search.showMessage(searchForm, query, suggestions, (suggestion) => {
+            UI.updateSearchInput(suggestion.symbol);
+            searchStock(suggestion.symbol);
+        });
         return;
     }
     
-    await searchStock(ticker);
+    UI.updateSearchInput(match.symbol);
+    await searchStock(match.symbol);
 }
 
 /**
@@ -142,8 +136,8 @@ async function handleTickerButtonClick(event) {
 function handleSearchInput(event) {
     const value = event.target.value.trim();
     
-    // Basic validation feedback
-    if (value && !Utils.isValidTicker(value)) {
+    // Company names are fine too; only flag text that can't be either
+    if (value && !/[a-z0-9]/i.test(value)) {
         event.target.classList.add('error');
     } else {
         event.target.classList.remove('error');
@@ -155,13 +149,11 @@ function handleSearchInput(event) {
  * @param {string} ticker - Stock ticker symbol
  */
 async function searchStock(ticker) {
-    if (isLoading) {
-        console.log('Search already in progress, ignoring request');
-        return;
-    }
-    
     const formattedTicker = Utils.formatTicker(ticker);
     
+    // A new search cancels whatever the previous one still has in flight
+    const sessionId = API.startRequestSession();
+    
     try {
         isLoading = true;
         
@@ -175,6 +167,11 @@ async function searchStock(ticker) {
         // Get comprehensive stock data
         const stockData = await API.getComprehensiveStockData(formattedTicker);
         
+        // Drop results from a search that has since been replaced
+        if (!API.isCurrentSession(sessionId)) {
+            return;
+        }
+        
         // Process the data
         const processedData = processStockData(stockData);
         
@@ -184,6 +181,9 @@ async function searchStock(ticker) {
         // Show success message
         UI.showSuccess(`Research completed for ${formattedTicker}`);
         
+        // Remember it for the search suggestions
+        Search.addRecentSearch(formattedTicker, processedData.display.name);
+        
         // Update URL (for future navigation)
         updateURL(formattedTicker);
         
@@ -191,12 +191,20 @@ async function searchStock(ticker) {
         window.location.href = `ticker.html?ticker=${formattedTicker}`;
         
     } catch (error) {
+        if (API.isAbortError(error) || !API.isCurrentSession(sessionId)) {
+            console.log(`Search for ${formattedTicker} was cancelled`);
+            return;
+        }
+        
         console.error('Search failed:', error);
         handleSearchError(error, formattedTicker);
     } finally {
-        isLoading = false;
-        UI.hideLoading();
-        UI.enableSearchForm();
+        // The newer search owns the loading state
+        if (API.isCurrentSession(sessionId)) {
+            isLoading = false;
+            UI.hideLoading();
+            UI.enableSearchForm();
+        }
     }
 }
 
@@ -221,7 +229,7 @@ function processStockData(stockData) {
     processed.newsSummary = DataProcessor.getNewsSummary(processed.news);
     
     // Add timeline
-    processed.timeline = DataProcessor.createTimeline(processed.news);
+    processed.timeline = DataProcessor.createTimeline({ news: processed.news });
     
     return processed;
 }
@@ -277,15 +285,11 @@ function handleSearchError(error, ticker) {
  * Validate API configuration
  */
 function validateApiConfiguration() {
-    const validation = API.validateApiKeys();
-    
-    if (validation.message) {
-        console.warn('API Configuration Warning:', validation.message);
-        
-        // Show warning in console for development
-        if (validation.message.includes('not configured')) {
-            console.warn('💡 Tip: Add your API keys to js/config.js to enable full functionality');
-        }
+    if (Settings.isDemoMode()) {
+        console.warn('API Configuration Warning: No Finnhub API key configured, running in demo mode');
+        console.warn('💡 Tip: Click ⚙️ to add your API keys and enable full functionality');
+    } else if (!Settings.hasApiKey('marketaux')) {
+        console.warn('API Configuration Warning: Marketaux API key not configured, news is unavailable');
     }
 }
 
@@ -409,9 +413,9 @@ window.NoChartsDebug = {
     },
     
     // Check API keys
-    checkKeys: () => {
+    checkKeys: async () => {
         if (typeof API !== 'undefined' && API.validateApiKeys) {
-            const validation = API.validateApiKeys();
+            const validation = await API.validateApiKeys();
             console.log('🔑 API Key Status:', validation);
             return validation;
         } else {
@@ -493,12 +497,15 @@ console.log('✅ NoChartsDebug object created successfully');
 // Show mock mode status
 console.log('🔧 ===== MOCK MODE STATUS =====');
 console.log('🔧 CONFIG.MOCK_MODE:', CONFIG.MOCK_MODE);
+console.log('🔧 Demo mode:', Settings.isDemoMode());
 console.log('🔧 MockData available:', typeof MockData !== 'undefined');
 console.log('🔧 CONFIG object available:', typeof CONFIG !== 'undefined');
 
 if (CONFIG.MOCK_MODE) {
     console.log('🔧 ✅ MOCK MODE ENABLED - Using mock data instead of APIs');
     console.log('🔧 🚫 No API calls will be made');
+} else if (Settings.isDemoMode()) {
+    console.log('🔧 DEMO MODE - No Finnhub API key, using sample data (add keys in Settings)');
 } else {
     console.log('🌐 LIVE MODE - Using real APIs');
 }
@@ -218,6 +218,20 @@ const MOCK_DATA = {
     }
 };
 
+// Mock quarterly EPS level for a symbol (stable per symbol, so history, calendar and estimates agree)
+function getMockEpsBase(symbol) {
+    return 0.8 + [...symbol].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 20 / 10;
+}
+
+// Mock stock splits (Finnhub /stock/split shape) for the sample tickers
+const MOCK_SPLITS = {
+    AAPL: [{ date: '2020-08-31', fromFactor: 1, toFactor: 4 }],
+    TSLA: [{ date: '2020-08-31', fromFactor: 1, toFactor: 5 }, { date: '2022-08-25', fromFactor: 1, toFactor: 3 }]
+};
+
+// Sample tickers that don't pay a dividend
+const MOCK_NON_PAYERS = ['TSLA'];
+
 // Simple mock data functions
 const MockData = {
     // Get mock stock overview
@@ -271,6 +285,258 @@ const MockData = {
         }
     },
 
+    // Search mock companies by symbol or name
+    searchSymbols: (query) => {
+        const term = query.trim().toLowerCase();
+        const matches = Object.values(MOCK_DATA.stockOverview)
+            .filter(company => company.Symbol.toLowerCase().startsWith(term) || company.Name.toLowerCase().includes(term))
+            .map(company => ({
+                symbol: company.Symbol,
+                name: company.Name,
+                type: 'Common Stock',
+                exchange: company.Exchange
+            }));
+        
+        // Like getStockOverview, any other ticker-shaped query has generic data
+        const formattedSymbol = Utils.formatTicker(query);
+        if (matches.length === 0 && Utils.isValidTicker(formattedSymbol)) {
+            matches.push({
+                symbol: formattedSymbol,
+                name: `${formattedSymbol} Corporation`,
+                type: 'Common Stock',
+                exchange: 'NASDAQ'
+            });
+        }
+        
+        return Promise.resolve(matches);
+    },
+
+    // Get mock next earnings report (always a few weeks out so the countdown shows)
+    getUpcomingEarnings: (symbol) => {
+        const formattedSymbol = symbol.toUpperCase();
+        const daysOut = 7 + [...formattedSymbol].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 50;
+        const date = new Date(Date.now() + daysOut * 24 * 60 * 60 * 1000);
+        const quarter = Math.floor(new Date().getMonth() / 3) + 1;
+        
+        return Promise.resolve({
+            symbol: formattedSymbol,
+            date: date.toISOString().slice(0, 10),
+            hour: 'amc',
+            quarter: quarter,
+            year: new Date().getFullYear(),
+            epsEstimate: Math.round(getMockEpsBase(formattedSymbol) * 1.36 * 100) / 100,
+            revenueEstimate: 25000000000
+        });
+    },
+
+    // Get mock earnings history (Finnhub /stock/earnings shape, last 12 reported quarters, newest first)
+    getEarningsHistory: (symbol) => {
+        const formattedSymbol = symbol.toUpperCase();
+        const base = getMockEpsBase(formattedSymbol);
+        const now = new Date();
+        // Surprise pattern: a run of beats broken by the odd miss
+        const surprises = [0.04, 0.06, 0.02, 0.05, 0.01, 0.03, -0.04, 0.02, 0.03, -0.02, 0.01, 0.02];
+        
+        return Promise.resolve(surprises.map((surprise, index) => {
+            // The most recent reported quarter is the one before the current calendar quarter
+            const quartersBack = index + 1;
+            const quarterIndex = now.getFullYear() * 4 + Math.floor(now.getMonth() / 3) - quartersBack;
+            const year = Math.floor(quarterIndex / 4);
+            const quarter = quarterIndex % 4 + 1;
+            const estimate = Math.round(base * (1 + 0.03 * (12 - quartersBack)) * 100) / 100;
+            const actual = Math.round(estimate * (1 + surprise) * 100) / 100;
+            
+            return {
+                symbol: formattedSymbol,
+                period: new Date(Date.UTC(year, quarter * 3, 0)).toISOString().slice(0, 10),
+                quarter: quarter,
+                year: year,
+                estimate: estimate,
+                actual: actual,
+                surprise: Math.round((actual - estimate) * 10000) / 10000,
+                surprisePercent: Math.round((actual - estimate) / estimate * 10000) / 100
+            };
+        }));
+    },
+
+    // Get mock annual EPS consensus (Finnhub /stock/eps-estimate data shape, newest period first)
+    getEpsEstimates: (symbol) => {
+        const formattedSymbol = symbol.toUpperCase();
+        const annual = getMockEpsBase(formattedSymbol) * 5.4;
+        const year = new Date().getFullYear();
+        
+        return Promise.resolve([1, 0].map(offset => {
+            const epsAvg = Math.round(annual * (1 + 0.1 * offset) * 100) / 100;
+            return {
+                period: `${year + offset}-12-31`,
+                year: year + offset,
+                epsAvg: epsAvg,
+                epsHigh: Math.round(epsAvg * 1.08 * 100) / 100,
+                epsLow: Math.round(epsAvg * 0.93 * 100) / 100,
+                numberAnalysts: 24 - offset * 4
+            };
+        }));
+    },
+
+    // Get mock insider activity (Finnhub /stock/insider-transactions and /stock/executive shapes)
+    getInsiderActivity: (symbol) => {
+        const formattedSymbol = symbol.toUpperCase();
+        const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const transaction = (name, days, code, change, share, price) => ({
+            symbol: formattedSymbol,
+            name,
+            share,
+            change,
+            filingDate: daysAgo(days - 2),
+            transactionDate: daysAgo(days),
+            transactionCode: code,
+            transactionPrice: price,
+            isDerivative: false
+        });
+        
+        return Promise.resolve({
+            transactions: [
+                transaction('SMITH JANE A', 12, 'S', -20000, 180000, 101.25),
+                transaction('SMITH JANE A', 12, 'S', -5000, 175000, 101.9),
+                transaction('LEE DAVID', 40, 'P', 8000, 58000, 95.4),
+                transaction('SMITH JANE A', 75, 'F', -3200, 200000, 98.1),
+                transaction('GARCIA MARIA', 130, 'S', -12000, 64000, 92.75),
+                transaction('SMITH JANE A', 160, 'A', 40000, 203200, 0),
+                transaction('LEE DAVID', 250, 'P', 5000, 50000, 88.3)
+            ],
+            executives: [
+                { name: 'Ms. Jane A. Smith', position: 'Chief Executive Officer' },
+                { name: 'Ms. Maria Garcia', position: 'Chief Financial Officer' }
+            ]
+        });
+    },
+
+    // Get mock analyst ratings (Finnhub /stock/recommendation and /stock/upgrade-downgrade shapes)
+    getAnalystActivity: (symbol) => {
+        const formattedSymbol = symbol.toUpperCase();
+        const now = new Date();
+        const monthStart = (monthsBack) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - monthsBack, 1)).toISOString().slice(0, 10);
+        const daysAgo = (days) => Math.floor(Date.now() / 1000) - days * 24 * 60 * 60;
+        // Oldest to newest: sentiment warming over the half year
+        const mixes = [[8, 14, 12, 3, 1], [9, 14, 11, 3, 1], [10, 15, 10, 2, 1], [11, 16, 9, 2, 0], [12, 17, 8, 1, 0], [13, 18, 6, 1, 0]];
+        
+        return Promise.resolve({
+            trends: mixes.map(([strongBuy, buy, hold, sell, strongSell], index) => ({
+                symbol: formattedSymbol,
+                period: monthStart(mixes.length - 1 - index),
+                strongBuy, buy, hold, sell, strongSell
+            })).reverse(),
+            ratingChanges: [
+                { symbol: formattedSymbol, gradeTime: daysAgo(9), company: 'Morgan Stanley', fromGrade: 'Equal-Weight', toGrade: 'Overweight', action: 'up' },
+                { symbol: formattedSymbol, gradeTime: daysAgo(33), company: 'Barclays', fromGrade: 'Overweight', toGrade: 'Overweight', action: 'main' },
+                { symbol: formattedSymbol, gradeTime: daysAgo(58), company: 'Loop Capital', fromGrade: '', toGrade: 'Buy', action: 'init' },
+                { symbol: formattedSymbol, gradeTime: daysAgo(121), company: 'Redburn', fromGrade: 'Neutral', toGrade: 'Sell', action: 'down' }
+            ]
+        });
+    },
+
+    // Get mock basic financials (Finnhub /stock/metric shape)
+    getBasicFinancials: async (symbol) => {
+        const formattedSymbol = symbol.toUpperCase();
+        const overview = await MockData.getStockOverview(formattedSymbol);
+        const base = getMockEpsBase(formattedSymbol);
+        const annualEps = base * 5;
+        const peRatio = parseFloat(overview.PERatio);
+        const profitMargin = Math.round(base * 120) / 10;
+        const currentRatio = Math.round(base * 8) / 10;
+        const paysDividend = !MOCK_NON_PAYERS.includes(formattedSymbol);
+        const year = new Date().getFullYear();
+        // Annual series, newest first, like Finnhub's series.annual
+        const series = (values) => values.map((v, index) => ({ period: `${year - 1 - index}-12-31`, v }));
+        // Quarterly series, newest first, ending with the last completed calendar quarter
+        const quarterStart = Math.floor(new Date().getMonth() / 3) * 3;
+        const quarterly = (values) => values.map((v, index) => ({
+            period: new Date(Date.UTC(year, quarterStart - 3 * index, 0)).toISOString().slice(0, 10),
+            v
+        }));
+        const grossMargin = 0.38 + base / 20;
+        
+        return {
+            symbol: formattedSymbol,
+            metric: {
+                peTTM: peRatio,
+                currentDividendYieldTTM: paysDividend ? parseFloat(overview.DividendYield) : null,
+                payoutRatioTTM: paysDividend ? 15.8 : null,
+                marketCapitalization: parseFloat(overview.MarketCapitalization) / 1e6,
+                netProfitMarginTTM: profitMargin,
+                currentRatioQuarterly: currentRatio,
+                revenueGrowthTTMYoy: Math.round(base * 50) / 10,
+                beta: 1.2
+            },
+            series: {
+                quarterly: {
+                    grossMargin: quarterly([25, 20, 14, 10, 5, 0, 4, -2, 3, -1, 2, 0].map(bump => grossMargin + bump / 1000)),
+                    operatingMargin: quarterly([0.9, 1.02, 0.97, 1.04, 0.95, 1, 0.98, 1.03, 0.96, 1.01, 0.99, 1].map(factor => profitMargin * 1.2 * factor / 100)),
+                    netMargin: quarterly([1, 1.04, 0.98, 1.02, 0.97, 1.01, 0.99, 1.03, 0.96, 1, 0.98, 1].map(factor => profitMargin * factor / 100)),
+                    currentRatio: quarterly([1, 1.04, 1.09, 1.12, 1.08, 1.15, 1.2, 1.18, 1.25, 1.22, 1.3, 1.28].map(factor => currentRatio * factor)),
+                    eps: quarterly([1.08, 1.02, 0.97, 1.05, 0.99, 0.94, 0.9, 0.96, 0.9, 0.86, 0.82, 0.88].map(factor => annualEps / 4 * factor)),
+                    salesPerShare: quarterly([1.06, 1.01, 0.98, 1.02, 1, 0.96, 0.93, 0.97, 0.95, 0.9, 0.88, 0.92].map(factor => base * 5 * factor))
+                },
+                annual: {
+                    eps: series([annualEps, annualEps * 0.91, annualEps * 0.85, annualEps * 0.8, annualEps * 0.68]),
+                    pe: series([peRatio * 0.92, peRatio * 0.85, peRatio * 1.08, peRatio * 1.2, peRatio * 0.8]),
+                    netMargin: series([0.97, 0.93, 1.01, 0.9, 0.86].map(factor => profitMargin * factor / 100)),
+                    currentRatio: series([currentRatio * 1.05, currentRatio * 1.1, currentRatio * 0.95, currentRatio * 1.2, currentRatio * 1.3]),
+                    salesPerShare: series([base * 20, base * 18.9, base * 17.5, base * 16.9, base * 15.2, base * 13.8]),
+                    payoutRatio: paysDividend ? series([0.158, 0.162, 0.171, 0.178, 0.2]) : []
+                }
+            }
+        };
+    },
+
+    // Get mock dividend and split history (Finnhub /stock/dividend and /stock/split shapes)
+    getCorporateActions: (symbol) => {
+        const formattedSymbol = symbol.toUpperCase();
+        const splits = MOCK_SPLITS[formattedSymbol] || [];
+        
+        if (MOCK_NON_PAYERS.includes(formattedSymbol)) {
+            return Promise.resolve({ dividends: [], splits });
+        }
+        
+        // Quarterly payments, raised at the start of each year, for the last 12 years
+        const dividends = [];
+        const now = new Date();
+        let rate = 0.1 + getMockEpsBase(formattedSymbol) / 20;
+        for (let year = now.getFullYear() - 12; year <= now.getFullYear(); year++) {
+            if (year > now.getFullYear() - 12) rate *= 1.05;
+            [1, 4, 7, 10].forEach(month => {
+                const exDate = new Date(Date.UTC(year, month, 10));
+                if (exDate > now) return;
+                const date = exDate.toISOString().slice(0, 10);
+                // Amounts before a split were paid on fewer, larger shares
+                const ratio = splits
+                    .filter(split => split.date > date)
+                    .reduce((product, split) => product * split.toFactor / split.fromFactor, 1);
+                const adjustedAmount = Math.round(rate * 10000) / 10000;
+                
+                dividends.push({
+                    symbol: formattedSymbol,
+                    date,
+                    amount: Math.round(adjustedAmount * ratio * 10000) / 10000,
+                    adjustedAmount,
+                    declarationDate: new Date(Date.UTC(year, month - 1, 28)).toISOString().slice(0, 10),
+                    payDate: new Date(Date.UTC(year, month, 17)).toISOString().slice(0, 10),
+                    recordDate: new Date(Date.UTC(year, month, 12)).toISOString().slice(0, 10),
+                    currency: 'USD'
+                });
+            });
+        }
+        
+        return Promise.resolve({ dividends: dividends.reverse(), splits });
+    },
+
+    // Get mock peers (Finnhub /stock/peers shape: the symbol itself, then the other sample tickers)
+    getPeers: (symbol) => {
+        const formattedSymbol = symbol.toUpperCase();
+        const others = Object.keys(MOCK_DATA.stockOverview).filter(peer => peer !== formattedSymbol);
+        return Promise.resolve([formattedSymbol, ...others]);
+    },
+
     // Get mock news data
     getCompanyNews: (symbol, pageSize = 5) => {
         const formattedSymbol = symbol.toUpperCase();
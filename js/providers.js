@@ -0,0 +1,153 @@
+// ===== DATA PROVIDER REGISTRY =====
+
+/**
+ * Capabilities a provider adapter can serve. Each capability has a canonical
+ * raw shape so DataProcessor never needs to know which source answered:
+ *  - profile:     Finnhub /stock/profile2 object
+ *  - quote:       Finnhub /quote object ({ c, d, dp, h, l, o, pc })
+ *  - metrics:     Finnhub /stock/metric object ({ metric, series })
+ *  - earnings:    Finnhub /stock/earnings array
+ *  - calendar:    Next scheduled earnings report (Finnhub /calendar/earnings entry: { date, hour, quarter, year, epsEstimate, revenueEstimate })
+ *  - estimates:   Annual EPS consensus (Finnhub /stock/eps-estimate data array: [{ period, year, epsAvg, epsHigh, epsLow, numberAnalysts }])
+ *  - insiders:    { transactions: Finnhub /stock/insider-transactions data array, executives: Finnhub /stock/executive list ([{ name, position }]) }
+ *  - analysts:    { trends: Finnhub /stock/recommendation array, ratingChanges: Finnhub /stock/upgrade-downgrade array ([{ gradeTime, company, fromGrade, toGrade, action }]) }
+ *  - dividends:   { dividends: Finnhub /stock/dividend array ([{ date, amount, adjustedAmount, payDate, declarationDate, currency }]), splits: Finnhub /stock/split array ([{ date, fromFactor, toFactor }]) }
+ *  - peers:       Array of peer symbols (Finnhub /stock/peers: same industry, may include the symbol itself)
+ *  - news:        Array of articles ({ title, description, url, publishedAt, source, sentiment, entities })
+ *  - description: Plain-text company description string
+ *  - facts:       Wikidata company facts ({ wikidataId, wikipediaTitle, founded, headquarters, ceo, employees, employeesAsOf, founders })
+ *  - filings:     SEC EDGAR submissions index ({ cik, name, filings: { recent } })
+ *  - financials:  Reported annual financials ({ statements: { cik, entityName, currency, lines: { revenue: [{ start, end, value, form, filed }], ... } },
+ *                 segments: { cik, accessionNumber, primaryDocument, reportDate, facts: [{ axis, member, name, start, end, value }] } | null })
+ *  - feeds:       Array of articles in the news shape, from RSS/Atom feeds users added for the ticker
+ *  - search:      Array of symbol matches for a query ({ symbol, name, type, exchange }); the "symbol" argument is the query
+ *  - social:      Array of posts ({ title, description, url, publishedAt, source, author, subreddit, score, numComments, sentiment })
+ */
+const CAPABILITIES = ['profile', 'quote', 'metrics', 'earnings', 'calendar', 'estimates', 'insiders', 'analysts', 'dividends', 'peers', 'news', 'description', 'facts', 'filings', 'financials', 'search', 'social', 'feeds'];
+
+/**
+ * Provider adapter interface
+ * @typedef {Object} ProviderAdapter
+ * @property {string} name - Adapter name (used for logging and unregistering)
+ * @property {Function} [isAvailable] - Returns (or resolves to) false to skip the adapter (e.g. missing key, mock mode)
+ * @property {Function} fetch - async (symbol, options) => raw data in the capability's canonical shape,
+ *                              or null when the adapter has nothing for this symbol
+ */
+
+// Ordered adapter lists keyed by capability
+const providerRegistry = {};
+CAPABILITIES.forEach(capability => {
+    providerRegistry[capability] = [];
+});
+
+/**
+ * Register a provider adapter for a capability
+ * @param {string} capability - Capability name (see CAPABILITIES)
+ * @param {ProviderAdapter} adapter - Adapter to register
+ * @param {Object} options - Registration options
+ * @param {boolean} options.prepend - Insert ahead of existing adapters instead of after them
+ */
+function registerProvider(capability, adapter, { prepend = false } = {}) {
+    if (!providerRegistry[capability]) {
+        throw new Error(`Unknown provider capability: ${capability}`);
+    }
+
+    if (!adapter || !adapter.name || typeof adapter.fetch !== 'function') {
+        throw new Error(`Invalid provider adapter for ${capability}`);
+    }
+
+    // Replace any adapter already registered under the same name
+    unregisterProvider(capability, adapter.name);
+
+    if (prepend) {
+        providerRegistry[capability].unshift(adapter);
+    } else {
+        providerRegistry[capability].push(adapter);
+    }
+}
+
+/**
+ * Remove a provider adapter from a capability
+ * @param {string} capability - Capability name
+ * @param {string} name - Adapter name
+ */
+function unregisterProvider(capability, name) {
+    const adapters = providerRegistry[capability];
+    if (!adapters) return;
+
+    const index = adapters.findIndex(adapter => adapter.name === name);
+    if (index !== -1) {
+        adapters.splice(index, 1);
+    }
+}
+
+/**
+ * Get registered adapters for a capability, in fallback order
+ * @param {string} capability - Capability name
+ * @returns {Array} - Adapter list (copy)
+ */
+function getProviders(capability) {
+    return [...(providerRegistry[capability] || [])];
+}
+
+/**
+ * Check whether a value counts as an answer from an adapter
+ * @param {any} value - Adapter result
+ * @returns {boolean} - True if the value should be returned to the caller
+ */
+function hasProviderData(value) {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) return false;
+    return true;
+}
+
+/**
+ * Fetch a capability, falling back through registered adapters in order
+ * @param {string} capability - Capability name
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - Extra options passed to each adapter
+ * @returns {Promise} - Promise with the first adapter's non-empty result
+ */
+async function fetchFromProviders(capability, symbol, options = {}) {
+    const adapters = getProviders(capability);
+    let lastError = null;
+
+    for (const adapter of adapters) {
+        if (adapter.isAvailable && !(await adapter.isAvailable())) {
+            continue;
+        }
+
+        try {
+            const data = await adapter.fetch(symbol, options);
+
+            if (hasProviderData(data)) {
+                return data;
+            }
+
+            console.warn(`Provider ${adapter.name} returned no ${capability} data for ${symbol}`);
+        } catch (error) {
+            // A cancelled search should not fall back to the next provider
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+
+            console.warn(`Provider ${adapter.name} failed for ${capability}:`, error);
+            lastError = error;
+        }
+    }
+
+    if (lastError) {
+        throw lastError;
+    }
+
+    return null;
+}
+
+// Export provider registry
+window.Providers = {
+    CAPABILITIES,
+    registerProvider,
+    unregisterProvider,
+    getProviders,
+    fetchFromProviders
+};
@@ -0,0 +1,374 @@
+// ===== SEARCH SUGGESTIONS =====
+
+const RECENT_SEARCHES_STORAGE_KEY = 'nocharts-recent-searches';
+
+// Autocomplete handles by input, so attaching twice reuses the first list
+const autocompleteHandles = new WeakMap();
+
+/**
+ * Read the tickers researched in this browser, most recent first
+ * @returns {Array} - [{ symbol, name }]
+ */
+function getRecentSearches() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RECENT_SEARCHES_STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Remember a researched ticker (moves it to the front if it is already listed)
+ * @param {string} symbol - Stock symbol
+ * @param {string} name - Company name
+ */
+function addRecentSearch(symbol, name = '') {
+    const formattedSymbol = Utils.formatTicker(symbol);
+    if (!formattedSymbol) return;
+
+    const recent = getRecentSearches().filter(entry => entry.symbol !== formattedSymbol);
+    recent.unshift({ symbol: formattedSymbol, name: name && name !== formattedSymbol ? name : '' });
+
+    localStorage.setItem(RECENT_SEARCHES_STORAGE_KEY, JSON.stringify(recent.slice(0, CONFIG.RECENT_SEARCH_LIMIT)));
+}
+
+/**
+ * Check whether a suggestion matches what the user typed
+ * @param {Object} entry - { symbol, name }
+ * @param {string} query - Typed text
+ * @returns {boolean} - True if the symbol starts with, or the name contains, the query
+ */
+function matchesQuery(entry, query) {
+    const term = query.toLowerCase();
+    return entry.symbol.toLowerCase().startsWith(term) || (entry.name || '').toLowerCase().includes(term);
+}
+
+/**
+ * Look up symbols matching a query with the registered search providers
+ * @param {string} query - Ticker or company name
+ * @returns {Promise<Array|null>} - Matches, or null when the lookup is unavailable or failed
+ */
+async function lookupSymbols(query) {
+    try {
+        return await Providers.fetchFromProviders('search', query);
+    } catch (error) {
+        console.warn('Symbol search failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Get suggestions for a query: matching recent searches first, then provider results
+ * @param {string} query - Typed text (empty returns recent searches only)
+ * @returns {Promise<Array>} - [{ symbol, name, type, exchange, recent }]
+ */
+async function getSuggestions(query) {
+    const term = query.trim();
+    const recent = getRecentSearches()
+        .filter(entry => !term || matchesQuery(entry, term))
+        .map(entry => ({ ...entry, recent: true }));
+
+    if (term.length < CONFIG.SEARCH_MIN_CHARS) {
+        return recent;
+    }
+
+    const results = await lookupSymbols(term) || [];
+
+    const seen = new Set(recent.map(entry => entry.symbol));
+    const matches = results.filter(result => {
+        if (!result.symbol || seen.has(result.symbol)) return false;
+        seen.add(result.symbol);
+        return true;
+    });
+
+    return [...recent, ...matches].slice(0, CONFIG.SEARCH_SUGGESTION_LIMIT);
+}
+
+/**
+ * Find symbols that look like a mistyped version of a ticker (APPL -> AAPL)
+ * @param {string} symbol - Typed ticker
+ * @param {Array} candidates - [{ symbol, name }]
+ * @returns {Array} - Candidates within one edit (two for longer tickers), closest first
+ */
+function findNearMisses(symbol, candidates) {
+    const maxDistance = symbol.length > 3 ? 2 : 1;
+
+    return candidates
+        .map(candidate => ({ ...candidate, distance: Utils.editDistance(symbol, candidate.symbol) }))
+        .filter(candidate => candidate.distance > 0 && candidate.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Resolve what the user typed to a symbol using the provider's symbol lookup
+ * A ticker resolves when the lookup lists it (or a company whose name starts with
+ * the typed word, e.g. "apple"); other text resolves to the top company match.
+ * @param {string} query - Ticker or company name
+ * @returns {Promise<Object>} - { match: { symbol, name } | null, suggestions: [{ symbol, name }] }
+ */
+async function resolveSymbol(query) {
+    const term = query.trim();
+    const formattedSymbol = Utils.formatTicker(term);
+    const isTicker = Utils.isValidTicker(term);
+
+    const results = await lookupSymbols(term);
+
+    // Without a lookup there is nothing to check against, so let tickers through
+    if (results === null) {
+        return { match: isTicker ? { symbol: formattedSymbol, name: '' } : null, suggestions: [] };
+    }
+
+    const exact = results.find(result => Utils.formatTicker(result.symbol) === formattedSymbol);
+    if (exact) {
+        return { match: exact, suggestions: [] };
+    }
+
+    const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const nameMatch = results.find(result => new RegExp(`^${escapedTerm}\\b`, 'i').test(result.name || ''));
+    if (nameMatch || (!isTicker && results.length > 0)) {
+        return { match: nameMatch || results[0], suggestions: [] };
+    }
+
+    // Did you mean: close tickers the user has researched or that are popular, then lookup results
+    const known = [
+        ...getRecentSearches(),
+        ...CONFIG.POPULAR_TICKERS.map(symbol => ({ symbol, name: '' }))
+    ];
+    const seen = new Set();
+    const suggestions = [...findNearMisses(formattedSymbol, known), ...results]
+        .filter(suggestion => {
+            if (seen.has(suggestion.symbol)) return false;
+            seen.add(suggestion.symbol);
+            return true;
+        })
+        .slice(0, 3)
+        .map(({ symbol, name }) => ({ symbol, name: name || results.find(result => result.symbol === symbol)?.name || '' }));
+
+    return { match: null, suggestions };
+}
+
+/**
+ * Show an inline message under a search box for text that didn't resolve
+ * @param {HTMLElement} container - Search box container (the autocomplete host)
+ * @param {string} query - What the user typed
+ * @param {Array} suggestions - Did-you-mean suggestions ({ symbol, name })
+ * @param {Function} onPick - Called with the suggestion the user clicks
+ */
+function showSearchMessage(container, query, suggestions, onPick) {
+    let message = container.querySelector('.search-message');
+    if (!message) {
+        message = document.createElement('div');
+        message.className = 'search-message';
+        message.setAttribute('role', 'status');
+        container.appendChild(message);
+    }
+
+    message.innerHTML = '<span class="search-message-text"></span>';
+    message.querySelector('.search-message-text').textContent = suggestions.length > 0
+        ? `No match for "${query}". Did you mean:`
+        : `No company or ticker found for "${query}".`;
+
+    suggestions.forEach(suggestion => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'search-message-suggestion';
+        button.textContent = suggestion.symbol;
+        if (suggestion.name) button.title = suggestion.name;
+        button.addEventListener('click', () => {
+            clearSearchMessage(container);
+            onPick(suggestion);
+        });
+        message.appendChild(button);
+    });
+
+    message.classList.remove('hidden');
+}
+
+/**
+ * Hide the inline search message
+ * @param {HTMLElement} container - Search box container
+ */
+function clearSearchMessage(container) {
+    const message = container.querySelector('.search-message');
+    if (message) {
+        message.classList.add('hidden');
+    }
+}
+
+/**
+ * Build one suggestion row
+ * @param {Object} suggestion - { symbol, name, type, exchange, recent }
+ * @param {string} id - Element ID (for aria-activedescendant)
+ * @returns {HTMLElement} - List item
+ */
+function createSuggestionItem(suggestion, id) {
+    const item = document.createElement('li');
+    item.className = 'autocomplete-item';
+    item.id = id;
+    item.setAttribute('role', 'option');
+    item.innerHTML = `
+        <span class="autocomplete-symbol"></span>
+        <span class="autocomplete-name"></span>
+        <span class="autocomplete-meta"></span>
+    `;
+
+    const meta = suggestion.recent
+        ? 'Recent'
+        : [suggestion.exchange, suggestion.type].filter(Boolean).join(' · ');
+
+    item.querySelector('.autocomplete-symbol').textContent = suggestion.symbol;
+    item.querySelector('.autocomplete-name').textContent = suggestion.name || '';
+    item.querySelector('.autocomplete-meta').textContent = meta;
+    item.classList.toggle('recent', Boolean(suggestion.recent));
+
+    return item;
+}
+
+/**
+ * Add type-ahead suggestions to a search input
+ * @param {HTMLInputElement} input - Search input
+ * @param {Object} options - Autocomplete options
+ * @param {Function} options.onSelect - Called with the chosen suggestion ({ symbol, name, ... })
+ * @param {HTMLElement} options.container - Element the list is positioned under (default: the input's parent)
+ * @returns {Object} - { close } to hide the list from outside (the same handle if already attached)
+ */
+function attachAutocomplete(input, { onSelect, container = input.parentElement } = {}) {
+    if (autocompleteHandles.has(input)) {
+        return autocompleteHandles.get(input);
+    }
+
+    const listId = `${input.id}-suggestions`;
+    const list = document.createElement('ul');
+    list.className = 'autocomplete-list hidden';
+    list.id = listId;
+    list.setAttribute('role', 'listbox');
+
+    container.classList.add('autocomplete-host');
+    container.appendChild(list);
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', listId);
+    input.setAttribute('aria-expanded', 'false');
+
+    let suggestions = [];
+    let activeIndex = -1;
+    let requestId = 0;
+
+    const setActive = (index) => {
+        activeIndex = index;
+        list.querySelectorAll('.autocomplete-item').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', String(i === index));
+        });
+
+        if (index >= 0) {
+            input.setAttribute('aria-activedescendant', `${listId}-${index}`);
+            list.children[index].scrollIntoView({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    };
+
+    const close = () => {
+        requestId++;
+        suggestions = [];
+        activeIndex = -1;
+        list.classList.add('hidden');
+        list.innerHTML = '';
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    };
+
+    const select = (suggestion) => {
+        close();
+        input.value = suggestion.symbol;
+        if (onSelect) onSelect(suggestion);
+    };
+
+    const render = () => {
+        list.innerHTML = '';
+        activeIndex = -1;
+
+        if (suggestions.length === 0) {
+            close();
+            return;
+        }
+
+        suggestions.forEach((suggestion, index) => {
+            const item = createSuggestionItem(suggestion, `${listId}-${index}`);
+            // mousedown fires before the input's blur, which would close the list
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                select(suggestion);
+            });
+            item.addEventListener('mousemove', () => {
+                if (activeIndex !== index) setActive(index);
+            });
+            list.appendChild(item);
+        });
+
+        list.classList.remove('hidden');
+        input.setAttribute('aria-expanded', 'true');
+    };
+
+    const update = async () => {
+        const currentRequest = ++requestId;
+        const results = await getSuggestions(input.value);
+
+        // Ignore answers to text the user has since changed
+        if (currentRequest !== requestId || document.activeElement !== input) return;
+
+        suggestions = results;
+        render();
+    };
+
+    input.addEventListener('input', () => clearSearchMessage(container));
+    input.addEventListener('input', Utils.debounce(update, CONFIG.SEARCH_DEBOUNCE));
+    input.addEventListener('focus', () => {
+        if (!input.value.trim()) update();
+    });
+    input.addEventListener('blur', close);
+
+    input.addEventListener('keydown', (e) => {
+        const isOpen = suggestions.length > 0;
+
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            if (isOpen) {
+                setActive((activeIndex + 1) % suggestions.length);
+            } else {
+                update();
+            }
+        } else if (e.key === 'ArrowUp' && isOpen) {
+            e.preventDefault();
+            setActive(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+        } else if (e.key === 'Enter' && isOpen && activeIndex >= 0) {
+            // Keep the page's own Enter handling from also searching the typed text
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            select(suggestions[activeIndex]);
+        } else if (e.key === 'Enter') {
+            close();
+        } else if (e.key === 'Escape' && isOpen) {
+            e.preventDefault();
+            close();
+        }
+    });
+
+    const handle = { close };
+    autocompleteHandles.set(input, handle);
+    return handle;
+}
+
+// Export search functions
+window.Search = {
+    getSuggestions,
+    resolveSymbol,
+    showMessage: showSearchMessage,
+    clearMessage: clearSearchMessage,
+    getRecentSearches,
+    addRecentSearch,
+    attachAutocomplete
+};
@@ -0,0 +1,372 @@
+// ===== API KEY SETTINGS =====
+
+const API_KEY_STORAGE_KEY = 'nocharts-api-keys';
+
+// Providers whose keys users can enter, with the CONFIG fallback for self-hosted builds
+const API_KEY_PROVIDERS = {
+    finnhub: {
+        label: 'Finnhub',
+        configKey: 'FINNHUB_API_KEY',
+        placeholder: 'your_finnhub_key_here',
+        signupUrl: 'https://finnhub.io/register',
+        usedFor: 'Company profile, quote, metrics and earnings'
+    },
+    marketaux: {
+        label: 'Marketaux',
+        configKey: 'MARKETAUX_API_KEY',
+        placeholder: 'your_marketaux_key_here',
+        signupUrl: 'https://www.marketaux.com/register',
+        usedFor: 'News headlines and sentiment'
+    },
+    reddit: {
+        label: 'Reddit',
+        keyLabel: 'client ID',
+        configKey: 'REDDIT_CLIENT_ID',
+        placeholder: 'your_reddit_client_id_here',
+        signupUrl: 'https://www.reddit.com/prefs/apps',
+        signupText: 'Create an "installed app"',
+        usedFor: 'Optional social posts from Reddit'
+    }
+};
+
+const SUBREDDITS_STORAGE_KEY = 'nocharts-reddit-subreddits';
+
+/**
+ * Read keys saved in this browser
+ * @returns {Object} - Keys by provider name
+ */
+function getStoredApiKeys() {
+    try {
+        return JSON.parse(localStorage.getItem(API_KEY_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Get the key to use for a provider (saved key first, then CONFIG)
+ * @param {string} provider - Provider name (see API_KEY_PROVIDERS)
+ * @returns {string|null} - API key or null if none is set
+ */
+function getApiKey(provider) {
+    const info = API_KEY_PROVIDERS[provider];
+    if (!info) return null;
+
+    const key = getStoredApiKeys()[provider] || CONFIG[info.configKey];
+    if (!key || key === info.placeholder) return null;
+
+    return key;
+}
+
+/**
+ * Check whether a provider has a key
+ * @param {string} provider - Provider name
+ * @returns {boolean} - True if a key is set
+ */
+function hasApiKey(provider) {
+    return getApiKey(provider) !== null;
+}
+
+/**
+ * Save keys in this browser (empty values remove the saved key)
+ * @param {Object} keys - Keys by provider name
+ */
+function saveApiKeys(keys) {
+    const stored = getStoredApiKeys();
+
+    Object.keys(API_KEY_PROVIDERS).forEach(provider => {
+        if (keys[provider] === undefined) return;
+
+        const key = String(keys[provider]).trim();
+        if (key) {
+            stored[provider] = key;
+        } else {
+            delete stored[provider];
+        }
+    });
+
+    localStorage.setItem(API_KEY_STORAGE_KEY, JSON.stringify(stored));
+}
+
+/**
+ * Remove every key saved in this browser
+ */
+function clearApiKeys() {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+}
+
+/**
+ * Parse a list of subreddits typed by the user
+ * @param {string} value - Names separated by commas, spaces or "+" (an "r/" prefix is allowed)
+ * @returns {Array} - Valid subreddit names
+ */
+function parseSubreddits(value) {
+    return String(value || '')
+        .split(/[\s,+]+/)
+        .map(name => name.replace(/^\/?r\//i, ''))
+        .filter(name => /^[A-Za-z0-9_]{2,21}$/.test(name));
+}
+
+/**
+ * Get the subreddits to search for social posts
+ * @returns {Array} - Subreddit names (saved list first, then CONFIG)
+ */
+function getSubreddits() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SUBREDDITS_STORAGE_KEY));
+        if (Array.isArray(stored) && stored.length > 0) return stored;
+    } catch (error) {
+        // Fall through to the default list
+    }
+    return [...CONFIG.REDDIT_SUBREDDITS];
+}
+
+/**
+ * Save the subreddits to search (an empty list restores the default)
+ * @param {string} value - Names as typed in the settings panel
+ */
+function saveSubreddits(value) {
+    const subreddits = parseSubreddits(value);
+
+    if (subreddits.length > 0) {
+        localStorage.setItem(SUBREDDITS_STORAGE_KEY, JSON.stringify(subreddits));
+    } else {
+        localStorage.removeItem(SUBREDDITS_STORAGE_KEY);
+    }
+}
+
+// Providers the local proxy holds keys for (set by API.detectProxy)
+let proxyProviders = {};
+
+/**
+ * Record which providers the local proxy can serve
+ * @param {Object} providers - Provider flags from the proxy health check
+ */
+function setProxyProviders(providers) {
+    proxyProviders = providers || {};
+}
+
+/**
+ * Check whether the app is running on sample data
+ * Demo mode is on when MOCK_MODE is set or there is no Finnhub key (here or on the proxy).
+ * @returns {boolean} - True in demo mode
+ */
+function isDemoMode() {
+    return CONFIG.MOCK_MODE || (!hasApiKey('finnhub') && !proxyProviders.finnhub);
+}
+
+/**
+ * Check whether a provider's live data can be requested (a key here or on the proxy)
+ * @param {string} provider - Provider name
+ * @returns {boolean} - True if the provider is reachable outside MOCK_MODE
+ */
+function hasLiveSource(provider) {
+    return !CONFIG.MOCK_MODE && (hasApiKey(provider) || Boolean(proxyProviders[provider]));
+}
+
+/**
+ * Describe a validation result in one line
+ * @param {Object} result - Result from API.validateApiKeys for one provider
+ * @returns {string} - Status text
+ */
+function describeKeyStatus(result) {
+    if (!result.quota) return result.message;
+
+    const { remaining, limit } = result.quota;
+    return limit
+        ? `${result.message} · ${remaining} of ${limit} requests left`
+        : `${result.message} · ${remaining} requests left`;
+}
+
+/**
+ * Build the settings panel (once) and add it to the page
+ * @returns {HTMLElement} - Panel overlay element
+ */
+function createSettingsPanel() {
+    const existing = document.getElementById('settingsModal');
+    if (existing) return existing;
+
+    const fields = Object.entries(API_KEY_PROVIDERS).map(([provider, info]) => `
+        <div class="form-group">
+            <label class="form-label" for="apiKey-${provider}">${info.label} ${info.keyLabel || 'API key'}</label>
+            <input type="password" class="form-input settings-input" id="apiKey-${provider}" data-provider="${provider}" autocomplete="off" spellcheck="false">
+            <p class="settings-help">
+                ${info.usedFor}. <a href="${info.signupUrl}" target="_blank" rel="noopener noreferrer">${info.signupText || 'Get a free key'}</a>
+            </p>
+            <p class="settings-status" id="apiKeyStatus-${provider}"></p>
+        </div>
+    `).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'settings-modal';
+    modal.id = 'settingsModal';
+    modal.innerHTML = `
+        <div class="settings-content" role="dialog" aria-modal="true" aria-labelledby="settingsTitle">
+            <h3 class="settings-title" id="settingsTitle">API Keys</h3>
+            <p class="settings-intro">
+                Keys are stored in this browser only and sent directly to each provider.
+                Without a Finnhub key NoCharts runs in demo mode with sample data.
+            </p>
+            <form class="settings-form" id="settingsForm">
+                ${fields}
+                <div class="form-group">
+                    <label class="form-label" for="redditSubreddits">Subreddits</label>
+                    <input type="text" class="form-input" id="redditSubreddits" placeholder="${CONFIG.REDDIT_SUBREDDITS.join(', ')}" autocomplete="off" spellcheck="false">
+                    <p class="settings-help">Where to look for social posts, separated by commas. Leave empty for the default list.</p>
+                </div>
+                <div class="settings-actions">
+                    <button type="button" class="btn btn-secondary" id="settingsTest">Test keys</button>
+                    <button type="button" class="btn btn-secondary" id="settingsClear">Clear</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+            <button class="settings-close" id="settingsClose" aria-label="Close settings">✕</button>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeSettingsPanel();
+    });
+    document.getElementById('settingsClose').addEventListener('click', closeSettingsPanel);
+    document.getElementById('settingsTest').addEventListener('click', testEnteredKeys);
+    document.getElementById('settingsClear').addEventListener('click', () => {
+        clearApiKeys();
+        saveSubreddits('');
+        window.location.reload();
+    });
+    document.getElementById('settingsForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveApiKeys(readEnteredKeys());
+        saveSubreddits(document.getElementById('redditSubreddits').value);
+        window.location.reload();
+    });
+
+    return modal;
+}
+
+/**
+ * Read the keys typed into the panel
+ * @returns {Object} - Keys by provider name
+ */
+function readEnteredKeys() {
+    const keys = {};
+    document.querySelectorAll('#settingsForm .settings-input').forEach(input => {
+        keys[input.dataset.provider] = input.value.trim();
+    });
+    return keys;
+}
+
+/**
+ * Ping each provider with the keys typed into the panel and show the results
+ */
+async function testEnteredKeys() {
+    const testButton = document.getElementById('settingsTest');
+    const keys = readEnteredKeys();
+
+    Object.keys(API_KEY_PROVIDERS).forEach(provider => {
+        const status = document.getElementById(`apiKeyStatus-${provider}`);
+        status.className = 'settings-status';
+        status.textContent = keys[provider] ? 'Checking…' : '';
+    });
+    testButton.disabled = true;
+
+    try {
+        const results = await API.validateApiKeys(keys);
+
+        Object.keys(API_KEY_PROVIDERS).forEach(provider => {
+            const result = results[provider];
+            const status = document.getElementById(`apiKeyStatus-${provider}`);
+
+            status.textContent = describeKeyStatus(result);
+            status.classList.toggle('valid', result.valid === true);
+            status.classList.toggle('invalid', result.configured && result.valid === false);
+        });
+    } finally {
+        testButton.disabled = false;
+    }
+}
+
+/**
+ * Open the settings panel with the current keys filled in
+ */
+function openSettingsPanel() {
+    const modal = createSettingsPanel();
+    const stored = getStoredApiKeys();
+
+    Object.keys(API_KEY_PROVIDERS).forEach(provider => {
+        document.getElementById(`apiKey-${provider}`).value = stored[provider] || '';
+        document.getElementById(`apiKeyStatus-${provider}`).textContent = '';
+    });
+    document.getElementById('redditSubreddits').value = localStorage.getItem(SUBREDDITS_STORAGE_KEY) ? getSubreddits().join(', ') : '';
+
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+
+    const firstInput = modal.querySelector('.settings-input');
+    if (firstInput) firstInput.focus();
+}
+
+/**
+ * Close the settings panel
+ */
+function closeSettingsPanel() {
+    const modal = document.getElementById('settingsModal');
+    if (modal) {
+        modal.classList.remove('active');
+        document.body.style.overflow = '';
+    }
+}
+
+/**
+ * Show the demo mode label when running on sample data
+ */
+function showDemoModeLabel() {
+    if (!isDemoMode() || document.getElementById('demoModeLabel')) return;
+
+    const label = document.createElement('button');
+    label.className = 'demo-mode-label';
+    label.id = 'demoModeLabel';
+    label.type = 'button';
+    label.textContent = CONFIG.MOCK_MODE ? '🔧 Demo mode · mock data' : '🔧 Demo mode · add API keys';
+    label.title = 'Showing sample data. Click to enter your own API keys.';
+    label.addEventListener('click', openSettingsPanel);
+    document.body.appendChild(label);
+}
+
+/**
+ * Wire up the settings button and demo mode label
+ */
+function initializeSettings() {
+    const settingsToggle = document.getElementById('settingsToggle');
+    if (settingsToggle) {
+        settingsToggle.addEventListener('click', openSettingsPanel);
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeSettingsPanel();
+    });
+
+    // Wait for the proxy check, which can supply keys
+    const proxyReady = typeof API !== 'undefined' ? API.detectProxy() : Promise.resolve();
+    proxyReady.then(showDemoModeLabel);
+}
+
+document.addEventListener('DOMContentLoaded', initializeSettings);
+
+// Export settings functions
+window.Settings = {
+    PROVIDERS: API_KEY_PROVIDERS,
+    getApiKey,
+    hasApiKey,
+    saveApiKeys,
+    clearApiKeys,
+    isDemoMode,
+    hasLiveSource,
+    getSubreddits,
+    saveSubreddits,
+    setProxyProviders,
+    openPanel: openSettingsPanel,
+    closePanel: closeSettingsPanel
+};
@@ -0,0 +1,196 @@
+// ===== PERSISTENT CACHE STORAGE =====
+
+const CACHE_DB_NAME = 'nocharts-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE_NAME = 'entries';
+const LOCAL_STORAGE_PREFIX = 'nocharts-cache:';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise} - Promise with the request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDB backend (preferred)
+ */
+const indexedDbBackend = {
+    name: 'indexeddb',
+    db: null,
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    async open() {
+        const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CACHE_STORE_NAME)) {
+                db.createObjectStore(CACHE_STORE_NAME, { keyPath: 'key' });
+            }
+        };
+        this.db = await promisifyRequest(request);
+    },
+
+    store(mode) {
+        return this.db.transaction(CACHE_STORE_NAME, mode).objectStore(CACHE_STORE_NAME);
+    },
+
+    async loadAll() {
+        return await promisifyRequest(this.store('readonly').getAll());
+    },
+
+    async put(entry) {
+        await promisifyRequest(this.store('readwrite').put(entry));
+    },
+
+    async remove(key) {
+        await promisifyRequest(this.store('readwrite').delete(key));
+    },
+
+    async clear() {
+        await promisifyRequest(this.store('readwrite').clear());
+    }
+};
+
+/**
+ * localStorage backend (fallback when IndexedDB is unavailable, e.g. some private modes)
+ */
+const localStorageBackend = {
+    name: 'localstorage',
+
+    isSupported() {
+        try {
+            const testKey = `${LOCAL_STORAGE_PREFIX}__test__`;
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    async open() {},
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(LOCAL_STORAGE_PREFIX)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    },
+
+    async loadAll() {
+        const entries = [];
+        this.keys().forEach(storageKey => {
+            try {
+                entries.push(JSON.parse(localStorage.getItem(storageKey)));
+            } catch (error) {
+                // Drop entries we can't parse
+                localStorage.removeItem(storageKey);
+            }
+        });
+        return entries;
+    },
+
+    async put(entry) {
+        localStorage.setItem(LOCAL_STORAGE_PREFIX + entry.key, JSON.stringify(entry));
+    },
+
+    async remove(key) {
+        localStorage.removeItem(LOCAL_STORAGE_PREFIX + key);
+    },
+
+    async clear() {
+        this.keys().forEach(storageKey => localStorage.removeItem(storageKey));
+    }
+};
+
+// Backend chosen by initPersistentCache (null = memory only)
+let activeBackend = null;
+
+/**
+ * Open the best available backend and load every stored entry
+ * @returns {Promise<Array>} - Stored cache entries
+ */
+async function initPersistentCache() {
+    for (const backend of [indexedDbBackend, localStorageBackend]) {
+        if (!backend.isSupported()) continue;
+
+        try {
+            await backend.open();
+            const entries = await backend.loadAll();
+            activeBackend = backend;
+            console.log(`💾 Persistent cache ready (${backend.name}, ${entries.length} entries)`);
+            return entries;
+        } catch (error) {
+            console.warn(`Persistent cache backend ${backend.name} unavailable:`, error);
+        }
+    }
+
+    console.warn('No persistent cache backend available, using memory only');
+    return [];
+}
+
+/**
+ * Run a backend operation without letting storage failures reach callers
+ * @param {string} operation - Backend method name
+ * @param {any} arg - Method argument
+ */
+function runBackendOperation(operation, arg) {
+    if (!activeBackend) return;
+
+    activeBackend[operation](arg).catch(error => {
+        console.warn(`Persistent cache ${operation} failed:`, error);
+    });
+}
+
+/**
+ * Store a cache entry
+ * @param {Object} entry - Cache entry ({ key, data, timestamp, ttl, size, lastAccessed })
+ */
+function putPersistentEntry(entry) {
+    runBackendOperation('put', entry);
+}
+
+/**
+ * Remove a cache entry
+ * @param {string} key - Cache key
+ */
+function removePersistentEntry(key) {
+    runBackendOperation('remove', key);
+}
+
+/**
+ * Remove every cache entry
+ */
+function clearPersistentEntries() {
+    runBackendOperation('clear');
+}
+
+/**
+ * Get the name of the active backend
+ * @returns {string} - 'indexeddb', 'localstorage' or 'memory'
+ */
+function getPersistentBackendName() {
+    return activeBackend ? activeBackend.name : 'memory';
+}
+
+// Export persistent cache storage
+window.CacheStore = {
+    init: initPersistentCache,
+    put: putPersistentEntry,
+    remove: removePersistentEntry,
+    clear: clearPersistentEntries,
+    getBackendName: getPersistentBackendName
+};
@@ -4,6 +4,13 @@ class TickerPage {
     constructor() {
         this.stockData = null;
         this.timeline = null;
+        this.loadingSessionId = null;
+        this.sessionId = null;
+        this.refreshState = null;
+        this.earlierNewsItems = [];
+        this.peers = null;
+        this.peerNewsState = 'idle';
+        this.metricContext = {};
         this.currentTheme = this.getStoredTheme();
         this.init();
     }
@@ -39,6 +46,11 @@ class TickerPage {
         // Header search input
         const headerSearch = document.getElementById('headerSearch');
         if (headerSearch) {
+            // Type-ahead suggestions (added first so Enter on a highlighted suggestion wins)
+            Search.attachAutocomplete(headerSearch, {
+                onSelect: (suggestion) => this.navigateToTicker(suggestion.symbol)
+            });
+
             headerSearch.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') {
                     this.handleHeaderSearch();
@@ -54,35 +66,58 @@ class TickerPage {
             });
         }
 
+        // Manage this ticker's RSS/Atom feeds; reload so added or removed feeds show up
+        const manageFeeds = document.getElementById('manageFeeds');
+        if (manageFeeds) {
+            manageFeeds.addEventListener('click', () => {
+                const ticker = new URLSearchParams(window.location.search).get('ticker');
+                if (ticker) {
+                    Feeds.openPanel(ticker, () => this.loadStockData({ silent: true }));
+                }
+            });
+        }
+
         // Setup metric popups
         this.setupMetricPopups();
 
+        // Re-render quietly when stale cached data is refreshed in the background
+        // (batched, since one page load can refresh a dozen entries)
+        const handleCacheRevalidated = Utils.debounce(() => {
+            this.rerenderFromCache();
+        }, 1000);
+        window.addEventListener('nocharts:cache-revalidated', handleCacheRevalidated);
+
         // Window events
         window.addEventListener('beforeunload', this.handleBeforeUnload.bind(this));
         window.addEventListener('online', this.handleOnline.bind(this));
         window.addEventListener('offline', this.handleOffline.bind(this));
     }
 
-    handleHeaderSearch() {
+    async handleHeaderSearch() {
         const headerSearch = document.getElementById('headerSearch');
         if (!headerSearch) return;
 
-        const symbol = headerSearch.value.trim().toUpperCase();
-        if (!symbol) return;
+        const query = headerSearch.value.trim();
+        if (!query) return;
 
-        // Valid symbols from mock data
-        const validSymbols = ['AAPL', 'TSLA', 'MSFT', 'GOOGL', 'AMZN', 'META', 'NVDA', 'NFLX', 'TSLA', 'AAPL'];
-        
-        if (validSymbols.includes(symbol)) {
-            // Navigate to ticker page
-            window.location.href = `ticker.html?ticker=${symbol}`;
+        const searchContainer = headerSearch.parentElement;
+        Search.clearMessage(searchContainer);
+
+        // Same resolution as the homepage: symbol lookup, then "did you mean" for near-misses
+        const { match, suggestions } = await Search.resolveSymbol(query);
+        if (match) {
+            this.navigateToTicker(match.symbol);
         } else {
-            // Show "n/a" message
-            alert('n/a');
-            headerSearch.value = '';
+            Search.showMessage(searchContainer, query, suggestions, (suggestion) => {
+                this.navigateToTicker(suggestion.symbol);
+            });
         }
     }
 
+    navigateToTicker(symbol) {
+        window.location.href = `ticker.html?ticker=${encodeURIComponent(symbol)}`;
+    }
+
     // Mobile collapsible section toggle
     toggleSection(sectionId) {
         const content = document.getElementById(sectionId + '-content');
@@ -106,7 +141,7 @@ class TickerPage {
         }
     }
 
-    async loadStockData() {
+    async loadStockData({ silent = false } = {}) {
         const urlParams = new URLSearchParams(window.location.search);
         const ticker = urlParams.get('ticker');
 
@@ -115,8 +150,20 @@ class TickerPage {
             return;
         }
 
+        // A background refresh waits for a full load in progress, which reads the same cache
+        if (silent && this.loadingSessionId && API.isCurrentSession(this.loadingSessionId)) {
+            return;
+        }
+
+        // Cancel anything a previous load still has in flight
+        const sessionId = API.startRequestSession();
+        this.loadingSessionId = sessionId;
+        this.sessionId = sessionId;
+
         try {
-            this.showLoading();
+            if (!silent) {
+                this.showLoading();
+            }
             
             // Check if API is available
             if (typeof API === 'undefined') {
@@ -126,9 +173,20 @@ class TickerPage {
             // Get comprehensive stock data
             const stockData = await API.getComprehensiveStockData(ticker);
             
+            // A newer load has replaced this one; don't overwrite its data
+            if (!API.isCurrentSession(sessionId)) {
+                return;
+            }
+            
             // Process the data
             this.stockData = this.processStockData(stockData);
             
+            // Record today's consensus once per load (cache re-renders only read it)
+            this.saveEstimateSnapshots(this.stockData.symbol, this.getEstimateSnapshots(this.stockData.symbol, this.stockData.upcomingEarnings));
+            
+            // Remember it for the search suggestions
+            Search.addRecentSearch(this.stockData.symbol, this.stockData.display.name);
+            
             // Display the results
             this.displayStockData();
             
@@ -138,11 +196,65 @@ class TickerPage {
             // Update page metadata
             this.updatePageMetadata();
             
+            // Load peer companies without holding up the page
+            this.loadPeers(sessionId);
+            
         } catch (error) {
+            if (API.isAbortError(error) || !API.isCurrentSession(sessionId)) {
+                return;
+            }
+
             console.error('Failed to load stock data:', error);
-            this.handleError(error, ticker);
+            
+            // Keep showing the cached snapshot if a background refresh fails
+            if (!silent) {
+                this.handleError(error, ticker);
+            }
         } finally {
-            this.hideLoading();
+            if (API.isCurrentSession(sessionId)) {
+                this.loadingSessionId = null;
+                this.hideLoading();
+            }
+        }
+    }
+
+    // Re-render with refreshed cache entries, inside the session that loaded the page.
+    // A new session would cancel the other background refreshes and the peers load,
+    // which would then refresh again. Events during a re-render queue one more pass.
+    async rerenderFromCache() {
+        const sessionId = this.sessionId;
+        if (!this.stockData || !API.isCurrentSession(sessionId)) return;
+        
+        // A full load in progress reads the same cache
+        if (this.loadingSessionId) return;
+        
+        if (this.refreshState) {
+            this.refreshState.pending = true;
+            return;
+        }
+        
+        this.refreshState = { pending: false };
+        
+        try {
+            do {
+                this.refreshState.pending = false;
+                
+                const stockData = await API.getComprehensiveStockData(this.stockData.symbol);
+                if (!API.isCurrentSession(sessionId)) return;
+                
+                this.stockData = this.processStockData(stockData);
+                this.displayStockData();
+                this.initializeTimeline();
+                if (this.peers) {
+                    this.updatePeers();
+                }
+            } while (this.refreshState.pending);
+        } catch (error) {
+            if (!API.isAbortError(error)) {
+                console.warn('Failed to re-render refreshed data:', error);
+            }
+        } finally {
+            this.refreshState = null;
         }
     }
 
@@ -158,19 +270,68 @@ class TickerPage {
             overview: stockData.overview, // Use the already-processed overview from API
             quote: stockData.quote ? DataProcessor.processFinnhubQuote(stockData.quote) : null,
             basicFinancials: stockData.basicFinancials ? DataProcessor.processFinnhubBasicFinancials(stockData.basicFinancials) : null,
-            earnings: stockData.earnings ? DataProcessor.processFinnhubEarnings(stockData.earnings) : null,
+            earnings: DataProcessor.processFinnhubEarnings(stockData.earnings),
+            upcomingEarnings: DataProcessor.processEarningsCalendar(stockData.upcomingEarnings),
+            estimates: stockData.estimates || [],
             news: stockData.news ? DataProcessor.processNewsArticles(stockData.news) : [],
+            facts: DataProcessor.processCompanyFacts(stockData.facts),
+            filings: stockData.filings ? DataProcessor.processEdgarFilings(stockData.filings) : [],
+            insiders: DataProcessor.processInsiderTransactions(stockData.insiders),
+            recommendationTrends: DataProcessor.processRecommendationTrends(stockData.analysts?.trends),
+            ratingChanges: DataProcessor.processRatingChanges(stockData.analysts?.ratingChanges),
+            splits: DataProcessor.processSplits(stockData.dividends?.splits),
+            social: DataProcessor.processSocialPosts(stockData.social),
             lastUpdated: stockData.lastUpdated
         };
 
         // Add formatted display data
         processed.display = DataProcessor.formatStockDataForDisplay(processed);
         
-        // Add news summary
-        processed.newsSummary = DataProcessor.getNewsSummary(processed.news);
+        // Add earnings metrics (forward P/E, EPS growth, estimate revisions, beat rate)
+        processed.earningsMetrics = DataProcessor.computeEarningsMetrics({
+            history: processed.earnings,
+            estimates: processed.estimates,
+            revision: DataProcessor.computeEstimateRevision(this.getEstimateSnapshots(processed.symbol, processed.upcomingEarnings)),
+            price: processed.quote ? processed.quote.price : null,
+            currency: processed.display.currency
+        });
+        
+        // Add plain-language trends from the quarterly and annual metric series
+        processed.fundamentalTrends = DataProcessor.describeFundamentalTrends(processed.basicFinancials?.series, processed.display.currency);
+        
+        // Add reported financial statements and the latest 10-K's revenue breakdown
+        processed.financials = DataProcessor.processFinancialStatements(stockData.financials?.statements);
+        processed.revenueMix = DataProcessor.processRevenueMix(stockData.financials?.segments, processed.financials);
+        processed.financialsFiling = stockData.financials?.segments || null;
+        
+        // Add news summary (the demo-mode placeholder links nowhere and isn't counted)
+        processed.newsSummary = DataProcessor.getNewsSummary(processed.news.filter(article => Utils.getSafeUrl(article.url)));
+        
+        // Add dividend history and a narrative (only when the source answered, so "doesn't pay" is a fact)
+        const dividendHistory = DataProcessor.processDividendHistory(stockData.dividends?.dividends);
+        processed.dividendSummary = dividendHistory.summary;
+        processed.dividendNarrative = stockData.dividends
+            ? DataProcessor.describeDividends(dividendHistory.summary, processed.basicFinancials, processed.splits)
+            : null;
         
-        // Add timeline
-        processed.timeline = DataProcessor.createTimeline(processed.news);
+        // Recent dividend events and splits go on the timeline
+        const timelineSince = new Date(Date.now() - CONFIG.DIVIDEND_TIMELINE_YEARS * 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const corporateActions = [
+            ...dividendHistory.events,
+            ...processed.splits.map(split => ({ ...split, kind: 'split' }))
+        ].filter(action => action.date >= timelineSince);
+        
+        processed.timeline = DataProcessor.createTimeline({
+            news: processed.news,
+            filings: processed.filings,
+            social: processed.social,
+            insiders: processed.insiders,
+            ratingChanges: processed.ratingChanges,
+            corporateActions
+        });
+        
+        // Add net insider buying and selling over 3, 6 and 12 months
+        processed.insiderSummary = stockData.insiders ? DataProcessor.summarizeInsiderActivity(processed.insiders) : null;
 
         return processed;
     }
@@ -187,6 +348,27 @@ class TickerPage {
         // Update company description
         this.updateCompanyDescription();
         
+        // Update company facts card
+        this.updateCompanyFacts();
+        
+        // Update fundamental trends card
+        this.updateFundamentalTrends();
+        
+        // Update reported financials section
+        this.updateFinancialStatements();
+        
+        // Update earnings history section
+        this.updateEarningsHistory();
+        
+        // Update insider activity card
+        this.updateInsiderActivity();
+        
+        // Update analyst ratings card
+        this.updateAnalystRatings();
+        
+        // Update dividends card
+        this.updateDividends();
+        
         // Show content
         this.showContent();
         
@@ -204,6 +386,12 @@ class TickerPage {
         if (symbolElement) symbolElement.textContent = display.symbol;
         if (companyElement) companyElement.textContent = display.name;
         
+        // Listing exchange and trading currency (e.g. "Toronto Stock Exchange · CAD")
+        const exchangeElement = document.getElementById('stockExchange');
+        if (exchangeElement) {
+            exchangeElement.textContent = [display.exchange, display.currency].filter(Boolean).join(' · ');
+        }
+        
         // Stock price and change
         const priceElement = document.getElementById('stockPrice');
         const changeElement = document.getElementById('stockChange');
@@ -217,6 +405,7 @@ class TickerPage {
 
     updateOverviewCards() {
         const { overview, basicFinancials, earnings, newsSummary } = this.stockData;
+        const { currencySymbol } = this.stockData.display;
         
         // Company info
         if (overview) {
@@ -229,11 +418,11 @@ class TickerPage {
                    const marketCapValue = parseFloat(overview.marketCap);
                    // Finnhub returns market cap in millions, so we need to convert properly
                    if (marketCapValue >= 1e6) {
-                       marketCap = `$${(marketCapValue / 1e6).toFixed(1)}T`;
+                       marketCap = `${currencySymbol}${(marketCapValue / 1e6).toFixed(1)}T`;
                    } else if (marketCapValue >= 1e3) {
-                       marketCap = `$${(marketCapValue / 1e3).toFixed(1)}B`;
+                       marketCap = `${currencySymbol}${(marketCapValue / 1e3).toFixed(1)}B`;
                    } else {
-                       marketCap = `$${marketCapValue.toFixed(1)}M`;
+                       marketCap = `${currencySymbol}${marketCapValue.toFixed(1)}M`;
                    }
                }
             this.updateElement('marketCap', marketCap);
@@ -248,7 +437,7 @@ class TickerPage {
                // Format 52-week range
                let weekRange = 'N/A';
                if (basicFinancials.weekHigh && basicFinancials.weekLow) {
-                   weekRange = `$${basicFinancials.weekLow.toFixed(2)} - $${basicFinancials.weekHigh.toFixed(2)}`;
+                   weekRange = `${currencySymbol}${basicFinancials.weekLow.toFixed(2)} - ${currencySymbol}${basicFinancials.weekHigh.toFixed(2)}`;
                }
                this.updateElement('weekHighLow', weekRange);
                
@@ -283,6 +472,24 @@ class TickerPage {
         
         // Update mobile earnings data
         this.updateMobileEarningsData();
+        
+        // Place the metrics among peers and in their own history
+        this.updateMetricContext();
+    }
+
+    updateMetricContext() {
+        this.metricContext = DataProcessor.computeMetricContext(this.stockData.basicFinancials, this.peers || []);
+        
+        // The desktop card and the mobile data section each have a context line per metric
+        Object.entries(this.metricContext).forEach(([key, context]) => {
+            [key, `mobile${key.charAt(0).toUpperCase()}${key.slice(1)}`].forEach(id => {
+                const element = document.getElementById(`${id}Context`);
+                if (!element) return;
+                
+                element.textContent = context ? context.text : '';
+                element.classList.toggle('hidden', !context);
+            });
+        });
     }
 
     updateCompanyDescription() {
@@ -334,6 +541,400 @@ class TickerPage {
         }
     }
     
+    updateCompanyFacts() {
+        const factsSection = document.getElementById('companyFacts');
+        const factsList = document.getElementById('factsList');
+        const factsSource = document.getElementById('factsSource');
+        if (!factsSection || !factsList) return;
+        
+        const { facts } = this.stockData;
+        factsSection.classList.toggle('hidden', !facts);
+        if (!facts) return;
+        
+        // Wikidata labels are user-editable, so rows are built as text
+        factsList.innerHTML = '';
+        facts.rows.forEach(row => {
+            const item = document.createElement('div');
+            item.className = 'fact-item';
+            
+            const label = document.createElement('dt');
+            label.className = 'label';
+            label.textContent = row.label;
+            
+            const value = document.createElement('dd');
+            value.className = 'value';
+            value.textContent = row.value;
+            
+            item.append(label, value);
+            factsList.appendChild(item);
+        });
+        
+        if (factsSource) {
+            factsSource.textContent = 'Source: ';
+            factsSource.appendChild(this.createSourceLink(facts.sourceUrl, 'Wikidata'));
+            
+            if (Utils.getSafeUrl(facts.wikipediaUrl)) {
+                factsSource.append(' · ', this.createSourceLink(facts.wikipediaUrl, 'Wikipedia'));
+            }
+        }
+    }
+    
+    createSourceLink(url, text) {
+        const link = document.createElement('a');
+        link.href = Utils.getSafeUrl(url) || '#';
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = text;
+        return link;
+    }
+    
+    updateFundamentalTrends() {
+        const trendsSection = document.getElementById('fundamentalTrends');
+        const trendsList = document.getElementById('fundamentalTrendsList');
+        if (!trendsSection || !trendsList) return;
+        
+        const { fundamentalTrends } = this.stockData;
+        trendsSection.classList.toggle('hidden', fundamentalTrends.length === 0);
+        
+        trendsList.innerHTML = '';
+        fundamentalTrends.forEach(sentence => {
+            const item = document.createElement('li');
+            item.className = 'trend-item';
+            item.textContent = sentence;
+            trendsList.appendChild(item);
+        });
+    }
+    
+    updateFinancialStatements() {
+        const financialsSection = document.getElementById('financialStatements');
+        const financialsContent = document.getElementById('financialsContent');
+        if (!financialsSection || !financialsContent) return;
+        
+        const { financials, revenueMix, financialsFiling } = this.stockData;
+        financialsSection.classList.toggle('hidden', !financials);
+        if (!financials) return;
+        
+        const { currency } = financials;
+        const years = financials.years.slice(0, CONFIG.FINANCIAL_STATEMENT_YEARS);
+        const formatValue = (value, line) => {
+            if (value === null) return '—';
+            return line.perShare ? Utils.formatCurrency(value, currency) : Utils.formatCompactCurrency(value, currency);
+        };
+        
+        const mixBlocks = revenueMix.map(mix => `
+            <div class="revenue-mix">
+                <h4 class="revenue-mix-title">${mix.label} · FY${mix.end.slice(0, 4)}</h4>
+                <p class="revenue-mix-summary"></p>
+                <ul class="revenue-mix-list">
+                    ${mix.members.map(member => `
+                        <li class="revenue-mix-item">
+                            <span class="mix-name"></span>
+                            <span class="mix-bar"><span class="mix-bar-fill" style="width: ${Math.min(member.share ?? 0, 100).toFixed(1)}%"></span></span>
+                            <span class="mix-share">${member.share !== null ? `${member.share.toFixed(1)}%` : ''}</span>
+                            <span class="mix-change ${member.change > 0 ? 'positive' : member.change < 0 ? 'negative' : ''}">${member.change !== null ? `${member.change > 0 ? '+' : ''}${member.change.toFixed(1)}%` : ''}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
+        
+        const statementTables = Object.entries(DataProcessor.FINANCIAL_STATEMENTS).map(([statement, { title, lines }]) => {
+            const rows = lines
+                .filter(line => years.some(year => year[statement][line.key] !== null))
+                .map(line => `
+                    <tr>
+                        <td>${line.label}</td>
+                        ${years.map(year => `<td>${formatValue(year[statement][line.key], line)}</td>`).join('')}
+                    </tr>
+                `).join('');
+            if (!rows) return '';
+            
+            return `
+                <div class="statement-scroll">
+                    <table class="statement-table">
+                        <caption>${title}</caption>
+                        <thead>
+                            <tr>
+                                <th></th>
+                                ${years.map(year => `<th title="Fiscal year ended ${year.end}">FY${year.fiscalYear}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+        }).join('');
+        
+        financialsContent.innerHTML = `
+            <p class="financials-summary"></p>
+            ${mixBlocks}
+            ${statementTables}
+            <div class="facts-source"></div>
+        `;
+        
+        financialsContent.querySelector('.financials-summary').textContent = DataProcessor.describeFinancials(financials);
+        financialsContent.querySelectorAll('.revenue-mix').forEach((block, index) => {
+            const mix = revenueMix[index];
+            block.querySelector('.revenue-mix-summary').textContent = DataProcessor.describeRevenueMix(mix, currency);
+            block.querySelectorAll('.mix-name').forEach((name, memberIndex) => {
+                name.textContent = mix.members[memberIndex].name;
+            });
+        });
+        
+        const source = financialsContent.querySelector('.facts-source');
+        source.textContent = 'Source: ';
+        const link = document.createElement('a');
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        if (financialsFiling && revenueMix.length > 0) {
+            link.href = DataProcessor.getEdgarFilingUrl(financialsFiling.cik, financialsFiling.accessionNumber, financialsFiling.primaryDocument);
+            link.textContent = `SEC EDGAR (10-K${financialsFiling.reportDate ? ` for the period ended ${new Date(`${financialsFiling.reportDate}T00:00:00`).toLocaleDateString()}` : ''})`;
+        } else {
+            link.href = `${CONFIG.SEC_BASE_URL}/api/xbrl/companyfacts/CIK${financials.cik}.json`;
+            link.textContent = 'SEC EDGAR XBRL company facts';
+        }
+        source.appendChild(link);
+    }
+    
+    updateEarningsHistory() {
+        const historySection = document.getElementById('earningsHistory');
+        if (!historySection) return;
+        
+        const hasHistory = this.stockData.earnings.length > 0;
+        historySection.classList.toggle('hidden', !hasHistory);
+        if (hasHistory) {
+            this.renderEarningsHistory(document.getElementById('earningsHistoryContent'));
+        }
+    }
+    
+    updateInsiderActivity() {
+        const activitySection = document.getElementById('insiderActivity');
+        const summaryContainer = document.getElementById('insiderSummary');
+        if (!activitySection || !summaryContainer) return;
+        
+        const { insiderSummary } = this.stockData;
+        activitySection.classList.toggle('hidden', !insiderSummary);
+        if (!insiderSummary) return;
+        
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        
+        summaryContainer.innerHTML = insiderSummary.map(period => {
+            const direction = period.netShares > 0 ? 'positive' : period.netShares < 0 ? 'negative' : 'neutral';
+            const hasTrades = period.buyers + period.sellers > 0;
+            const netValue = period.netValue !== 0
+                ? `${period.netValue > 0 ? '+' : '-'}${Utils.formatCompactCurrency(Math.abs(period.netValue))}`
+                : '$0';
+            const netShares = `${period.netShares > 0 ? '+' : ''}${Utils.formatNumber(Math.round(period.netShares))} shares`;
+            
+            return `
+                <div class="insider-period ${direction}">
+                    <div class="insider-period-label">${period.months} months</div>
+                    <div class="insider-period-value">${hasTrades ? netValue : 'No trades'}</div>
+                    <div class="insider-period-detail">${hasTrades ? `${netShares} · ${plural(period.buyers, 'buyer')}, ${plural(period.sellers, 'seller')}` : 'No open-market buys or sells'}</div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    updateAnalystRatings() {
+        const ratingsSection = document.getElementById('analystRatings');
+        const ratingsContent = document.getElementById('analystRatingsContent');
+        if (!ratingsSection || !ratingsContent) return;
+        
+        const { recommendationTrends } = this.stockData;
+        const narrative = DataProcessor.describeRecommendationTrends(recommendationTrends);
+        ratingsSection.classList.toggle('hidden', !narrative);
+        if (!narrative) return;
+        
+        const rows = recommendationTrends.map(month => `
+            <tr>
+                <td>${month.label}</td>
+                <td>${month.strongBuy}</td>
+                <td>${month.buy}</td>
+                <td>${month.hold}</td>
+                <td>${month.sell}</td>
+                <td>${month.strongSell}</td>
+                <td>${month.buyShare !== null ? `${Math.round(month.buyShare)}%` : 'N/A'}</td>
+            </tr>
+        `).join('');
+        
+        ratingsContent.innerHTML = `
+            <p class="ratings-summary"></p>
+            <table class="ratings-table">
+                <thead>
+                    <tr>
+                        <th>Month</th>
+                        <th>Strong Buy</th>
+                        <th>Buy</th>
+                        <th>Hold</th>
+                        <th>Sell</th>
+                        <th>Strong Sell</th>
+                        <th>% Buy</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        ratingsContent.querySelector('.ratings-summary').textContent = narrative;
+    }
+    
+    updateDividends() {
+        const dividendSection = document.getElementById('dividendHistory');
+        const dividendContent = document.getElementById('dividendContent');
+        if (!dividendSection || !dividendContent) return;
+        
+        const { dividendNarrative, dividendSummary, basicFinancials } = this.stockData;
+        dividendSection.classList.toggle('hidden', !dividendNarrative);
+        if (!dividendNarrative) return;
+        
+        const rows = [];
+        if (dividendSummary && !dividendSummary.suspended) {
+            const change = dividendSummary.lastChange;
+            rows.push(
+                { label: 'Annual Dividend', value: Utils.formatCurrency(dividendSummary.annualAmount, dividendSummary.currency) },
+                { label: 'Dividend Yield', value: basicFinancials?.dividendYield ? `${basicFinancials.dividendYield.toFixed(2)}%` : null },
+                { label: 'Payout Ratio', value: basicFinancials?.payoutRatio !== null && basicFinancials?.payoutRatio !== undefined ? `${basicFinancials.payoutRatio.toFixed(1)}%` : null },
+                { label: 'Consecutive Increases', value: `${dividendSummary.increaseYears} ${dividendSummary.increaseYears === 1 ? 'year' : 'years'}` },
+                { label: 'Last Change', value: change && change.percent !== undefined ? `${change.percent > 0 ? '+' : ''}${change.percent.toFixed(1)}% (${new Date(`${change.date}T00:00:00`).toLocaleDateString()})` : null }
+            );
+        }
+        
+        dividendContent.innerHTML = `
+            <p class="dividend-summary"></p>
+            <dl class="facts-list">
+                ${rows.filter(row => row.value).map(row => `
+                    <div class="fact-item">
+                        <dt class="label">${row.label}</dt>
+                        <dd class="value">${row.value}</dd>
+                    </div>
+                `).join('')}
+            </dl>
+        `;
+        dividendContent.querySelector('.dividend-summary').textContent = dividendNarrative;
+    }
+    
+    async loadPeers(sessionId) {
+        const peersSection = document.getElementById('peersPanel');
+        const peersContent = document.getElementById('peersContent');
+        if (!peersSection || !peersContent) return;
+        
+        // A background refresh keeps showing the peers it already has
+        if (!this.peers) {
+            peersContent.innerHTML = '<p class="peers-status">Loading peer companies...</p>';
+            peersSection.classList.remove('hidden');
+        }
+        
+        try {
+            const snapshots = await API.getPeerSnapshots(this.stockData.symbol);
+            
+            if (!API.isCurrentSession(sessionId)) {
+                return;
+            }
+            
+            // Keep news sentiment the user already loaded
+            const newsSummaries = new Map((this.peers || []).map(peer => [peer.symbol, peer.newsSummary]));
+            this.peers = snapshots.map(snapshot => {
+                const peer = DataProcessor.processPeerSnapshot(snapshot);
+                peer.newsSummary = peer.newsSummary ?? newsSummaries.get(peer.symbol) ?? null;
+                return peer;
+            });
+            this.updatePeers();
+            this.updateMetricContext();
+        } catch (error) {
+            if (API.isAbortError(error) || !API.isCurrentSession(sessionId)) {
+                return;
+            }
+            
+            console.warn('Failed to load peer companies:', error);
+            if (!this.peers) {
+                peersSection.classList.add('hidden');
+            }
+        }
+    }
+    
+    updatePeers() {
+        const peersSection = document.getElementById('peersPanel');
+        const peersContent = document.getElementById('peersContent');
+        if (!peersSection || !peersContent) return;
+        
+        // Peers past the panel limit are only loaded to rank the overview metrics against
+        const peers = (this.peers || []).slice(0, CONFIG.PEER_PANEL_LIMIT);
+        peersSection.classList.toggle('hidden', peers.length === 0);
+        if (peers.length === 0) return;
+        
+        const { symbol, overview, basicFinancials } = this.stockData;
+        const company = {
+            symbol,
+            marketCap: overview?.marketCap ?? basicFinancials?.marketCap ?? null,
+            peRatio: basicFinancials?.peRatio ?? null,
+            profitMargin: basicFinancials?.profitMargin ?? null,
+            revenueGrowth: basicFinancials?.revenueGrowth ?? null
+        };
+        
+        peersContent.innerHTML = '<ul class="peers-list"></ul>';
+        const list = peersContent.querySelector('.peers-list');
+        
+        peers.forEach(peer => {
+            const item = document.createElement('li');
+            item.className = 'peer-item';
+            item.innerHTML = `
+                <a class="peer-link">
+                    <span class="peer-symbol"></span>
+                    <span class="peer-name"></span>
+                </a>
+                <p class="peer-narrative"></p>
+            `;
+            
+            const link = item.querySelector('.peer-link');
+            link.href = `ticker.html?ticker=${encodeURIComponent(peer.symbol)}`;
+            if (peer.industry) link.title = peer.industry;
+            item.querySelector('.peer-symbol').textContent = peer.symbol;
+            item.querySelector('.peer-name').textContent = peer.name !== peer.symbol ? peer.name : '';
+            item.querySelector('.peer-narrative').textContent = DataProcessor.describePeer(peer, company);
+            
+            list.appendChild(item);
+        });
+        
+        // Peer news costs one news request per peer, so it only loads when asked for
+        if (!Settings.isDemoMode() && Settings.hasLiveSource('marketaux') && peers.some(peer => peer.newsSummary === null)) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'peers-news-btn';
+            button.disabled = this.peerNewsState === 'loading';
+            button.textContent = this.peerNewsState === 'loading' ? 'Loading peer news…' :
+                this.peerNewsState === 'failed' ? "Couldn't load peer news. Try again" : 'Compare news sentiment';
+            button.addEventListener('click', () => this.loadPeerNews());
+            peersContent.appendChild(button);
+        }
+    }
+    
+    async loadPeerNews() {
+        const sessionId = this.sessionId;
+        const peers = (this.peers || []).slice(0, CONFIG.PEER_PANEL_LIMIT).filter(peer => peer.newsSummary === null);
+        
+        this.peerNewsState = 'loading';
+        this.updatePeers();
+        
+        try {
+            const results = await Promise.all(peers.map(peer => API.getPeerNews(peer.symbol, peer.name)));
+            if (!API.isCurrentSession(sessionId)) return;
+            
+            results.forEach((news, index) => {
+                if (news) {
+                    peers[index].newsSummary = DataProcessor.getNewsSummary(DataProcessor.processNewsArticles(news));
+                }
+            });
+            this.peerNewsState = results.some(news => news === null) ? 'failed' : 'loaded';
+        } catch (error) {
+            if (API.isAbortError(error) || !API.isCurrentSession(sessionId)) return;
+            
+            console.warn('Failed to load peer news:', error);
+            this.peerNewsState = 'failed';
+        }
+        
+        this.updatePeers();
+    }
+    
     showDescriptionModal(fullText) {
         // Remove any existing modal first
         const existingModal = document.getElementById('descriptionModal');
@@ -412,6 +1013,7 @@ class TickerPage {
 
     updateMobileData() {
         const { overview, basicFinancials } = this.stockData;
+        const { currencySymbol } = this.stockData.display;
         
         // Update mobile data with same values as desktop
         if (overview) {
@@ -419,11 +1021,11 @@ class TickerPage {
             if (overview.marketCap) {
                 const marketCapValue = parseFloat(overview.marketCap);
                 if (marketCapValue >= 1e6) {
-                    marketCap = `$${(marketCapValue / 1e6).toFixed(1)}T`;
+                    marketCap = `${currencySymbol}${(marketCapValue / 1e6).toFixed(1)}T`;
                 } else if (marketCapValue >= 1e3) {
-                    marketCap = `$${(marketCapValue / 1e3).toFixed(1)}B`;
+                    marketCap = `${currencySymbol}${(marketCapValue / 1e3).toFixed(1)}B`;
                 } else {
-                    marketCap = `$${marketCapValue.toFixed(1)}M`;
+                    marketCap = `${currencySymbol}${marketCapValue.toFixed(1)}M`;
                 }
             }
             this.updateElement('mobileMarketCap', marketCap);
@@ -436,7 +1038,7 @@ class TickerPage {
             
             let weekRange = 'N/A';
             if (basicFinancials.weekHigh && basicFinancials.weekLow) {
-                weekRange = `$${basicFinancials.weekLow.toFixed(2)} - $${basicFinancials.weekHigh.toFixed(2)}`;
+                weekRange = `${currencySymbol}${basicFinancials.weekLow.toFixed(2)} - ${currencySymbol}${basicFinancials.weekHigh.toFixed(2)}`;
             }
             this.updateElement('mobileWeekHighLow', weekRange);
             
@@ -463,11 +1065,23 @@ class TickerPage {
         }
         
         try {
+            // Re-use the existing timeline on refresh so filter listeners aren't bound twice
+            if (this.timeline) {
+                this.timeline.addItems(this.stockData.timeline);
+                
+                // Keep history the user already loaded
+                this.timeline.appendItems(this.earlierNewsItems);
+                this.stockData.timeline = this.timeline.items;
+                this.initializeMobileTimeline();
+                return;
+            }
+            
             // Initialize desktop timeline
             this.timeline = TimelineManager.initializeTimeline();
             
             // Add timeline items to desktop
             this.timeline.addItems(this.stockData.timeline);
+            this.timeline.setLoadEarlierHandler((before) => this.loadEarlierNews(before));
             
             // Initialize mobile timeline
             this.initializeMobileTimeline();
@@ -481,6 +1095,29 @@ class TickerPage {
         }
     }
 
+    async loadEarlierNews(before) {
+        const { symbol, overview } = this.stockData;
+        
+        const articles = await API.getCompanyNews(symbol, CONFIG.NEWS_PAGE_SIZE, overview?.name, {
+            publishedBefore: before,
+            pages: CONFIG.NEWS_HISTORY_PAGES,
+            throwOnError: true
+        });
+        
+        const items = DataProcessor.createTimeline({ news: DataProcessor.processNewsArticles(articles) });
+        this.earlierNewsItems.push(...items);
+        
+        return items;
+    }
+
+    async loadEarlierMobileNews() {
+        if (!this.timeline) return;
+        
+        await this.timeline.loadEarlier();
+        this.stockData.timeline = this.timeline.items;
+        this.initializeMobileTimeline();
+    }
+
     initializeMobileTimeline() {
         if (!this.stockData || !this.stockData.timeline) return;
         
@@ -497,16 +1134,47 @@ class TickerPage {
             timelineItem.innerHTML = `
                 <div class="timeline-content">
                     <div class="timeline-header">
-                        <span class="timeline-time">${item.time}</span>
-                        <span class="timeline-source">${item.source}</span>
+                        <span class="timeline-time">${Utils.escapeHtml(item.time)}</span>
+                        <span class="timeline-source">${Utils.escapeHtml(item.source)}</span>
                     </div>
-                    <h3 class="timeline-title">${item.title}</h3>
-                    <p class="timeline-description">${item.description}</p>
-                    <div class="timeline-sentiment ${item.sentiment}">${item.sentiment}</div>
+                    <h3 class="timeline-title">${Utils.escapeHtml(item.title)}</h3>
+                    <p class="timeline-description">${Utils.escapeHtml(item.description)}</p>
+                    <div class="timeline-sentiment ${Utils.escapeHtml(item.sentiment)}">${Utils.escapeHtml(item.sentiment)}</div>
                 </div>
             `;
             mobileTimeline.appendChild(timelineItem);
         });
+        
+        // Mirror the desktop timeline's "Load earlier" control
+        if (this.timeline && this.timeline.loadEarlierHandler) {
+            const control = document.createElement('div');
+            control.className = 'timeline-load-earlier';
+            
+            if (this.timeline.hasEarlierItems) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'load-earlier-btn';
+                button.textContent = this.timeline.loadEarlierError ? 'Try again' : 'Load earlier news';
+                button.addEventListener('click', () => {
+                    button.disabled = true;
+                    button.textContent = 'Loading earlier news…';
+                    this.loadEarlierMobileNews();
+                });
+                
+                if (this.timeline.loadEarlierError) {
+                    const message = document.createElement('p');
+                    message.className = 'load-earlier-error';
+                    message.textContent = "Couldn't load earlier news.";
+                    control.appendChild(message);
+                }
+                
+                control.appendChild(button);
+            } else {
+                control.innerHTML = '<p class="load-earlier-end">No earlier news found</p>';
+            }
+            
+            mobileTimeline.appendChild(control);
+        }
     }
 
     updatePageMetadata() {
@@ -539,6 +1207,58 @@ class TickerPage {
         UI.addPulseAnimation(document.body, 300);
     }
 
+    // Next-quarter consensus EPS by symbol ({ fiscalQuarter, snapshots }), kept because Finnhub only serves the current one
+    readEstimateHistory() {
+        try {
+            return JSON.parse(localStorage.getItem('nocharts-estimate-history')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    // Stored snapshots for the upcoming fiscal quarter plus today's consensus, oldest first
+    getEstimateSnapshots(symbol, upcoming) {
+        if (!upcoming || upcoming.epsEstimate === null) return null;
+        
+        const today = new Date().toISOString().slice(0, 10);
+        const oldest = new Date(Date.now() - CONFIG.ESTIMATE_REVISION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const fiscalQuarter = upcoming.fiscalQuarter || upcoming.date;
+        
+        // A new fiscal quarter starts a new consensus
+        const stored = this.readEstimateHistory()[symbol];
+        const snapshots = stored && stored.fiscalQuarter === fiscalQuarter ? stored.snapshots : [];
+        
+        return {
+            fiscalQuarter,
+            snapshots: snapshots
+                .filter(snapshot => snapshot.date >= oldest && snapshot.date !== today)
+                .concat({ date: today, eps: upcoming.epsEstimate })
+        };
+    }
+    
+    // Save a symbol's snapshots and drop symbols not seen within the revision window
+    saveEstimateSnapshots(symbol, entry) {
+        const oldest = new Date(Date.now() - CONFIG.ESTIMATE_REVISION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const history = this.readEstimateHistory();
+        
+        Object.keys(history).forEach(key => {
+            const snapshots = history[key]?.snapshots || [];
+            if (snapshots.length === 0 || snapshots[snapshots.length - 1].date < oldest) {
+                delete history[key];
+            }
+        });
+        
+        if (entry) {
+            history[symbol] = entry;
+        }
+        
+        try {
+            localStorage.setItem('nocharts-estimate-history', JSON.stringify(history));
+        } catch (error) {
+            console.warn('Could not save estimate history:', error);
+        }
+    }
+    
     getStoredTheme() {
         return localStorage.getItem('nocharts-theme') || 'light';
     }
@@ -638,15 +1358,18 @@ class TickerPage {
             if (element) {
                 // Find the label element (parent of the value)
                 const labelElement = element.previousElementSibling;
-                if (labelElement && labelElement.classList.contains('label')) {
+                // Called after every render; bind each label once
+                if (labelElement && labelElement.classList.contains('label') && !labelElement.dataset.popupBound) {
+                    labelElement.dataset.popupBound = 'true';
                     labelElement.style.cursor = 'pointer';
                     labelElement.addEventListener('click', (e) => {
                         e.preventDefault();
                         const metricKey = metricMapping[elementId];
                         const rect = labelElement.getBoundingClientRect();
+                        const context = this.metricContext[elementId];
                         
                         if (typeof UI !== 'undefined' && UI.showMetricPopup) {
-                            UI.showMetricPopup(metricKey, rect.left, rect.bottom + 5);
+                            UI.showMetricPopup(metricKey, rect.left, rect.bottom + 5, context ? `${context.text} ${context.detail}` : '');
                         }
                     });
                 }
@@ -668,129 +1391,106 @@ class TickerPage {
     }
     
     updateMobileEarningsData() {
-        const { earnings, basicFinancials } = this.stockData;
+        const { earningsMetrics } = this.stockData;
         
-        // Update upcoming earnings based on data format
-        if (earnings) {
-            if (Array.isArray(earnings) && earnings.length > 0) {
-                // Mock data format
-                const nextEarnings = earnings[0];
-                this.updateElement('nextEarningsDate', nextEarnings.period || 'N/A');
-                this.updateElement('nextEarningsEPS', nextEarnings.estimate ? `$${nextEarnings.estimate.toFixed(2)}` : 'N/A');
-                this.updateElement('nextEarningsRevenue', 'N/A');
-            } else if (typeof earnings === 'object') {
-                // Real API format
-                const earningsDate = earnings.earningsDate ? new Date(earnings.earningsDate) : null;
-                this.updateElement('nextEarningsDate', earningsDate ? earningsDate.toLocaleDateString() : 'N/A');
-                this.updateElement('nextEarningsEPS', earnings.eps ? `$${earnings.eps.toFixed(2)}` : 'N/A');
-                this.updateElement('nextEarningsRevenue', earnings.revenue ? `$${(earnings.revenue / 1000000).toFixed(1)}M` : 'N/A');
-            }
-        }
+        // Update upcoming earnings from the earnings calendar
+        this.updateUpcomingEarnings();
         
         // Update analyst estimates
-        if (basicFinancials) {
-            this.updateElement('mobileForwardPE', basicFinancials.forwardPE ? basicFinancials.forwardPE.toFixed(2) : 'N/A');
-            this.updateElement('mobileEPSGrowth', basicFinancials.epsGrowth ? `${basicFinancials.epsGrowth.toFixed(1)}%` : 'N/A');
-            this.updateElement('mobileEstimateRevisions', 'N/A'); // Not available in current API
-            this.updateElement('mobileBeatRate', 'N/A'); // Not available in current API
+        const { forwardPE, epsGrowth, estimateRevisions, beatRate } = earningsMetrics;
+        const signed = (value, decimals) => `${value > 0 ? '+' : ''}${value.toFixed(decimals)}%`;
+        
+        this.updateElement('mobileForwardPE', forwardPE.value !== null ? forwardPE.value.toFixed(2) : 'N/A');
+        this.updateElement('mobileEPSGrowth', epsGrowth.value !== null ? signed(epsGrowth.value, 1) : 'N/A');
+        this.updateElement('mobileEstimateRevisions', estimateRevisions.value !== null ? signed(estimateRevisions.value, 1) : 'N/A');
+        this.updateElement('mobileBeatRate', beatRate.value !== null ? `${Math.round(beatRate.value)}%` : 'N/A');
+        
+        // Show the inputs behind each figure in its definition popup
+        earningsCalculations['forward-pe'] = forwardPE.detail;
+        earningsCalculations['eps-growth'] = epsGrowth.detail;
+        earningsCalculations['estimate-revisions'] = estimateRevisions.detail;
+        earningsCalculations['beat-rate'] = beatRate.detail;
+        
+        // Render the earnings history
+        this.renderEarningsHistory(document.getElementById('earnings-quarters'));
+    }
+    
+    updateUpcomingEarnings() {
+        const { upcomingEarnings, display } = this.stockData;
+        const currency = display.currency || 'USD';
+        
+        if (!upcomingEarnings) {
+            this.updateElement('nextEarningsDate', 'Not scheduled');
+            this.updateElement('nextEarningsEPS', 'N/A');
+            this.updateElement('nextEarningsRevenue', 'N/A');
+            this.updateElement('nextEarningsCountdown', '');
+            return;
         }
         
-        // Generate earnings quarters
-        this.generateEarningsQuarters();
+        const [year, month, day] = upcomingEarnings.date.split('-').map(part => parseInt(part, 10));
+        const reportDate = new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+        const dateText = [reportDate, upcomingEarnings.timing].filter(Boolean).join(' · ');
+        const countdown = DataProcessor.getEarningsCountdown(upcomingEarnings.date);
+        
+        this.updateElement('nextEarningsDate', dateText);
+        this.updateElement('nextEarningsCountdown', [upcomingEarnings.fiscalQuarter, countdown].filter(Boolean).join(' · '));
+        this.updateElement('nextEarningsEPS', upcomingEarnings.epsEstimate !== null ? Utils.formatCurrency(upcomingEarnings.epsEstimate, currency) : 'N/A');
+        this.updateElement('nextEarningsRevenue', upcomingEarnings.revenueEstimate !== null ? Utils.formatCompactCurrency(upcomingEarnings.revenueEstimate, currency) : 'N/A');
     }
     
-    generateEarningsQuarters() {
-        const { earnings } = this.stockData;
-        const earningsContainer = document.getElementById('earnings-quarters');
+    renderEarningsHistory(container) {
+        const { earnings, display } = this.stockData;
+        if (!container) return;
         
-        if (!earningsContainer || !earnings) return;
+        const quarters = earnings || [];
+        if (quarters.length === 0) {
+            container.innerHTML = '<p class="earnings-history-empty">No reported earnings available.</p>';
+            return;
+        }
         
-        // Clear existing content
-        earningsContainer.innerHTML = '';
+        const currency = display.currency || 'USD';
+        const eps = (value) => (value !== null ? Utils.formatCurrency(value, currency) : 'N/A');
+        const narrative = DataProcessor.describeEarningsStreak(quarters);
         
-        // Check if earnings is an array (mock data) or object (real API)
-        if (Array.isArray(earnings)) {
-            // Mock data format - show last 2 quarters
-            const recentEarnings = earnings.slice(0, 2);
+        const rows = quarters.map(quarter => {
+            const outcome = DataProcessor.getEarningsOutcome(quarter);
+            const badgeClass = { beat: 'positive', miss: 'miss negative' }[outcome] || '';
+            const surprise = quarter.surprisePercent !== null
+                ? `<span class="surprise-badge ${badgeClass}">${quarter.surprisePercent > 0 ? '+' : ''}${quarter.surprisePercent.toFixed(1)}%</span>`
+                : 'N/A';
             
-            recentEarnings.forEach(earning => {
-                const quarterDiv = document.createElement('div');
-                quarterDiv.className = 'earnings-quarter';
-                
-                // Format quarter name
-                const quarterName = earning.period || 'Unknown Quarter';
-                
-                // Calculate surprise
-                let surpriseText = 'N/A';
-                let surpriseClass = '';
-                if (earning.estimate && earning.actual) {
-                    const surprise = ((earning.actual - earning.estimate) / earning.estimate) * 100;
-                    surpriseText = `${surprise > 0 ? '+' : ''}${surprise.toFixed(1)}%`;
-                    surpriseClass = surprise >= 0 ? '' : 'miss';
-                }
-                
-                quarterDiv.innerHTML = `
-                    <div class="quarter-header">${quarterName}</div>
-                    <div class="earnings-metrics">
-                        <div class="metric">
-                            <div class="metric-label" onclick="showPopup('eps-estimate', event)">EPS Estimate</div>
-                            <div class="metric-value">$${earning.estimate ? earning.estimate.toFixed(2) : 'N/A'}</div>
-                        </div>
-                        <div class="metric">
-                            <div class="metric-label" onclick="showPopup('eps-actual', event)">EPS Actual</div>
-                            <div class="metric-value">$${earning.actual ? earning.actual.toFixed(2) : 'N/A'}</div>
-                        </div>
-                        <div class="metric">
-                            <div class="metric-label" onclick="showPopup('earnings-surprise', event)">Surprise</div>
-                            <div class="metric-value">
-                                <span class="surprise-badge ${surpriseClass}">${surpriseText}</span>
-                            </div>
-                        </div>
-                    </div>
-                `;
-                
-                earningsContainer.appendChild(quarterDiv);
-            });
-        } else if (earnings && typeof earnings === 'object') {
-            // Real API format - show single earnings data
-            const quarterDiv = document.createElement('div');
-            quarterDiv.className = 'earnings-quarter';
-            
-            // Format quarter name from earnings date
-            const earningsDate = earnings.earningsDate ? new Date(earnings.earningsDate) : null;
-            const quarterName = earningsDate ? 
-                `Q${Math.ceil((earningsDate.getMonth() + 1) / 3)} ${earningsDate.getFullYear()}` : 
-                'Recent Earnings';
-            
-            quarterDiv.innerHTML = `
-                <div class="quarter-header">${quarterName}</div>
-                <div class="earnings-metrics">
-                    <div class="metric">
-                        <div class="metric-label" onclick="showPopup('eps-actual', event)">EPS Actual</div>
-                        <div class="metric-value">$${earnings.eps ? earnings.eps.toFixed(2) : 'N/A'}</div>
-                    </div>
-                    <div class="metric">
-                        <div class="metric-label" onclick="showPopup('revenue-actual', event)">Revenue</div>
-                        <div class="metric-value">$${earnings.revenue ? (earnings.revenue / 1000000).toFixed(1) + 'M' : 'N/A'}</div>
-                    </div>
-                    <div class="metric">
-                        <div class="metric-label" onclick="showPopup('earnings-date', event)">Date</div>
-                        <div class="metric-value">${earnings.earningsDate ? new Date(earnings.earningsDate).toLocaleDateString() : 'N/A'}</div>
-                    </div>
-                </div>
+            return `
+                <tr class="${outcome || ''}">
+                    <td>${quarter.label}</td>
+                    <td>${eps(quarter.estimate)}</td>
+                    <td>${eps(quarter.actual)}</td>
+                    <td>${surprise}</td>
+                </tr>
             `;
-            
-            earningsContainer.appendChild(quarterDiv);
+        }).join('');
+        
+        container.innerHTML = `
+            ${narrative ? '<p class="earnings-streak"></p>' : ''}
+            <table class="earnings-history-table">
+                <thead>
+                    <tr>
+                        <th>Quarter</th>
+                        <th><span class="metric-label" onclick="showPopup('eps-estimate', event)">EPS Est.</span></th>
+                        <th><span class="metric-label" onclick="showPopup('eps-actual', event)">EPS Actual</span></th>
+                        <th><span class="metric-label" onclick="showPopup('earnings-surprise', event)">Surprise</span></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        
+        if (narrative) {
+            container.querySelector('.earnings-streak').textContent = narrative;
         }
     }
 }
 
-// Initialize ticker page when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    window.tickerPage = new TickerPage();
-});
-
-// Initialize immediately if DOM is already loaded
+// Initialize when the DOM is ready (immediately if it already is)
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
         window.tickerPage = new TickerPage();
@@ -831,15 +1531,15 @@ const earningsDefinitions = {
     },
     'forward-pe': {
         title: 'Forward P/E Ratio',
-        description: 'Price-to-Earnings ratio based on next year\'s estimated earnings. Lower values suggest the stock may be undervalued relative to future earnings.'
+        description: 'Price-to-Earnings ratio based on next year\'s estimated earnings: the share price divided by the analyst consensus EPS for the current fiscal year. Lower values suggest the stock may be undervalued relative to future earnings.'
     },
     'eps-growth': {
         title: 'EPS Growth (Year-over-Year)',
-        description: 'The percentage change in Earnings Per Share compared to the same quarter last year. Positive growth indicates improving profitability.'
+        description: 'The percentage change in Earnings Per Share for the latest reported quarter compared to the same quarter last year. Positive growth indicates improving profitability.'
     },
     'estimate-revisions': {
         title: 'Estimate Revisions',
-        description: 'Recent changes to analyst earnings estimates. Positive revisions suggest analysts are becoming more optimistic about the company\'s prospects.'
+        description: 'Recent changes to analyst earnings estimates: how much the consensus EPS for the next report has moved since it was first seen here (up to 90 days back). Positive revisions suggest analysts are becoming more optimistic about the company\'s prospects.'
     },
     'beat-rate': {
         title: 'Beat Rate',
@@ -847,7 +1547,7 @@ const earningsDefinitions = {
     },
     'report-date': {
         title: 'Earnings Report Date',
-        description: 'The scheduled date when the company will announce its quarterly earnings results. This is when investors learn about the company\'s financial performance.'
+        description: 'The scheduled date when the company will announce its quarterly earnings results, and whether it reports before the market opens or after it closes. This is when investors learn about the company\'s financial performance.'
     },
     'revenue-estimate': {
         title: 'Revenue Estimate',
@@ -863,6 +1563,9 @@ const earningsDefinitions = {
     }
 };
 
+// Calculation notes for the current ticker, keyed like earningsDefinitions
+const earningsCalculations = {};
+
 // Global popup function for earnings
 function showPopup(definitionKey, event) {
     // Remove any existing popup
@@ -881,6 +1584,13 @@ function showPopup(definitionKey, event) {
         <div class="popup-title">${definition.title}</div>
         <div class="popup-description">${definition.description}</div>
     `;
+    
+    if (earningsCalculations[definitionKey]) {
+        const calculation = document.createElement('div');
+        calculation.className = 'popup-calculation';
+        calculation.textContent = earningsCalculations[definitionKey];
+        popup.appendChild(calculation);
+    }
 
     // Position popup near the clicked element
     const rect = event.target.getBoundingClientRect();
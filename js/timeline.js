@@ -6,6 +6,11 @@ class Timeline {
         this.items = [];
         this.filteredItems = [];
         this.currentFilter = 'all';
+        this.currentSort = 'date';
+        this.loadEarlierHandler = null;
+        this.hasEarlierItems = false;
+        this.isLoadingEarlier = false;
+        this.loadEarlierError = false;
         this.init();
     }
 
@@ -15,19 +20,28 @@ class Timeline {
 
     setupEventListeners() {
         // Filter button clicks
-        const filterButtons = document.querySelectorAll('.filter-btn');
+        const filterButtons = document.querySelectorAll('.filter-btn[data-filter]');
         filterButtons.forEach(button => {
             button.addEventListener('click', (e) => {
                 this.handleFilterClick(e);
             });
         });
+        
+        // Sort toggle (newest first / most relevant first)
+        const sortButton = document.querySelector('.sort-btn');
+        if (sortButton) {
+            sortButton.addEventListener('click', () => {
+                this.setSort(this.currentSort === 'relevance' ? 'date' : 'relevance');
+                sortButton.classList.toggle('active', this.currentSort === 'relevance');
+            });
+        }
     }
 
     handleFilterClick(event) {
         const filter = event.target.dataset.filter;
         
         // Update active button
-        document.querySelectorAll('.filter-btn').forEach(btn => {
+        document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
             btn.classList.remove('active');
         });
         event.target.classList.add('active');
@@ -42,13 +56,33 @@ class Timeline {
         this.render();
     }
 
+    setSort(sort) {
+        this.currentSort = sort;
+        this.filteredItems = this.filterItems(this.currentFilter);
+        this.render();
+    }
+
+    // Most relevant: scored news by Marketaux match score, then everything else newest first
+    sortItems(items) {
+        if (this.currentSort !== 'relevance') {
+            return items;
+        }
+        
+        return DataProcessor.rankNewsByRelevance(items);
+    }
+
     filterItems(filter) {
         if (filter === 'all') {
-            return this.items;
+            return this.sortItems(this.items);
         }
         
-        return this.items.filter(item => {
-            if (item.type === 'news') {
+        // Social lane: Reddit posts only
+        if (filter === 'social') {
+            return this.sortItems(this.items.filter(item => item.type === 'social'));
+        }
+        
+        return this.sortItems(this.items.filter(item => {
+            if (item.type === 'news' || item.type === 'social') {
                 // Handle sentiment object
                 let itemSentiment = item.sentiment;
                 if (typeof item.sentiment === 'object' && item.sentiment !== null) {
@@ -57,7 +91,7 @@ class Timeline {
                 return itemSentiment === filter;
             }
             return true; // Keep earnings events regardless of filter
-        });
+        }));
     }
 
     addItems(items) {
@@ -66,6 +100,66 @@ class Timeline {
         this.render();
     }
 
+    appendItems(items) {
+        const existingKeys = new Set(this.items.map(item => this.getItemKey(item)));
+        const newItems = items.filter(item => !existingKeys.has(this.getItemKey(item)));
+        
+        this.items = [...this.items, ...newItems].sort((a, b) => new Date(b.date) - new Date(a.date));
+        this.filteredItems = this.filterItems(this.currentFilter);
+        this.render();
+        
+        return newItems.length;
+    }
+
+    getItemKey(item) {
+        return `${item.type || 'news'}|${item.url || item.title}`;
+    }
+
+    // handler(before) resolves to older timeline items published before `before`
+    setLoadEarlierHandler(handler) {
+        this.loadEarlierHandler = handler;
+        this.hasEarlierItems = Boolean(handler);
+        this.loadEarlierError = false;
+        this.render();
+    }
+
+    // Cursor for the news providers; user feed and social items page separately
+    getOldestNewsDate() {
+        const newsDates = this.items
+            .filter(item => (item.type || 'news') === 'news' && !item.feedUrl)
+            .map(item => new Date(item.date))
+            .filter(date => !isNaN(date));
+        
+        return newsDates.length > 0 ? new Date(Math.min(...newsDates)) : new Date();
+    }
+
+    async loadEarlier() {
+        if (!this.loadEarlierHandler || this.isLoadingEarlier) return 0;
+        
+        this.isLoadingEarlier = true;
+        this.loadEarlierError = false;
+        this.render();
+        
+        let added = 0;
+        try {
+            const items = await this.loadEarlierHandler(this.getOldestNewsDate());
+            added = this.appendItems(items || []);
+            
+            // The handler throws on failure, so nothing new means the history really ran out
+            if (added === 0) {
+                this.hasEarlierItems = false;
+            }
+        } catch (error) {
+            console.error('Failed to load earlier timeline items:', error);
+            this.loadEarlierError = true;
+        } finally {
+            this.isLoadingEarlier = false;
+            this.render();
+        }
+        
+        return added;
+    }
+
     clear() {
         this.items = [];
         this.filteredItems = [];
@@ -77,6 +171,7 @@ class Timeline {
 
         if (this.filteredItems.length === 0) {
             this.renderEmptyState();
+            this.renderLoadEarlier();
             return;
         }
 
@@ -85,7 +180,11 @@ class Timeline {
         this.filteredItems.forEach((item, index) => {
             const itemType = item.type || 'news';
             const itemClass = itemType === 'earnings' ? 'earnings-item' : 
-                             (item.category === 'reddit' ? 'reddit-post' : 'news-item');
+                             itemType === 'filing' ? 'filing-item' :
+                             itemType === 'insider' ? `insider-item ${item.direction}` :
+                             itemType === 'rating' ? `rating-item ${item.direction}` :
+                             itemType === 'dividend' || itemType === 'split' ? `corporate-action-item ${item.kind}` :
+                             itemType === 'social' ? 'social-item reddit-post' : 'news-item';
             
             const timelineItem = document.createElement('div');
             timelineItem.className = `timeline-item ${itemClass} ${item.sentiment || ''}`;
@@ -93,8 +192,8 @@ class Timeline {
             const content = this.createTimelineItem(item, index);
             timelineItem.innerHTML = content;
             
-            // Add click handler for news items
-            if (itemType === 'news' && item.url) {
+            // Add click handler for news items and social posts
+            if ((itemType === 'news' || itemType === 'social') && Utils.getSafeUrl(item.url)) {
                 const link = timelineItem.querySelector('.timeline-link');
                 if (link) {
                     link.addEventListener('click', (e) => {
@@ -106,6 +205,37 @@ class Timeline {
             
             this.container.appendChild(timelineItem);
         });
+        
+        this.renderLoadEarlier();
+    }
+
+    renderLoadEarlier() {
+        if (!this.loadEarlierHandler) return;
+        
+        const control = document.createElement('div');
+        control.className = 'timeline-load-earlier';
+        
+        if (!this.hasEarlierItems) {
+            control.innerHTML = '<p class="load-earlier-end">No earlier news found</p>';
+        } else {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'load-earlier-btn';
+            button.disabled = this.isLoadingEarlier;
+            button.textContent = this.isLoadingEarlier ? 'Loading earlier news…' : this.loadEarlierError ? 'Try again' : 'Load earlier news';
+            button.addEventListener('click', () => this.loadEarlier());
+            
+            if (this.loadEarlierError && !this.isLoadingEarlier) {
+                const message = document.createElement('p');
+                message.className = 'load-earlier-error';
+                message.textContent = "Couldn't load earlier news.";
+                control.appendChild(message);
+            }
+            
+            control.appendChild(button);
+        }
+        
+        this.container.appendChild(control);
     }
 
     renderEmptyState() {
@@ -116,7 +246,9 @@ class Timeline {
                 <p class="empty-message">
                     ${this.currentFilter === 'all' 
                         ? 'No recent news articles available for this stock.' 
-                        : `No ${this.currentFilter} news articles found. Try selecting "All" to see all articles.`
+                        : this.currentFilter === 'social'
+                            ? 'No recent Reddit posts found. Social posts need a Reddit client ID in Settings.'
+                            : `No ${this.currentFilter} news articles found. Try selecting "All" to see all articles.`
                     }
                 </p>
             </div>
@@ -128,6 +260,16 @@ class Timeline {
         
         if (itemType === 'earnings') {
             return this.createEarningsItem(item, index);
+        } else if (itemType === 'filing') {
+            return this.createFilingItem(item, index);
+        } else if (itemType === 'insider') {
+            return this.createInsiderItem(item, index);
+        } else if (itemType === 'rating') {
+            return this.createRatingItem(item, index);
+        } else if (itemType === 'dividend' || itemType === 'split') {
+            return this.createCorporateActionItem(item, index);
+        } else if (itemType === 'social') {
+            return this.createSocialItem(item, index);
         } else {
             return this.createNewsItem(item, index);
         }
@@ -148,13 +290,8 @@ class Timeline {
         
         const sentimentIcon = this.getSentimentIcon(sentimentClass);
         const categoryBadge = this.getCategoryBadge(item.category);
-        
-        // Handle Reddit-specific data
-        const isRedditPost = item.category === 'reddit';
-        const redditMetadata = isRedditPost ? `
-            <span class="reddit-score">⬆️ ${item.score || 0}</span>
-            <span class="reddit-comments">💬 ${item.numComments || 0}</span>
-        ` : '';
+        // Titles and descriptions come from news APIs and users' feeds
+        const escape = Utils.escapeHtml;
         
         return `
             <div class="timeline-marker news-marker ${sentimentClass}">
@@ -164,23 +301,22 @@ class Timeline {
                 <div class="timeline-header">
                     <div class="timeline-meta">
                         <span class="timeline-date">${item.relativeTime || (typeof Utils !== 'undefined' ? Utils.getRelativeTime(item.publishedAt || item.date) : this.formatDateSafely(item.publishedAt || item.date))}</span>
-                        <span class="timeline-source">${item.source?.name || item.source || 'Unknown Source'}</span>
-                        ${redditMetadata}
+                        <span class="timeline-source">${escape(item.source?.name || item.source || 'Unknown Source')}</span>
                     </div>
                     <div class="timeline-badges">
                         ${categoryBadge}
                         <span class="sentiment-badge ${sentimentClass}">${sentimentLabel}</span>
-                        ${isRedditPost ? '<span class="reddit-badge">Reddit</span>' : ''}
                     </div>
                 </div>
                 <h3 class="timeline-title">
-                    <a href="${item.url || '#'}" class="timeline-link" target="_blank" rel="noopener noreferrer">
-                        ${item.title || 'No title available'}
+                    <a href="${escape(Utils.getSafeUrl(item.url) || '#')}" class="timeline-link" target="_blank" rel="noopener noreferrer">
+                        ${escape(item.title || 'No title available')}
                     </a>
                 </h3>
                 <p class="timeline-description">
-                    ${item.description || 'No description available'}
+                    ${escape(item.description || 'No description available')}
                 </p>
+                ${this.createHighlights(item.highlights)}
                 <div class="timeline-footer">
                     <div class="timeline-sentiment">
                         <span class="sentiment-label">Sentiment:</span>
@@ -188,11 +324,82 @@ class Timeline {
                             ${this.getSentimentText(item.sentiment, item.sentiment?.score)}
                         </span>
                     </div>
+                    ${this.getRelevanceText(item.matchScore)}
+                </div>
+            </div>
+        `;
+    }
+
+    createSocialItem(item, index) {
+        const sentimentClass = item.sentiment?.sentiment || 'neutral';
+        // Post titles, text and author names are user-written
+        const escape = Utils.escapeHtml;
+        
+        return `
+            <div class="timeline-marker social-marker ${sentimentClass}">
+                <div class="marker-icon">💬</div>
+            </div>
+            <div class="timeline-content">
+                <div class="timeline-header">
+                    <div class="timeline-meta">
+                        <span class="timeline-date">${(typeof Utils !== 'undefined' ? Utils.getRelativeTime(item.date) : this.formatDateSafely(item.date))}</span>
+                        <span class="timeline-source">${escape(item.source || 'Reddit')}</span>
+                        <span class="reddit-score">⬆️ ${Number(item.score) || 0}</span>
+                        <span class="reddit-comments">💬 ${Number(item.numComments) || 0}</span>
+                    </div>
+                    <div class="timeline-badges">
+                        <span class="reddit-badge">Reddit</span>
+                        <span class="sentiment-badge ${sentimentClass}">${sentimentClass}</span>
+                    </div>
+                </div>
+                <h3 class="timeline-title">
+                    <a href="${escape(Utils.getSafeUrl(item.url) || '#')}" class="timeline-link" target="_blank" rel="noopener noreferrer">
+                        ${escape(item.title || 'Reddit post')}
+                    </a>
+                </h3>
+                ${item.description ? `<p class="timeline-description">${escape(item.description)}</p>` : ''}
+                <div class="timeline-footer">
+                    <div class="timeline-sentiment">
+                        <span class="sentiment-label">Sentiment:</span>
+                        <span class="sentiment-score ${sentimentClass}">
+                            ${this.getSentimentText(item.sentiment)}
+                        </span>
+                    </div>
+                    ${item.author ? `<span class="social-author">u/${escape(item.author)}</span>` : ''}
                 </div>
             </div>
         `;
     }
 
+    // Snippets where the article mentions the company, each with its own sentiment
+    createHighlights(highlights) {
+        if (!Array.isArray(highlights) || highlights.length === 0) return '';
+        
+        const snippets = highlights.slice(0, 3).map(highlight => {
+            const sentimentClass = highlight.sentiment?.sentiment || 'neutral';
+            
+            return `
+                <li class="timeline-highlight ${sentimentClass}">
+                    <span class="highlight-text">“${Utils.escapeHtml(highlight.text).replace(/&lt;(\/?)em&gt;/g, '<$1em>')}”</span>
+                    <span class="sentiment-score ${sentimentClass}">${this.getSentimentText(highlight.sentiment)}</span>
+                </li>
+            `;
+        }).join('');
+        
+        return `<ul class="timeline-highlights">${snippets}</ul>`;
+    }
+
+    getRelevanceText(matchScore) {
+        if (typeof matchScore !== 'number') return '';
+        
+        return `
+            <div class="timeline-relevance" title="Marketaux match score: how much of the article is about this company">
+                <span class="sentiment-label">Relevance:</span>
+                <span class="relevance-score">${matchScore.toFixed(1)}</span>
+            </div>
+        `;
+    }
+
     createEarningsItem(item, index) {
         const surpriseClass = this.getEarningsSurpriseClass(item.surprisePercent);
         const surpriseIcon = this.getEarningsSurpriseIcon(item.surprisePercent);
@@ -224,6 +431,109 @@ class Timeline {
         `;
     }
 
+    createFilingItem(item, index) {
+        const reportPeriod = item.reportDate ? `Period: ${this.formatDateSafely(item.reportDate)}` : '';
+        const escape = Utils.escapeHtml;
+        
+        return `
+            <div class="timeline-marker filing-marker">
+                <div class="marker-icon">📄</div>
+            </div>
+            <div class="timeline-content">
+                <div class="timeline-header">
+                    <div class="timeline-meta">
+                        <span class="timeline-date">${(typeof Utils !== 'undefined' ? Utils.getRelativeTime(item.date) : this.formatDateSafely(item.date))}</span>
+                        <span class="timeline-source">${escape(item.source || 'SEC EDGAR')}</span>
+                    </div>
+                    <div class="timeline-badges">
+                        <span class="filing-badge">${escape(item.formType || 'Filing')}</span>
+                    </div>
+                </div>
+                <h3 class="timeline-title">
+                    <a href="${escape(Utils.getSafeUrl(item.url) || '#')}" class="timeline-link" target="_blank" rel="noopener noreferrer">
+                        ${escape(item.title || 'SEC Filing')}
+                    </a>
+                </h3>
+                <p class="timeline-description">${escape(item.description || 'Filing available on SEC EDGAR')}</p>
+                ${reportPeriod ? `<div class="timeline-footer"><span class="filing-period">${escape(reportPeriod)}</span></div>` : ''}
+            </div>
+        `;
+    }
+
+    createInsiderItem(item, index) {
+        const icon = item.direction === 'buy' ? '🟢' : item.direction === 'sell' ? '🔴' : '👤';
+        const escape = Utils.escapeHtml;
+        
+        return `
+            <div class="timeline-marker insider-marker ${item.direction}">
+                <div class="marker-icon">${icon}</div>
+            </div>
+            <div class="timeline-content">
+                <div class="timeline-header">
+                    <div class="timeline-meta">
+                        <span class="timeline-date">${(typeof Utils !== 'undefined' ? Utils.getRelativeTime(item.date) : this.formatDateSafely(item.date))}</span>
+                        <span class="timeline-source">${escape(item.source || 'SEC Form 4')}</span>
+                    </div>
+                    <div class="timeline-badges">
+                        <span class="insider-badge ${item.direction}">${escape(item.transactionType)}</span>
+                    </div>
+                </div>
+                <h3 class="timeline-title">${escape(item.title)}</h3>
+                <p class="timeline-description">${escape(item.description)}</p>
+                ${item.filingDate ? `<div class="timeline-footer"><span class="filing-period">Filed: ${this.formatDateSafely(`${item.filingDate}T00:00:00`)}</span></div>` : ''}
+            </div>
+        `;
+    }
+
+    createRatingItem(item, index) {
+        const icon = item.action === 'up' ? '⬆️' : item.action === 'down' ? '⬇️' : '🆕';
+        const escape = Utils.escapeHtml;
+        
+        return `
+            <div class="timeline-marker rating-marker ${item.direction}">
+                <div class="marker-icon">${icon}</div>
+            </div>
+            <div class="timeline-content">
+                <div class="timeline-header">
+                    <div class="timeline-meta">
+                        <span class="timeline-date">${(typeof Utils !== 'undefined' ? Utils.getRelativeTime(item.date) : this.formatDateSafely(item.date))}</span>
+                        <span class="timeline-source">${escape(item.firm)}</span>
+                    </div>
+                    <div class="timeline-badges">
+                        <span class="rating-badge ${item.direction}">${escape(item.ratingLabel)}</span>
+                    </div>
+                </div>
+                <h3 class="timeline-title">${escape(item.title)}</h3>
+                ${item.description ? `<p class="timeline-description">${escape(item.description)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    createCorporateActionItem(item, index) {
+        const icons = { split: '✂️', increase: '📈', cut: '📉', suspension: '⏸️', reinstatement: '▶️', special: '🎁' };
+        const badges = { split: 'Split', increase: 'Raise', cut: 'Cut', suspension: 'Suspended', reinstatement: 'Reinstated', special: 'Special' };
+        const escape = Utils.escapeHtml;
+        
+        return `
+            <div class="timeline-marker corporate-action-marker ${item.kind}">
+                <div class="marker-icon">${icons[item.kind] || '💵'}</div>
+            </div>
+            <div class="timeline-content">
+                <div class="timeline-header">
+                    <div class="timeline-meta">
+                        <span class="timeline-date">${(typeof Utils !== 'undefined' ? Utils.getRelativeTime(item.date) : this.formatDateSafely(item.date))}</span>
+                        <span class="timeline-source">${escape(item.source)}</span>
+                    </div>
+                    <div class="timeline-badges">
+                        <span class="corporate-action-badge ${item.kind}">${badges[item.kind] || 'Dividend'}</span>
+                    </div>
+                </div>
+                <h3 class="timeline-title">${escape(item.title)}</h3>
+                ${item.description ? `<p class="timeline-description">${escape(item.description)}</p>` : ''}
+            </div>
+        `;
+    }
+
     getSentimentIcon(sentiment) {
         // Handle sentiment object
         let sentimentType = sentiment;
@@ -316,6 +626,11 @@ class Timeline {
             total: this.items.length,
             news: this.items.filter(item => item.type === 'news').length,
             earnings: this.items.filter(item => item.type === 'earnings').length,
+            filings: this.items.filter(item => item.type === 'filing').length,
+            insiders: this.items.filter(item => item.type === 'insider').length,
+            ratings: this.items.filter(item => item.type === 'rating').length,
+            corporateActions: this.items.filter(item => item.type === 'dividend' || item.type === 'split').length,
+            social: this.items.filter(item => item.type === 'social').length,
             positive: this.items.filter(item => {
                 if (typeof item.sentiment === 'object' && item.sentiment !== null) {
                     return item.sentiment.sentiment === 'positive';
@@ -344,7 +659,8 @@ class Timeline {
         return {
             items: this.items,
             stats: this.getStats(),
-            filter: this.currentFilter
+            filter: this.currentFilter,
+            sort: this.currentSort
         };
     }
 
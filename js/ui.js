@@ -478,8 +478,9 @@ function createPopupOverlay() {
  * @param {string} metricKey - The metric key
  * @param {number} x - X position
  * @param {number} y - Y position
+ * @param {string} detail - Optional line about this company's figure (e.g. its rank among peers)
  */
-function showMetricPopup(metricKey, x, y) {
+function showMetricPopup(metricKey, x, y, detail = '') {
     const metric = metricDefinitions[metricKey];
     if (!metric) return;
 
@@ -496,9 +497,9 @@ function showMetricPopup(metricKey, x, y) {
     popup.className = 'popup';
     popup.style.cssText = `
         position: absolute;
-        background: white;
+        background: var(--bg-secondary);
         border-radius: 8px;
-        box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+        box-shadow: 0 4px 12px var(--shadow-heavy);
         max-width: 280px;
         min-width: 240px;
         z-index: 1001;
@@ -515,7 +516,7 @@ function showMetricPopup(metricKey, x, y) {
             border: none;
             font-size: 18px;
             cursor: pointer;
-            color: #6c757d;
+            color: var(--text-muted);
             padding: 0;
             width: 20px;
             height: 20px;
@@ -526,11 +527,18 @@ function showMetricPopup(metricKey, x, y) {
             transition: background-color 0.2s;
         ">&times;</button>
         <div class="popup-content" style="padding: 16px; line-height: 1.5;">
-            <div class="popup-definition" style="margin-bottom: 12px; color: #495057; font-size: 14px;">${metric.definition}</div>
-            <div class="popup-context" style="background: #f8f9fa; padding: 10px; border-radius: 4px; color: #6c757d; font-size: 13px; border-left: 3px solid #dee2e6;">${metric.context}</div>
+            <div class="popup-definition" style="margin-bottom: 12px; color: var(--text-primary); font-size: 14px;">${metric.definition}</div>
+            <div class="popup-context" style="background: var(--bg-tertiary); padding: 10px; border-radius: 4px; color: var(--text-secondary); font-size: 13px; border-left: 3px solid var(--border-color);">${metric.context}</div>
         </div>
     `;
 
+    if (detail) {
+        const detailElement = document.createElement('div');
+        detailElement.className = 'popup-detail';
+        detailElement.textContent = detail;
+        popup.querySelector('.popup-content').appendChild(detailElement);
+    }
+
     overlay.appendChild(popup);
     overlay.style.display = 'block';
 
@@ -1,78 +1,312 @@
 // ===== UTILITY FUNCTIONS =====
 
-// Cache for storing API responses
+// In-memory cache for API responses (hydrated from persistent storage, kept in LRU order)
 const cache = new Map();
+let cacheReadyPromise = null;
 
-// Rate limiting
-let requestCount = 0;
-let lastRequestTime = 0;
+// Rate limiting token buckets, keyed by provider
+const rateLimitBuckets = {};
+const RATE_LIMIT_STORAGE_PREFIX = 'nocharts-ratelimit:';
+
+// Exchange suffixes (Finnhub / Yahoo style, e.g. SHOP.TO, VOD.L, 7203.T) with each market's trading currency
+const EXCHANGE_SUFFIXES = {
+    TO: { name: 'Toronto Stock Exchange', currency: 'CAD' },
+    V: { name: 'TSX Venture Exchange', currency: 'CAD' },
+    NE: { name: 'Cboe Canada', currency: 'CAD' },
+    CN: { name: 'Canadian Securities Exchange', currency: 'CAD' },
+    L: { name: 'London Stock Exchange', currency: 'GBP' },
+    IR: { name: 'Euronext Dublin', currency: 'EUR' },
+    DE: { name: 'Xetra', currency: 'EUR' },
+    F: { name: 'Frankfurt Stock Exchange', currency: 'EUR' },
+    PA: { name: 'Euronext Paris', currency: 'EUR' },
+    AS: { name: 'Euronext Amsterdam', currency: 'EUR' },
+    BR: { name: 'Euronext Brussels', currency: 'EUR' },
+    LS: { name: 'Euronext Lisbon', currency: 'EUR' },
+    MI: { name: 'Borsa Italiana', currency: 'EUR' },
+    MC: { name: 'Bolsa de Madrid', currency: 'EUR' },
+    VI: { name: 'Vienna Stock Exchange', currency: 'EUR' },
+    HE: { name: 'Nasdaq Helsinki', currency: 'EUR' },
+    SW: { name: 'SIX Swiss Exchange', currency: 'CHF' },
+    ST: { name: 'Nasdaq Stockholm', currency: 'SEK' },
+    CO: { name: 'Nasdaq Copenhagen', currency: 'DKK' },
+    OL: { name: 'Oslo Børs', currency: 'NOK' },
+    T: { name: 'Tokyo Stock Exchange', currency: 'JPY' },
+    HK: { name: 'Hong Kong Stock Exchange', currency: 'HKD' },
+    SS: { name: 'Shanghai Stock Exchange', currency: 'CNY' },
+    SZ: { name: 'Shenzhen Stock Exchange', currency: 'CNY' },
+    KS: { name: 'Korea Exchange', currency: 'KRW' },
+    KQ: { name: 'KOSDAQ', currency: 'KRW' },
+    TW: { name: 'Taiwan Stock Exchange', currency: 'TWD' },
+    SI: { name: 'Singapore Exchange', currency: 'SGD' },
+    NS: { name: 'National Stock Exchange of India', currency: 'INR' },
+    BO: { name: 'BSE', currency: 'INR' },
+    JK: { name: 'Indonesia Stock Exchange', currency: 'IDR' },
+    AX: { name: 'Australian Securities Exchange', currency: 'AUD' },
+    NZ: { name: 'NZX', currency: 'NZD' },
+    SA: { name: 'B3', currency: 'BRL' },
+    MX: { name: 'Bolsa Mexicana de Valores', currency: 'MXN' },
+    JO: { name: 'Johannesburg Stock Exchange', currency: 'ZAR' },
+    TA: { name: 'Tel Aviv Stock Exchange', currency: 'ILS' }
+};
+
+// ROOT, optional share class (BRK.B, RDS-A, BF/B) and optional exchange suffix (SHOP.TO, RCI-B.TO).
+// Letter roots are 1-5 characters; roots with digits (7203, 0700, D05) go up to 6.
+const TICKER_PATTERN = /^([A-Z]{1,5}|(?=[A-Z]*\d)[A-Z0-9]{1,6})(?:([.\-/])([A-Z]{1,2}))?(?:\.([A-Z]{1,2}))?$/;
 
 /**
- * Validate stock ticker symbol
- * @param {string} ticker - Stock ticker symbol
- * @returns {boolean} - True if valid
+ * Parse a ticker into its root, share class and exchange
+ * A single "." suffix is an exchange when it is a known exchange code (VOD.L) and a
+ * share class otherwise (BRK.B); "-" and "/" always mark a share class.
+ * @param {string} ticker - Ticker as typed (any case, e.g. "brk-b", "shop.to", "7203.T")
+ * @returns {Object|null} - { symbol, root, shareClass, exchangeSuffix, exchange, currency } or null if it isn't a ticker
  */
-function isValidTicker(ticker) {
-    if (!ticker || typeof ticker !== 'string') return false;
+function parseTicker(ticker) {
+    if (!ticker || typeof ticker !== 'string') return null;
+    
+    const match = TICKER_PATTERN.exec(ticker.trim().toUpperCase());
+    if (!match) return null;
     
-    // Remove whitespace and convert to uppercase
-    const cleanTicker = ticker.trim().toUpperCase();
+    const [, root, separator, suffix, exchangeSuffix] = match;
+    let shareClass = suffix || null;
+    let exchangeCode = exchangeSuffix || null;
     
-    // Check length (1-5 characters typical for US stocks)
-    if (cleanTicker.length < 1 || cleanTicker.length > 5) return false;
+    if (exchangeCode && !EXCHANGE_SUFFIXES[exchangeCode]) return null;
+    if (!exchangeCode && separator === '.' && EXCHANGE_SUFFIXES[suffix]) {
+        exchangeCode = suffix;
+        shareClass = null;
+    }
     
-    // Check if contains only letters
-    if (!/^[A-Z]+$/.test(cleanTicker)) return false;
+    const exchange = exchangeCode ? EXCHANGE_SUFFIXES[exchangeCode] : null;
     
-    return true;
+    // Canonical form: US classes take a dot (BRK.B), listings with an exchange suffix a dash (RCI-B.TO)
+    const listing = shareClass ? `${root}${exchangeCode ? '-' : '.'}${shareClass}` : root;
+    
+    return {
+        symbol: exchangeCode ? `${listing}.${exchangeCode}` : listing,
+        root,
+        shareClass,
+        exchangeSuffix: exchangeCode,
+        exchange: exchange ? exchange.name : null,
+        currency: exchange ? exchange.currency : null
+    };
+}
+
+/**
+ * Validate stock ticker symbol
+ * @param {string} ticker - Stock ticker symbol
+ * @returns {boolean} - True if valid (see parseTicker for the accepted forms)
+ */
+function isValidTicker(ticker) {
+    return parseTicker(ticker) !== null;
 }
 
 /**
  * Format ticker symbol
  * @param {string} ticker - Stock ticker symbol
- * @returns {string} - Formatted ticker
+ * @returns {string} - Canonical ticker (BRK-B -> BRK.B), or the trimmed upper-case text if it doesn't parse
  */
 function formatTicker(ticker) {
     if (!ticker) return '';
-    return ticker.trim().toUpperCase();
+    
+    const parsed = parseTicker(ticker);
+    return parsed ? parsed.symbol : ticker.trim().toUpperCase();
+}
+
+/**
+ * Write a ticker the way a provider expects it
+ *  - finnhub, marketaux: canonical form (BRK.B, RCI-B.TO, 7203.T)
+ *  - sec: EDGAR's dash form for US share classes (BRK-B); null for non-US listings
+ *  - wikidata, reddit: the symbol on its home exchange, without the suffix (BRK.B, SHOP, 7203)
+ * @param {string} ticker - Stock ticker symbol
+ * @param {string} provider - Provider name
+ * @returns {string|null} - Provider symbol (null when the provider doesn't cover the listing)
+ */
+function formatTickerForProvider(ticker, provider) {
+    const parsed = parseTicker(ticker);
+    if (!parsed) return formatTicker(ticker);
+    
+    switch (provider) {
+        case 'sec':
+            return parsed.exchangeSuffix ? null : [parsed.root, parsed.shareClass].filter(Boolean).join('-');
+        case 'wikidata':
+        case 'reddit':
+            return [parsed.root, parsed.shareClass].filter(Boolean).join('.');
+        default:
+            return parsed.symbol;
+    }
+}
+
+/**
+ * Get the TTL for a cache key from CONFIG.CACHE_TTLS (longest matching prefix wins)
+ * @param {string} key - Cache key
+ * @returns {number} - Time to live in milliseconds
+ */
+function getCacheTtl(key) {
+    let bestPrefix = '';
+    Object.keys(CONFIG.CACHE_TTLS || {}).forEach(prefix => {
+        if (key.startsWith(prefix) && prefix.length > bestPrefix.length) {
+            bestPrefix = prefix;
+        }
+    });
+    
+    return bestPrefix ? CONFIG.CACHE_TTLS[bestPrefix] : CONFIG.CACHE_DURATION;
+}
+
+/**
+ * Estimate the stored size of cached data
+ * @param {any} data - Data to measure
+ * @returns {number} - Approximate size in bytes
+ */
+function estimateSize(data) {
+    try {
+        return JSON.stringify(data)?.length || 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * Evict least recently used entries until the cache is within its limits
+ */
+function enforceCacheLimits() {
+    let totalBytes = 0;
+    cache.forEach(item => {
+        totalBytes += item.size || 0;
+    });
+    
+    // Map iteration order is insertion order, and reads re-insert, so the first key is least recently used
+    while (cache.size > 0 && (cache.size > CONFIG.CACHE_MAX_ENTRIES || totalBytes > CONFIG.CACHE_MAX_BYTES)) {
+        const [oldestKey, oldestItem] = cache.entries().next().value;
+        cache.delete(oldestKey);
+        totalBytes -= oldestItem.size || 0;
+        
+        if (typeof CacheStore !== 'undefined') {
+            CacheStore.remove(oldestKey);
+        }
+    }
+}
+
+/**
+ * Check whether an entry is past its TTL plus the stale-while-revalidate window
+ * @param {Object} item - Cache entry
+ * @param {number} now - Current time
+ * @returns {boolean} - True if the entry should be discarded
+ */
+function isCacheEntryDead(item, now = Date.now()) {
+    return now - item.timestamp > item.ttl + CONFIG.CACHE_MAX_STALE;
+}
+
+/**
+ * Load persisted entries into the in-memory cache (runs once per page load)
+ * @returns {Promise} - Resolves when the persistent cache has been loaded
+ */
+function whenCacheReady() {
+    if (cacheReadyPromise) return cacheReadyPromise;
+    
+    if (!CONFIG.FEATURES.CACHING_ENABLED || !CONFIG.FEATURES.PERSISTENT_CACHE_ENABLED || typeof CacheStore === 'undefined') {
+        cacheReadyPromise = Promise.resolve();
+        return cacheReadyPromise;
+    }
+    
+    cacheReadyPromise = CacheStore.init()
+        .then(entries => {
+            const now = Date.now();
+            
+            // Oldest access first, so the Map ends up in LRU order
+            entries
+                .filter(entry => entry && entry.key)
+                .sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0))
+                .forEach(entry => {
+                    if (isCacheEntryDead(entry, now)) {
+                        CacheStore.remove(entry.key);
+                    } else if (!cache.has(entry.key)) {
+                        // Entries written during hydration are newer than the stored copy
+                        cache.set(entry.key, entry);
+                    }
+                });
+            
+            enforceCacheLimits();
+        })
+        .catch(error => {
+            console.warn('Failed to load persistent cache:', error);
+        });
+    
+    return cacheReadyPromise;
 }
 
 /**
- * Simple cache implementation
+ * Store data in the cache (memory + persistent storage)
  * @param {string} key - Cache key
  * @param {any} data - Data to cache
- * @param {number} ttl - Time to live in milliseconds
+ * @param {number} ttl - Time to live in milliseconds (defaults to the endpoint TTL)
  */
-function setCache(key, data, ttl = CONFIG.CACHE_DURATION) {
+function setCache(key, data, ttl = getCacheTtl(key)) {
     if (!CONFIG.FEATURES.CACHING_ENABLED) return;
     
+    const now = Date.now();
     const item = {
+        key,
         data,
-        timestamp: Date.now(),
-        ttl
+        timestamp: now,
+        ttl,
+        size: estimateSize(data),
+        lastAccessed: now
     };
     
+    // Re-insert so the entry becomes most recently used
+    cache.delete(key);
     cache.set(key, item);
+    enforceCacheLimits();
+    
+    if (cache.has(key) && typeof CacheStore !== 'undefined') {
+        CacheStore.put(item);
+    }
 }
 
 /**
- * Get data from cache
+ * Get a cache entry, including stale entries still inside the stale-while-revalidate window
  * @param {string} key - Cache key
- * @returns {any|null} - Cached data or null if expired/not found
+ * @returns {Object|null} - { data, timestamp, ttl, isStale } or null if missing/dead
  */
-function getCache(key) {
+function getCacheEntry(key) {
     if (!CONFIG.FEATURES.CACHING_ENABLED) return null;
     
     const item = cache.get(key);
     if (!item) return null;
     
     const now = Date.now();
-    if (now - item.timestamp > item.ttl) {
-        cache.delete(key);
+    if (isCacheEntryDead(item, now)) {
+        clearCache(key);
         return null;
     }
     
-    return item.data;
+    // Mark as most recently used; only persist the access time occasionally
+    const persistAccess = now - item.lastAccessed > 60000;
+    item.lastAccessed = now;
+    cache.delete(key);
+    cache.set(key, item);
+    if (persistAccess && typeof CacheStore !== 'undefined') {
+        CacheStore.put(item);
+    }
+    
+    return {
+        data: item.data,
+        timestamp: item.timestamp,
+        ttl: item.ttl,
+        isStale: now - item.timestamp > item.ttl
+    };
+}
+
+/**
+ * Get data from cache
+ * @param {string} key - Cache key
+ * @returns {any|null} - Cached data or null if expired/not found
+ */
+function getCache(key) {
+    const entry = getCacheEntry(key);
+    if (!entry || entry.isStale) return null;
+    
+    return entry.data;
 }
 
 /**
@@ -82,8 +316,10 @@ function getCache(key) {
 function clearCache(key = null) {
     if (key) {
         cache.delete(key);
+        if (typeof CacheStore !== 'undefined') CacheStore.remove(key);
     } else {
         cache.clear();
+        if (typeof CacheStore !== 'undefined') CacheStore.clear();
     }
 }
 
@@ -96,26 +332,259 @@ function getCacheSize() {
 }
 
 /**
- * Rate limiting check
- * @returns {boolean} - True if request is allowed
+ * Get cache statistics
+ * @returns {Object} - Entry count, approximate bytes, stale count and storage backend
  */
-function checkRateLimit() {
+function getCacheStats() {
     const now = Date.now();
+    let bytes = 0;
+    let stale = 0;
+    
+    cache.forEach(item => {
+        bytes += item.size || 0;
+        if (now - item.timestamp > item.ttl) stale++;
+    });
     
-    // Reset counter if more than 1 minute has passed
-    if (now - lastRequestTime > 60000) {
-        requestCount = 0;
-        lastRequestTime = now;
+    return {
+        entries: cache.size,
+        bytes,
+        stale,
+        backend: typeof CacheStore !== 'undefined' ? CacheStore.getBackendName() : 'memory'
+    };
+}
+
+/**
+ * Get (or create) the token bucket for a provider
+ * Bucket state is kept in localStorage so daily quotas survive page loads.
+ * @param {string} provider - Provider name (key in CONFIG.RATE_LIMITS)
+ * @returns {Object} - Token bucket
+ */
+function getRateLimitBucket(provider) {
+    if (rateLimitBuckets[provider]) return rateLimitBuckets[provider];
+    
+    const limit = CONFIG.RATE_LIMITS[provider] || CONFIG.RATE_LIMITS.default;
+    const bucket = {
+        capacity: limit.tokens,
+        refillPerMs: limit.tokens / limit.intervalMs,
+        tokens: limit.tokens,
+        lastRefill: Date.now(),
+        pausedUntil: 0,
+        queue: [],
+        timer: null
+    };
+    
+    try {
+        const stored = JSON.parse(localStorage.getItem(RATE_LIMIT_STORAGE_PREFIX + provider));
+        if (stored) {
+            bucket.tokens = Math.min(bucket.capacity, stored.tokens);
+            bucket.lastRefill = stored.lastRefill;
+            bucket.pausedUntil = stored.pausedUntil || 0;
+        }
+    } catch (error) {
+        // Start with a full bucket if stored state is unreadable
     }
     
-    if (requestCount >= CONFIG.MAX_REQUESTS_PER_MINUTE) {
+    rateLimitBuckets[provider] = bucket;
+    return bucket;
+}
+
+/**
+ * Save bucket state so it survives page loads
+ * @param {string} provider - Provider name
+ * @param {Object} bucket - Token bucket
+ */
+function storeRateLimitBucket(provider, bucket) {
+    try {
+        localStorage.setItem(RATE_LIMIT_STORAGE_PREFIX + provider, JSON.stringify({
+            tokens: bucket.tokens,
+            lastRefill: bucket.lastRefill,
+            pausedUntil: bucket.pausedUntil
+        }));
+    } catch (error) {
+        // Storage full or unavailable, limits still apply for this page
+    }
+}
+
+/**
+ * Add tokens earned since the last refill
+ * @param {Object} bucket - Token bucket
+ */
+function refillRateLimitBucket(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.lastRefill) * bucket.refillPerMs);
+    bucket.lastRefill = now;
+}
+
+/**
+ * Release queued requests that have tokens, and schedule the next release
+ * @param {string} provider - Provider name
+ */
+function drainRateLimitQueue(provider) {
+    const bucket = getRateLimitBucket(provider);
+    clearTimeout(bucket.timer);
+    bucket.timer = null;
+    
+    refillRateLimitBucket(bucket);
+    const now = Date.now();
+    
+    while (bucket.queue.length > 0 && now >= bucket.pausedUntil && bucket.tokens >= 1) {
+        const waiter = bucket.queue.shift();
+        
+        // Cancelled requests leave the queue on abort; never spend a token on one
+        if (waiter.signal && waiter.signal.aborted) continue;
+        
+        bucket.tokens -= 1;
+        waiter.release();
+    }
+    
+    storeRateLimitBucket(provider, bucket);
+    
+    if (bucket.queue.length > 0) {
+        const wait = Math.max(bucket.pausedUntil - now, (1 - bucket.tokens) / bucket.refillPerMs);
+        bucket.timer = setTimeout(() => drainRateLimitQueue(provider), Math.ceil(Math.max(wait, 0)));
+    }
+}
+
+/**
+ * Wait for a rate limit token, queueing behind earlier requests
+ * @param {string} provider - Provider name (key in CONFIG.RATE_LIMITS)
+ * @param {AbortSignal} signal - Optional signal; aborting leaves the queue without using a token
+ * @returns {Promise} - Resolves when the request may be sent; rejects if the wait would exceed
+ *                      CONFIG.RATE_LIMIT_MAX_WAIT, or with an AbortError if the signal aborts first
+ */
+function acquireRateLimit(provider = 'default', signal = null) {
+    if (signal && signal.aborted) {
+        return Promise.reject(new DOMException('Request cancelled', 'AbortError'));
+    }
+    
+    const bucket = getRateLimitBucket(provider);
+    refillRateLimitBucket(bucket);
+    
+    // Estimate how long this request would wait behind the queue
+    const now = Date.now();
+    const tokensNeeded = bucket.queue.length + 1 - bucket.tokens;
+    const wait = Math.max(bucket.pausedUntil - now, tokensNeeded > 0 ? tokensNeeded / bucket.refillPerMs : 0);
+    
+    if (wait > CONFIG.RATE_LIMIT_MAX_WAIT) {
+        return Promise.reject(new Error(`${provider} rate limit exceeded. Please try again later.`));
+    }
+    
+    if (wait > 0) {
+        console.log(`⏳ Queueing ${provider} request for ~${Math.ceil(wait / 1000)}s (rate limit)`);
+    }
+    
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            const index = bucket.queue.indexOf(waiter);
+            if (index >= 0) {
+                bucket.queue.splice(index, 1);
+            }
+            reject(new DOMException('Request cancelled', 'AbortError'));
+            // Requests behind this one may be able to go sooner
+            drainRateLimitQueue(provider);
+        };
+        
+        const waiter = {
+            signal,
+            release: () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }
+        };
+        
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        bucket.queue.push(waiter);
+        drainRateLimitQueue(provider);
+    });
+}
+
+/**
+ * Pause a provider's queue, e.g. after a 429 with Retry-After
+ * @param {string} provider - Provider name
+ * @param {number} ms - Pause duration in milliseconds
+ */
+function pauseRateLimit(provider, ms) {
+    const bucket = getRateLimitBucket(provider);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+    drainRateLimitQueue(provider);
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds or null if missing/invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    
+    const date = new Date(value).getTime();
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+    
+    return null;
+}
+
+/**
+ * Rate limiting check (non-blocking: takes a token if one is free)
+ * @param {string} provider - Provider name
+ * @returns {boolean} - True if request is allowed
+ */
+function checkRateLimit(provider = 'default') {
+    const bucket = getRateLimitBucket(provider);
+    refillRateLimitBucket(bucket);
+    
+    if (Date.now() < bucket.pausedUntil || bucket.queue.length > 0 || bucket.tokens < 1) {
         return false;
     }
     
-    requestCount++;
+    bucket.tokens -= 1;
+    storeRateLimitBucket(provider, bucket);
     return true;
 }
 
+/**
+ * Get rate limit status for a provider
+ * @param {string} provider - Provider name
+ * @returns {Object} - Available tokens, capacity, queued requests and pause end time
+ */
+function getRateLimitStatus(provider = 'default') {
+    const bucket = getRateLimitBucket(provider);
+    refillRateLimitBucket(bucket);
+    
+    return {
+        tokens: Math.floor(bucket.tokens),
+        capacity: bucket.capacity,
+        queued: bucket.queue.length,
+        pausedUntil: bucket.pausedUntil > Date.now() ? new Date(bucket.pausedUntil).toISOString() : null
+    };
+}
+
+/**
+ * Count the single-character edits (insert, delete, replace) between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Levenshtein distance
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
 /**
  * Debounce function
  * @param {Function} func - Function to debounce
@@ -178,6 +647,38 @@ function formatCurrency(amount, currency = 'USD') {
     }).format(amount);
 }
 
+/**
+ * Format a large currency amount compactly ("$94.3B", "C$1.2M")
+ * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code (default: USD)
+ * @returns {string} - Formatted currency
+ */
+function formatCompactCurrency(amount, currency = 'USD') {
+    if (amount === null || amount === undefined) return 'N/A';
+    
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: currency,
+        notation: 'compact',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 1
+    }).format(amount);
+}
+
+/**
+ * Get the symbol for a currency ("$", "C$", "£", "¥")
+ * @param {string} currency - Currency code (default: USD)
+ * @returns {string} - Currency symbol, or the code if the browser doesn't know it
+ */
+function getCurrencySymbol(currency = 'USD') {
+    try {
+        const parts = new Intl.NumberFormat('en-US', { style: 'currency', currency }).formatToParts(0);
+        return parts.find(part => part.type === 'currency').value;
+    } catch (error) {
+        return `${currency} `;
+    }
+}
+
 /**
  * Format percentage
  * @param {number} value - Value to format
@@ -201,6 +702,35 @@ function truncateText(text, maxLength = 100) {
     return text.substring(0, maxLength) + '...';
 }
 
+/**
+ * Escape text for use in HTML markup or a quoted attribute
+ * @param {any} text - Text from an outside source (news, feeds, Reddit)
+ * @returns {string} - Text with &, <, >, " and ' escaped
+ */
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Keep a link only if it is an http(s) URL (feeds and APIs can carry javascript: or data: links)
+ * @param {string} url - Link from an outside source
+ * @returns {string} - The URL, or '' if it isn't http(s)
+ */
+function getSafeUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol) ? url : '';
+    } catch (error) {
+        return '';
+    }
+}
+
 /**
  * Get relative time string
  * @param {Date|string} date - Date to format
@@ -342,18 +872,33 @@ function merge(...objects) {
 // Export functions for use in other modules
 window.Utils = {
     isValidTicker,
+    parseTicker,
     formatTicker,
+    formatTickerForProvider,
     setCache,
     getCache,
+    getCacheEntry,
+    getCacheTtl,
     clearCache,
     getCacheSize,
+    getCacheStats,
+    whenCacheReady,
     checkRateLimit,
+    acquireRateLimit,
+    pauseRateLimit,
+    parseRetryAfter,
+    getRateLimitStatus,
+    editDistance,
     debounce,
     throttle,
     formatNumber,
     formatCurrency,
+    formatCompactCurrency,
+    getCurrencySymbol,
     formatPercentage,
     truncateText,
+    escapeHtml,
+    getSafeUrl,
     getRelativeTime,
     generateId,
     isMobile,
@@ -364,4 +909,7 @@ window.Utils = {
     retry,
     deepClone,
     merge
-}; 
\ No newline at end of file
+};
+
+// Start loading the persistent cache as early as possible
+whenCacheReady();
@@ -0,0 +1,173 @@
+// ===== PROXY DISK CACHE =====
+// Shared cache for every browser using the proxy. One JSON file per key,
+// with the same per-endpoint TTLs as the browser cache (CONFIG.CACHE_TTLS).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// How often expired entries are removed and the size cap is enforced
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Get the TTL for a cache key (longest matching CONFIG.CACHE_TTLS prefix)
+ * @param {Object} config - App configuration
+ * @param {string} key - Cache key
+ * @returns {number} - TTL in milliseconds
+ */
+function getCacheTtl(config, key) {
+    const prefix = Object.keys(config.CACHE_TTLS)
+        .filter(candidate => key.startsWith(candidate))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? config.CACHE_TTLS[prefix] : config.CACHE_DURATION;
+}
+
+/**
+ * List cache files with their size and last write time
+ * @param {string} directory - Cache directory
+ * @returns {Promise<Array>} - [{ file, size, mtime }]
+ */
+async function listEntries(directory) {
+    const files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.json'));
+    const entries = await Promise.all(files.map(file =>
+        fs.promises.stat(path.join(directory, file))
+            .then(stat => ({ file: path.join(directory, file), size: stat.size, mtime: stat.mtimeMs }))
+            .catch(() => null)));
+
+    return entries.filter(Boolean);
+}
+
+/**
+ * Create a disk cache
+ * @param {Object} config - App configuration
+ * @param {string} directory - Cache directory (created if missing)
+ * @param {Object} options - Cache options
+ * @param {number} options.maxBytes - Size cap; the oldest entries go first when a sweep finds the cache over it
+ * @param {boolean} options.autoSweep - Sweep on start and every SWEEP_INTERVAL (default true)
+ * @returns {Object} - Cache with get/set/clear/sweep/stats
+ */
+function createDiskCache(config, directory, { maxBytes = DEFAULT_MAX_BYTES, autoSweep = true } = {}) {
+    fs.mkdirSync(directory, { recursive: true });
+
+    // Keys can contain anything a ticker or search term can, so hash them for file names
+    const fileFor = key => path.join(directory, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+    const cache = {
+        /**
+         * Read an entry
+         * @param {string} key - Cache key
+         * @returns {Object|null} - { data, timestamp, ttl, isStale } or null if missing/too old
+         */
+        async get(key) {
+            try {
+                const entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+                const age = Date.now() - entry.timestamp;
+
+                if (age > entry.ttl + config.CACHE_MAX_STALE) {
+                    await fs.promises.unlink(fileFor(key)).catch(() => {});
+                    return null;
+                }
+
+                return { ...entry, isStale: age > entry.ttl };
+            } catch (error) {
+                return null;
+            }
+        },
+
+        /**
+         * Write an entry
+         * @param {string} key - Cache key
+         * @param {any} data - Data to cache
+         */
+        async set(key, data) {
+            const entry = { key, data, timestamp: Date.now(), ttl: getCacheTtl(config, key) };
+
+            try {
+                await fs.promises.writeFile(fileFor(key), JSON.stringify(entry));
+            } catch (error) {
+                console.warn('Proxy cache write failed:', key, error.message);
+            }
+        },
+
+        /**
+         * Remove every entry
+         */
+        async clear() {
+            const files = await fs.promises.readdir(directory);
+            await Promise.all(files
+                .filter(file => file.endsWith('.json'))
+                .map(file => fs.promises.unlink(path.join(directory, file)).catch(() => {})));
+        },
+
+        /**
+         * Remove entries past their stale window, then the oldest entries until the cache fits maxBytes
+         * (get() only drops an expired entry when that key is read again)
+         * @returns {Object} - { removed, bytes } after the sweep
+         */
+        async sweep() {
+            const now = Date.now();
+            const kept = [];
+            let removed = 0;
+
+            for (const entry of await listEntries(directory)) {
+                let expired;
+                try {
+                    const { timestamp, ttl } = JSON.parse(await fs.promises.readFile(entry.file, 'utf8'));
+                    expired = now - timestamp > ttl + config.CACHE_MAX_STALE;
+                } catch (error) {
+                    // Unreadable or half-written entries are useless to get() too
+                    expired = true;
+                }
+
+                if (expired) {
+                    await fs.promises.unlink(entry.file).catch(() => {});
+                    removed++;
+                } else {
+                    kept.push(entry);
+                }
+            }
+
+            let bytes = kept.reduce((sum, entry) => sum + entry.size, 0);
+            kept.sort((a, b) => a.mtime - b.mtime);
+
+            while (bytes > maxBytes && kept.length > 0) {
+                const oldest = kept.shift();
+                await fs.promises.unlink(oldest.file).catch(() => {});
+                bytes -= oldest.size;
+                removed++;
+            }
+
+            return { removed, bytes };
+        },
+
+        /**
+         * Count entries and bytes on disk
+         * @returns {Object} - { entries, bytes }
+         */
+        async stats() {
+            const entries = await listEntries(directory);
+
+            return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.size, 0) };
+        }
+    };
+
+    if (autoSweep) {
+        const runSweep = () => cache.sweep()
+            .then(({ removed, bytes }) => {
+                if (removed > 0) {
+                    console.log(`🧹 Proxy cache sweep removed ${removed} entries (${Math.round(bytes / 1024)} KB left)`);
+                }
+            })
+            .catch(error => console.warn('Proxy cache sweep failed:', error.message));
+
+        runSweep();
+        // Don't keep the process alive just for the sweep
+        setInterval(runSweep, SWEEP_INTERVAL).unref();
+    }
+
+    return cache;
+}
+
+module.exports = { createDiskCache, getCacheTtl };
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+// ===== NOCHARTS LOCAL PROXY SERVER =====
+// Optional server that serves the static site plus /api/* routes mirroring
+// the api.js getters. Keys come from environment variables and never reach
+// the browser; responses are cached on disk and shared by every visitor.
+//
+// Usage:
+//   FINNHUB_API_KEY=... MARKETAUX_API_KEY=... npm run proxy
+//
+// Environment:
+//   PORT              Port to listen on (default 8787)
+//   HOST              Interface to bind (default 127.0.0.1)
+//   FINNHUB_API_KEY   Finnhub key for profile, quote, metrics, earnings and search
+//   MARKETAUX_API_KEY Marketaux key for news
+//   REDDIT_CLIENT_ID, REDDIT_CLIENT_SECRET
+//                     Reddit "script" or "web" app for social posts
+//   SEC_USER_AGENT    "Name email" sent to SEC EDGAR, as SEC fair access requires
+//   FEED_ALLOWLIST    Comma-separated feed hosts or URLs /api/feed may fetch
+//   CACHE_DIR         Disk cache directory (default server/.cache)
+//   CACHE_MAX_MB      Disk cache size cap in MB, enforced hourly (default 100)
+//   ALLOWED_ORIGINS   Extra comma-separated origins that may use the API, e.g. the
+//                     proxy's LAN address when HOST=0.0.0.0 (the proxy's own
+//                     localhost origins and live-server on :3000 are always allowed)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG = require('../js/config.js');
+const { createDiskCache } = require('./disk-cache');
+const { createApiHandler } = require('./routes');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const SITE_ROOT = path.resolve(__dirname, '..');
+const CACHE_DIR = path.resolve(process.env.CACHE_DIR || path.join(__dirname, '.cache'));
+const CACHE_MAX_BYTES = (parseFloat(process.env.CACHE_MAX_MB) || 100) * 1024 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.xml': 'application/xml; charset=utf-8'
+};
+
+// Never serve the server itself, dependencies or dotfiles
+const BLOCKED_PATHS = ['server', 'node_modules', 'package.json', 'package-lock.json'];
+
+// Origins whose pages may call the API: the proxy itself and the live-server dev site
+const ALLOWED_ORIGINS = [
+    `http://localhost:${PORT}`,
+    `http://127.0.0.1:${PORT}`,
+    `http://${HOST}:${PORT}`,
+    'http://localhost:3000',
+    'http://127.0.0.1:3000',
+    ...(process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean)
+];
+
+/**
+ * Check that an API request comes from the app
+ * Other sites' pages could otherwise spend the proxy's keys (or read its responses),
+ * and the Host check stops DNS rebinding from passing another site off as the proxy.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} - True when the Host, and the Origin if sent, are allowed
+ */
+function isAllowedRequest(req) {
+    const origin = req.headers.origin;
+    if (!ALLOWED_ORIGINS.includes(`http://${req.headers.host}`)) {
+        return false;
+    }
+    if (origin) {
+        return ALLOWED_ORIGINS.includes(origin);
+    }
+    // Requests without an Origin (e.g. <img> or <script> tags) still say where they come from
+    return req.headers['sec-fetch-site'] !== 'cross-site';
+}
+
+/**
+ * Get the CORS headers for a request (only allowed origins get any)
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object} - Headers
+ */
+function getCorsHeaders(req) {
+    const origin = req.headers.origin;
+    if (!origin || !ALLOWED_ORIGINS.includes(origin)) {
+        return { 'Vary': 'Origin' };
+    }
+
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Expose-Headers': 'Retry-After, X-Cache',
+        'Vary': 'Origin'
+    };
+}
+
+/**
+ * Send a JSON response (with CORS so a site on live-server can use the proxy)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {any} body - JSON body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...headers
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a plain-text response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} text - Body
+ */
+function sendText(res, status, text) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(text);
+}
+
+/**
+ * Serve a file from the site root
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Request path
+ */
+async function serveStatic(res, pathname) {
+    let relativePath;
+    try {
+        relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch (error) {
+        // Malformed percent-encoding (e.g. /%E0%A4%A)
+        sendText(res, 400, 'Bad request');
+        return;
+    }
+
+    const filePath = path.resolve(SITE_ROOT, relativePath);
+    const firstSegment = relativePath.split('/')[0];
+
+    if (!filePath.startsWith(SITE_ROOT + path.sep) ||
+        firstSegment.startsWith('.') ||
+        BLOCKED_PATHS.includes(firstSegment)) {
+        sendText(res, 404, 'Not found');
+        return;
+    }
+
+    try {
+        const content = await fs.promises.readFile(filePath);
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(content);
+    } catch (error) {
+        sendText(res, 404, 'Not found');
+    }
+}
+
+/**
+ * Start the proxy server
+ * @returns {http.Server} - Listening server
+ */
+function startServer() {
+    const cache = createDiskCache(CONFIG, CACHE_DIR, { maxBytes: CACHE_MAX_BYTES });
+    const handleApiRequest = createApiHandler(CONFIG, cache);
+
+    const server = http.createServer(async (req, res) => {
+        let pathname, searchParams;
+        try {
+            ({ pathname, searchParams } = new URL(req.url, 'http://localhost'));
+        } catch (error) {
+            sendText(res, 400, 'Bad request');
+            return;
+        }
+
+        if (!pathname.startsWith('/api/')) {
+            try {
+                await serveStatic(res, pathname);
+            } catch (error) {
+                console.error(`❌ ${pathname}:`, error.message);
+                if (!res.headersSent) {
+                    sendText(res, 500, 'Server error');
+                } else {
+                    res.end();
+                }
+            }
+            return;
+        }
+
+        const corsHeaders = getCorsHeaders(req);
+
+        if (!isAllowedRequest(req)) {
+            sendJson(res, 403, { error: 'Origin not allowed (add it to ALLOWED_ORIGINS)' }, corsHeaders);
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                ...corsHeaders,
+                'Access-Control-Allow-Methods': 'GET, OPTIONS',
+                'Access-Control-Allow-Headers': 'Accept, Content-Type'
+            });
+            res.end();
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' }, corsHeaders);
+            return;
+        }
+
+        try {
+            const result = await handleApiRequest(pathname, searchParams);
+            sendJson(res, result.status, result.body, { ...corsHeaders, ...result.headers });
+        } catch (error) {
+            const status = error.status || 500;
+            const headers = error.retryAfter ? { ...corsHeaders, 'Retry-After': error.retryAfter } : corsHeaders;
+
+            if (status >= 500) {
+                console.error(`❌ ${pathname}:`, error.message);
+            }
+
+            sendJson(res, status, { error: error.message }, headers);
+        }
+    });
+
+    server.listen(PORT, HOST, () => {
+        const keys = ['FINNHUB_API_KEY', 'MARKETAUX_API_KEY', 'REDDIT_CLIENT_ID', 'REDDIT_CLIENT_SECRET']
+            .map(name => `${name} ${process.env[name] ? '✅' : '❌'}`)
+            .join(', ');
+
+        console.log(`🛰️  NoCharts proxy running at http://${HOST}:${PORT}`);
+        console.log(`🔑 Keys: ${keys}`);
+        console.log(`💾 Disk cache: ${CACHE_DIR}`);
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { startServer };
@@ -0,0 +1,686 @@
+// ===== PROXY API ROUTES =====
+// Each route mirrors an api.js getter and returns the same raw upstream JSON,
+// so the browser runs its usual processing on proxied responses.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Error with an HTTP status to send back to the browser
+ */
+class ProxyError extends Error {
+    constructor(status, message, retryAfter = null) {
+        super(message);
+        this.name = 'ProxyError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Read provider keys from the environment (CONFIG values are a fallback for private builds)
+ * @param {Object} config - App configuration
+ * @returns {Object} - Keys by provider name (null when missing)
+ */
+function getProviderKeys(config) {
+    return {
+        finnhub: process.env.FINNHUB_API_KEY || config.FINNHUB_API_KEY || null,
+        marketaux: process.env.MARKETAUX_API_KEY || config.MARKETAUX_API_KEY || null,
+        // The proxy can keep a secret, so it uses a confidential ("script" or "web") Reddit app
+        reddit: process.env.REDDIT_CLIENT_ID && process.env.REDDIT_CLIENT_SECRET
+            ? { clientId: process.env.REDDIT_CLIENT_ID, clientSecret: process.env.REDDIT_CLIENT_SECRET }
+            : null
+    };
+}
+
+// Environment variables that configure each provider (for error messages)
+const KEY_ENV_NAMES = {
+    finnhub: 'FINNHUB_API_KEY',
+    marketaux: 'MARKETAUX_API_KEY',
+    reddit: 'REDDIT_CLIENT_ID and REDDIT_CLIENT_SECRET'
+};
+
+// Reddit asks API clients for a descriptive User-Agent
+const REDDIT_USER_AGENT = 'nocharts-proxy/1.0';
+
+// Application-only Reddit token, shared by every request until it expires
+let redditToken = null;
+
+/**
+ * Get a Reddit access token with the client_credentials grant
+ * @param {Object} config - App configuration
+ * @param {Object} credentials - { clientId, clientSecret }
+ * @returns {Promise<string>} - Access token
+ */
+async function getRedditToken(config, credentials) {
+    if (redditToken && redditToken.clientId === credentials.clientId && redditToken.expiresAt - 60 * 1000 > Date.now()) {
+        return redditToken.accessToken;
+    }
+
+    const response = await fetch(config.REDDIT_TOKEN_URL, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Basic ${Buffer.from(`${credentials.clientId}:${credentials.clientSecret}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'User-Agent': REDDIT_USER_AGENT
+        },
+        body: 'grant_type=client_credentials'
+    });
+
+    const data = response.ok ? await response.json() : {};
+    if (!data.access_token) {
+        throw new ProxyError(502, `Reddit token request failed: ${data.error || response.status}`);
+    }
+
+    redditToken = {
+        clientId: credentials.clientId,
+        accessToken: data.access_token,
+        expiresAt: Date.now() + (data.expires_in || 3600) * 1000
+    };
+    return redditToken.accessToken;
+}
+
+/**
+ * Read the subreddit list from a query string
+ * @param {URLSearchParams} query - Request query
+ * @param {Object} config - App configuration
+ * @returns {string} - Valid names joined with "+"
+ */
+function formatSubreddits(query, config) {
+    const names = (query.get('subreddits') || '')
+        .split('+')
+        .filter(name => /^[A-Za-z0-9_]{2,21}$/.test(name));
+
+    return (names.length > 0 ? names : config.REDDIT_SUBREDDITS).join('+');
+}
+
+// Feeds bigger than this are refused rather than cached
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+// Filed documents (a 10-K with inline XBRL) run larger than feeds
+const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+
+// Redirects followed when fetching a feed (each hop is checked again)
+const MAX_FEED_REDIRECTS = 3;
+
+/**
+ * Read the feeds the proxy may fetch from FEED_ALLOWLIST
+ * Entries are feed URLs (matched exactly) or host names (matching the host and its subdomains).
+ * @returns {Array} - Allowlist entries
+ */
+function getFeedAllowlist() {
+    return (process.env.FEED_ALLOWLIST || '')
+        .split(',')
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Check a feed URL against FEED_ALLOWLIST
+ * @param {URL} url - Feed URL
+ * @returns {boolean} - True if an entry allows it
+ */
+function isAllowedFeedUrl(url) {
+    const host = url.hostname.toLowerCase();
+    return getFeedAllowlist().some(entry => entry.includes('://')
+        ? entry === url.toString().toLowerCase()
+        : host === entry || host.endsWith(`.${entry}`));
+}
+
+/**
+ * Read and check the feed URL from a query string
+ * @param {URLSearchParams} query - Request query
+ * @returns {string} - Absolute http(s) URL on FEED_ALLOWLIST
+ */
+function getFeedUrl(query) {
+    let url;
+    try {
+        url = new URL(query.get('url') || '');
+    } catch (error) {
+        // Reported below
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        throw new ProxyError(400, 'url must be an absolute http(s) URL');
+    }
+    if (!isAllowedFeedUrl(url)) {
+        throw new ProxyError(403, `Feed not allowed on this proxy (add ${url.hostname} to FEED_ALLOWLIST)`);
+    }
+    return url.toString();
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True for addresses a feed must not point at
+ */
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b <= 127) ||  // Carrier-grade NAT
+            (a === 169 && b === 254) ||            // Link-local (cloud metadata)
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 198 && (b === 18 || b === 19));  // Benchmarking
+    }
+
+    const normalized = address.toLowerCase();
+    const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+        return isPrivateAddress(mapped[1]);
+    }
+    return normalized === '::' || normalized === '::1' ||
+        /^f[cd]/.test(normalized) ||     // Unique local
+        /^fe[89ab]/.test(normalized) ||  // Link-local
+        /^ff/.test(normalized) ||        // Multicast
+        !net.isIPv6(normalized);
+}
+
+/**
+ * dns.lookup replacement that refuses private addresses
+ * Used as the socket's lookup, so the checked address is the one connected to (no DNS rebinding).
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked || addresses.length === 0) {
+            callback(new ProxyError(403, `Feed host ${hostname} resolves to a private address`));
+            return;
+        }
+
+        if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+}
+
+/**
+ * Fetch a feed from a public address, checking every redirect against FEED_ALLOWLIST
+ * @param {string} url - Feed URL (already allowed)
+ * @param {Object} config - App configuration
+ * @param {number} redirects - Redirects left to follow
+ * @returns {Promise<Object>} - { url, contentType, text }
+ */
+function fetchFeed(url, config, redirects = MAX_FEED_REDIRECTS) {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+
+    // Sockets skip the lookup for IP literals, so check those here
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        return Promise.reject(new ProxyError(403, `Feed host ${hostname} is a private address`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = (target.protocol === 'https:' ? https : http).get(target, {
+            headers: {
+                'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml, */*;q=0.1',
+                'User-Agent': 'nocharts-proxy/1.0'
+            },
+            lookup: lookupPublicAddress,
+            timeout: config.LOADING_TIMEOUT
+        }, response => {
+            const { statusCode, headers } = response;
+
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                if (redirects === 0) {
+                    reject(new ProxyError(502, 'Feed redirected too many times'));
+                    return;
+                }
+
+                const next = new URL(headers.location, target);
+                if ((next.protocol !== 'http:' && next.protocol !== 'https:') || !isAllowedFeedUrl(next)) {
+                    reject(new ProxyError(403, `Feed redirected to a URL not on FEED_ALLOWLIST (${next.hostname})`));
+                    return;
+                }
+                resolve(fetchFeed(next.toString(), config, redirects - 1));
+                return;
+            }
+
+            if (statusCode < 200 || statusCode >= 300) {
+                response.resume();
+                reject(new ProxyError(statusCode, `Upstream error: ${statusCode}`, headers['retry-after'] || null));
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_FEED_BYTES) {
+                    request.destroy(new ProxyError(502, 'Upstream response is too large'));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => resolve({ url, contentType: headers['content-type'] || null, text: Buffer.concat(chunks).toString('utf8') }));
+            response.on('error', reject);
+        });
+
+        request.on('timeout', () => request.destroy(new ProxyError(502, 'Upstream request timed out')));
+        request.on('error', error => reject(error instanceof ProxyError
+            ? error
+            : new ProxyError(502, `Upstream request failed: ${error.message}`)));
+    });
+}
+
+/**
+ * Decode a route parameter
+ * @param {string} value - Raw path segment
+ * @returns {string} - Decoded value
+ */
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        throw new ProxyError(400, 'Malformed URL escape in path');
+    }
+}
+
+/**
+ * Normalize a ticker from a route parameter
+ * @param {string} value - Raw path segment
+ * @returns {string} - Upper-case ticker
+ */
+function formatSymbol(value) {
+    return decodeParam(value).trim().toUpperCase();
+}
+
+/**
+ * Read a YYYY-MM-DD date parameter
+ * @param {URLSearchParams} query - Query string
+ * @param {string} name - Parameter name
+ * @returns {string} - Date
+ */
+function getCalendarDate(query, name) {
+    const value = query.get(name) || '';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new ProxyError(400, `Missing or invalid ${name} parameter (YYYY-MM-DD)`);
+    }
+    return value;
+}
+
+// Marketaux paging/window parameters passed through on /api/news
+const NEWS_WINDOW_PARAMS = ['page', 'published_after', 'published_before'];
+
+/**
+ * Route table. `provider` names the key a route needs (null = no key),
+ * `cacheKey` matches the browser's key so both caches share CONFIG.CACHE_TTLS,
+ * the optional `headers` adds request headers (only called on a cache miss) and
+ * `responseType: 'text'` wraps non-JSON bodies as { url, contentType, text }
+ * (no larger than `maxBytes`, default MAX_FEED_BYTES), and the optional `fetch`
+ * replaces fetchUpstream for routes whose URL comes from the caller.
+ */
+const ROUTES = [
+    {
+        // getFinnhubStockProfile
+        pattern: /^\/api\/profile\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol]) => `finnhub_profile_${formatSymbol(symbol)}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/profile2?symbol=${encodeURIComponent(formatSymbol(symbol))}&token=${keys.finnhub}`
+    },
+    {
+        // getFinnhubQuote
+        pattern: /^\/api\/quote\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol]) => `finnhub_quote_${formatSymbol(symbol)}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/quote?symbol=${encodeURIComponent(formatSymbol(symbol))}&token=${keys.finnhub}`
+    },
+    {
+        // getFinnhubBasicFinancials
+        pattern: /^\/api\/metrics\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol]) => `finnhub_basic_financials_${formatSymbol(symbol)}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/metric?symbol=${encodeURIComponent(formatSymbol(symbol))}&metric=all&token=${keys.finnhub}`
+    },
+    {
+        // getFinnhubEarnings
+        pattern: /^\/api\/earnings\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol]) => `finnhub_earnings_${formatSymbol(symbol)}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/earnings?symbol=${encodeURIComponent(formatSymbol(symbol))}&limit=12&token=${keys.finnhub}`
+    },
+    {
+        // getEpsEstimates
+        pattern: /^\/api\/eps-estimate\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol]) => `finnhub_eps_estimate_${formatSymbol(symbol)}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/eps-estimate?symbol=${encodeURIComponent(formatSymbol(symbol))}&freq=annual&token=${keys.finnhub}`
+    },
+    {
+        // getInsiderTransactions
+        pattern: /^\/api\/insider-transactions\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol], query) => `finnhub_insider_transactions_${formatSymbol(symbol)}_${getCalendarDate(query, 'from')}_${getCalendarDate(query, 'to')}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/insider-transactions?symbol=${encodeURIComponent(formatSymbol(symbol))}&from=${getCalendarDate(query, 'from')}&to=${getCalendarDate(query, 'to')}&token=${keys.finnhub}`
+    },
+    {
+        // getCompanyExecutives
+        pattern: /^\/api\/executives\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol]) => `finnhub_executives_${formatSymbol(symbol)}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/executive?symbol=${encodeURIComponent(formatSymbol(symbol))}&token=${keys.finnhub}`
+    },
+    {
+        // getRecommendationTrends
+        pattern: /^\/api\/recommendation\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol]) => `finnhub_recommendation_${formatSymbol(symbol)}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/recommendation?symbol=${encodeURIComponent(formatSymbol(symbol))}&token=${keys.finnhub}`
+    },
+    {
+        // getRatingChanges
+        pattern: /^\/api\/upgrade-downgrade\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol], query) => `finnhub_upgrade_downgrade_${formatSymbol(symbol)}_${getCalendarDate(query, 'from')}_${getCalendarDate(query, 'to')}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/upgrade-downgrade?symbol=${encodeURIComponent(formatSymbol(symbol))}&from=${getCalendarDate(query, 'from')}&to=${getCalendarDate(query, 'to')}&token=${keys.finnhub}`
+    },
+    {
+        // getDividendHistory
+        pattern: /^\/api\/dividend\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol], query) => `finnhub_dividend_${formatSymbol(symbol)}_${getCalendarDate(query, 'from')}_${getCalendarDate(query, 'to')}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/dividend?symbol=${encodeURIComponent(formatSymbol(symbol))}&from=${getCalendarDate(query, 'from')}&to=${getCalendarDate(query, 'to')}&token=${keys.finnhub}`
+    },
+    {
+        // getSplitHistory
+        pattern: /^\/api\/split\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol], query) => `finnhub_split_${formatSymbol(symbol)}_${getCalendarDate(query, 'from')}_${getCalendarDate(query, 'to')}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/split?symbol=${encodeURIComponent(formatSymbol(symbol))}&from=${getCalendarDate(query, 'from')}&to=${getCalendarDate(query, 'to')}&token=${keys.finnhub}`
+    },
+    {
+        // getPeers
+        pattern: /^\/api\/peers\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol]) => `finnhub_peers_${formatSymbol(symbol)}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/stock/peers?symbol=${encodeURIComponent(formatSymbol(symbol))}&token=${keys.finnhub}`
+    },
+    {
+        // getEarningsCalendar
+        pattern: /^\/api\/earnings-calendar\/([^/]+)$/,
+        provider: 'finnhub',
+        cacheKey: ([symbol], query) => `finnhub_earnings_calendar_${formatSymbol(symbol)}_${getCalendarDate(query, 'from')}_${getCalendarDate(query, 'to')}`,
+        url: ([symbol], query, config, keys) =>
+            `${config.FINNHUB_BASE_URL}/calendar/earnings?symbol=${encodeURIComponent(formatSymbol(symbol))}&from=${getCalendarDate(query, 'from')}&to=${getCalendarDate(query, 'to')}&token=${keys.finnhub}`
+    },
+    {
+        // searchCompanies
+        pattern: /^\/api\/search$/,
+        provider: 'finnhub',
+        cacheKey: (params, query) => `company_search_${(query.get('q') || '').toLowerCase().replace(/\s+/g, '_')}`,
+        url: (params, query, config, keys) => {
+            if (!query.get('q')) throw new ProxyError(400, 'Missing q parameter');
+            return `${config.FINNHUB_BASE_URL}/search?q=${encodeURIComponent(query.get('q'))}&token=${keys.finnhub}`;
+        }
+    },
+    {
+        // getMarketauxNews
+        pattern: /^\/api\/news\/([^/]+)$/,
+        provider: 'marketaux',
+        // Same key as getMarketauxNewsPage builds for this page and window
+        cacheKey: ([symbol], query) => {
+            const page = parseInt(query.get('page'), 10) || 1;
+            return [
+                `company_news_${formatSymbol(symbol)}_${parseInt(query.get('limit'), 10) || 10}`,
+                page > 1 ? `p${page}` : null,
+                query.get('published_after') ? `after${query.get('published_after')}` : null,
+                query.get('published_before') ? `before${query.get('published_before')}` : null
+            ].filter(Boolean).join('_');
+        },
+        url: ([symbol], query, config, keys) => {
+            const params = new URLSearchParams({
+                api_token: keys.marketaux,
+                symbols: formatSymbol(symbol),
+                filter_entities: 'true',
+                language: 'en',
+                limit: String(parseInt(query.get('limit'), 10) || 10)
+            });
+            NEWS_WINDOW_PARAMS.forEach(name => {
+                if (query.get(name)) params.set(name, query.get(name));
+            });
+            return `${config.MARKETAUX_BASE_URL}/news/all?${params.toString()}`;
+        }
+    },
+    {
+        // getWikipediaDescription
+        pattern: /^\/api\/wikipedia\/([^/]+)$/,
+        provider: null,
+        cacheKey: ([title]) => `wikipedia_summary_${decodeParam(title)}`,
+        url: ([title], query, config) => `${config.WIKIPEDIA_BASE_URL}/page/summary/${encodeURIComponent(decodeParam(title))}`
+    },
+    {
+        // getRedditPosts
+        pattern: /^\/api\/reddit\/([^/]+)$/,
+        provider: 'reddit',
+        cacheKey: ([symbol], query, config) =>
+            `reddit_posts_${formatSymbol(symbol)}_${formatSubreddits(query, config)}_${parseInt(query.get('limit'), 10) || config.REDDIT_POST_LIMIT}`,
+        url: ([symbol], query, config) => {
+            const params = new URLSearchParams({
+                q: query.get('q') || formatSymbol(symbol),
+                restrict_sr: '1',
+                sort: 'new',
+                t: config.REDDIT_SEARCH_WINDOW,
+                limit: String(parseInt(query.get('limit'), 10) || config.REDDIT_POST_LIMIT),
+                raw_json: '1'
+            });
+            return `${config.REDDIT_API_BASE}/r/${formatSubreddits(query, config)}/search?${params.toString()}`;
+        },
+        headers: async (config, keys) => ({
+            'Authorization': `Bearer ${await getRedditToken(config, keys.reddit)}`,
+            'User-Agent': REDDIT_USER_AGENT
+        })
+    },
+    {
+        // Feeds.fetchFeed (most RSS/Atom feeds don't allow browser requests)
+        pattern: /^\/api\/feed$/,
+        provider: null,
+        responseType: 'text',
+        cacheKey: (params, query) => `feed_${getFeedUrl(query)}`,
+        url: (params, query) => getFeedUrl(query),
+        fetch: (url, config) => fetchFeed(url, config)
+    },
+    {
+        // Edgar.getCikForTicker
+        pattern: /^\/api\/sec\/company-tickers$/,
+        provider: null,
+        cacheKey: () => 'edgar_company_tickers',
+        url: (params, query, config) => config.SEC_TICKERS_URL
+    },
+    {
+        // Edgar.getEdgarSubmissions
+        pattern: /^\/api\/sec\/submissions\/(\d{10})$/,
+        provider: null,
+        cacheKey: ([cik]) => `edgar_submissions_${cik}`,
+        url: ([cik], query, config) => `${config.SEC_BASE_URL}/submissions/CIK${cik}.json`
+    },
+    {
+        // Edgar.getStatementLines
+        pattern: /^\/api\/sec\/companyfacts\/(\d{10})$/,
+        provider: null,
+        cacheKey: ([cik]) => `edgar_companyfacts_${cik}`,
+        url: ([cik], query, config) => `${config.SEC_BASE_URL}/api/xbrl/companyfacts/CIK${cik}.json`
+    },
+    {
+        // Edgar.getSegmentRevenue (sec.gov's archives don't allow browser requests)
+        pattern: /^\/api\/sec\/archives\/(\d{1,10})\/(\d{18})\/([A-Za-z0-9._-]+\.html?)$/,
+        provider: null,
+        responseType: 'text',
+        maxBytes: MAX_DOCUMENT_BYTES,
+        cacheKey: ([cik, folder, document]) => `edgar_document_${cik}_${folder}_${document}`,
+        url: ([cik, folder, document], query, config) => `${config.SEC_ARCHIVES_URL}/${cik}/${folder}/${document}`
+    }
+];
+
+/**
+ * Find the route for a path
+ * @param {string} pathname - Request path
+ * @returns {Object|null} - { route, params } or null if no route matches
+ */
+function matchRoute(pathname) {
+    for (const route of ROUTES) {
+        const match = pathname.match(route.pattern);
+        if (match) {
+            return { route, params: match.slice(1) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Fetch JSON from an upstream API
+ * @param {string} url - Upstream URL (keys already injected)
+ * @param {Object} config - App configuration
+ * @param {Function} getHeaders - Optional async () => extra request headers
+ * @param {string} responseType - 'json' (default) or 'text'
+ * @param {number} maxBytes - Largest text response to accept
+ * @returns {Promise} - Parsed JSON, or { url, contentType, text } for text
+ */
+async function fetchUpstream(url, config, getHeaders = null, responseType = 'json', maxBytes = MAX_FEED_BYTES) {
+    const headers = {
+        'Accept': responseType === 'text'
+            ? 'application/rss+xml, application/atom+xml, application/xml, text/xml, */*;q=0.1'
+            : 'application/json'
+    };
+
+    // SEC asks automated clients to identify themselves; browsers can't set this header
+    if ([config.SEC_BASE_URL, config.SEC_TICKERS_URL, config.SEC_ARCHIVES_URL].some(base => url.startsWith(base))) {
+        headers['User-Agent'] = process.env.SEC_USER_AGENT || 'NoCharts local proxy (set SEC_USER_AGENT to "name email")';
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.LOADING_TIMEOUT);
+
+    try {
+        if (getHeaders) {
+            Object.assign(headers, await getHeaders());
+        }
+
+        const response = await fetch(url, { headers, signal: controller.signal });
+
+        if (!response.ok) {
+            throw new ProxyError(response.status, `Upstream error: ${response.status}`, response.headers.get('Retry-After'));
+        }
+
+        if (responseType === 'text') {
+            const text = await response.text();
+            if (text.length > maxBytes) {
+                throw new ProxyError(502, 'Upstream response is too large');
+            }
+            return { url, contentType: response.headers.get('Content-Type'), text };
+        }
+
+        return await response.json();
+    } catch (error) {
+        if (error instanceof ProxyError) throw error;
+        throw new ProxyError(502, `Upstream request failed: ${error.message}`);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Create the API request handler
+ * @param {Object} config - App configuration
+ * @param {Object} cache - Disk cache from createDiskCache
+ * @returns {Function} - async (pathname, query) => { status, body, headers }
+ */
+function createApiHandler(config, cache) {
+    // Identical upstream requests in flight, shared between browsers
+    const inFlight = new Map();
+
+    /**
+     * Load a route through the disk cache, serving stale data if the upstream fails
+     */
+    async function loadCached(cacheKey, fetchData) {
+        const entry = await cache.get(cacheKey);
+        if (entry && !entry.isStale) {
+            return { data: entry.data, cache: 'HIT' };
+        }
+
+        if (!inFlight.has(cacheKey)) {
+            inFlight.set(cacheKey, fetchData()
+                .then(async data => {
+                    await cache.set(cacheKey, data);
+                    return data;
+                })
+                .finally(() => inFlight.delete(cacheKey)));
+        }
+
+        try {
+            return { data: await inFlight.get(cacheKey), cache: 'MISS' };
+        } catch (error) {
+            if (entry) {
+                console.warn(`Serving stale ${cacheKey} after upstream failure:`, error.message);
+                return { data: entry.data, cache: 'STALE' };
+            }
+            throw error;
+        }
+    }
+
+    return async function handleApiRequest(pathname, query) {
+        const keys = getProviderKeys(config);
+
+        if (pathname === '/api/health') {
+            const stats = await cache.stats();
+            return {
+                status: 200,
+                body: {
+                    service: 'nocharts-proxy',
+                    version: config.APP_VERSION,
+                    providers: {
+                        finnhub: Boolean(keys.finnhub),
+                        marketaux: Boolean(keys.marketaux),
+                        reddit: Boolean(keys.reddit),
+                        wikipedia: true,
+                        sec: true,
+                        feeds: getFeedAllowlist().length > 0
+                    },
+                    cache: stats
+                }
+            };
+        }
+
+        const matched = matchRoute(pathname);
+        if (!matched) {
+            throw new ProxyError(404, `Unknown API route: ${pathname}`);
+        }
+
+        const { route, params } = matched;
+        if (route.provider && !keys[route.provider]) {
+            throw new ProxyError(503, `${route.provider} key not configured on the proxy (set ${KEY_ENV_NAMES[route.provider]})`);
+        }
+
+        const url = route.url(params, query, config, keys);
+        const getHeaders = route.headers ? () => route.headers(config, keys) : null;
+        const fetchData = route.fetch
+            ? () => route.fetch(url, config)
+            : () => fetchUpstream(url, config, getHeaders, route.responseType, route.maxBytes);
+        const result = await loadCached(route.cacheKey(params, query, config), fetchData);
+
+        return { status: 200, body: result.data, headers: { 'X-Cache': result.cache } };
+    };
+}
+
+module.exports = { createApiHandler, ProxyError, ROUTES };